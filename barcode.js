@@ -0,0 +1,162 @@
+// Barcode validation and SVG rendering
+// EAN-13 / UPC-A codes are check-digit validated and drawn as EAN bars,
+// anything else is treated as an internal code and drawn as Code 128 (set B)
+
+// EAN digit encodings (1 = bar, 0 = space)
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_G = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111'];
+const EAN_R = ['1110010', '1100110', '1101100', '1000010', '1011100', '1001110', '1010000', '1000100', '1001000', '1110100'];
+
+// L/G parity of the left-hand digits, chosen by the first digit of an EAN-13
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Code 128 bar/space widths for symbol values 0-106 (103-105 are the start codes, 106 is stop)
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+
+// Internal codes: printable ASCII without spaces, short enough to fit on a label
+const INTERNAL_CODE_PATTERN = /^[\x21-\x7E]{1,48}$/;
+
+// GTIN check digit: weights 3,1,3,1... from the right, excluding the check digit itself
+function calculateCheckDigit(digits) {
+  let sum = 0;
+  for (let i = digits.length - 1, weight = 3; i >= 0; i--, weight = weight === 3 ? 1 : 3) {
+    sum += parseInt(digits[i]) * weight;
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+// Validate a barcode; returns { valid, format, error }
+function validateBarcode(code) {
+  const value = code === undefined || code === null ? '' : String(code).trim();
+
+  if (/^\d{12}$/.test(value) || /^\d{13}$/.test(value)) {
+    const format = value.length === 12 ? 'UPC-A' : 'EAN-13';
+    const expected = calculateCheckDigit(value.slice(0, -1));
+    if (parseInt(value[value.length - 1]) !== expected) {
+      return { valid: false, format, error: `Invalid ${format} check digit (expected ${expected})` };
+    }
+    return { valid: true, format };
+  }
+
+  if (!INTERNAL_CODE_PATTERN.test(value)) {
+    return { valid: false, format: null, error: 'Barcode must be 1-48 printable characters without spaces' };
+  }
+  return { valid: true, format: 'CODE128' };
+}
+
+// Barcodes that identify the same item: a UPC-A is an EAN-13 with a leading zero
+function equivalentBarcodes(code) {
+  const value = String(code).trim();
+  if (/^\d{12}$/.test(value)) {
+    return [value, `0${value}`];
+  }
+  if (/^0\d{12}$/.test(value)) {
+    return [value, value.slice(1)];
+  }
+  return [value];
+}
+
+// Bar pattern (string of 1/0 modules) for an EAN-13, or a UPC-A drawn as EAN-13 with a leading zero
+function encodeEan13(code) {
+  const digits = code.length === 12 ? `0${code}` : code;
+  const parity = EAN_PARITY[parseInt(digits[0])];
+
+  let modules = '101';
+  for (let i = 1; i <= 6; i++) {
+    const digit = parseInt(digits[i]);
+    modules += parity[i - 1] === 'L' ? EAN_L[digit] : EAN_G[digit];
+  }
+  modules += '01010';
+  for (let i = 7; i <= 12; i++) {
+    modules += EAN_R[parseInt(digits[i])];
+  }
+  return modules + '101';
+}
+
+// Bar pattern for Code 128 set B
+function encodeCode128(code) {
+  const values = [CODE128_START_B];
+  for (const char of code) {
+    values.push(char.charCodeAt(0) - 32);
+  }
+
+  const checksum = values.reduce((sum, value, index) => sum + value * (index === 0 ? 1 : index), 0) % 103;
+  values.push(checksum, CODE128_STOP);
+
+  return values.map(value => {
+    let modules = '';
+    CODE128_PATTERNS[value].split('').forEach((width, index) => {
+      modules += (index % 2 === 0 ? '1' : '0').repeat(parseInt(width));
+    });
+    return modules;
+  }).join('');
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Render a barcode as an SVG document; extra text lines (e.g. product name and price) go above the bars
+function renderBarcodeSvg(code, { moduleWidth = 2, barHeight = 60, lines = [] } = {}) {
+  const value = String(code).trim();
+  const { valid, format, error } = validateBarcode(value);
+  if (!valid) {
+    throw new Error(error);
+  }
+
+  const modules = format === 'CODE128' ? encodeCode128(value) : encodeEan13(value);
+  const quietZone = 10 * moduleWidth;
+  const width = modules.length * moduleWidth + quietZone * 2;
+  const lineHeight = 18;
+  const top = 8 + lines.length * lineHeight;
+  const height = top + barHeight + 24;
+
+  // Merge runs of bar modules into single rectangles
+  const bars = [];
+  for (let i = 0; i < modules.length; i++) {
+    if (modules[i] !== '1') continue;
+    let run = 1;
+    while (modules[i + run] === '1') run++;
+    bars.push(`<rect x="${quietZone + i * moduleWidth}" y="${top}" width="${run * moduleWidth}" height="${barHeight}"/>`);
+    i += run - 1;
+  }
+
+  const textLines = lines.map((line, index) =>
+    `<text x="${width / 2}" y="${8 + (index + 1) * lineHeight - 4}" text-anchor="middle" font-size="14" ${index === 0 ? 'font-weight="bold"' : ''}>${escapeXml(line)}</text>`
+  );
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="${width}" height="${height}" fill="#fff"/>`,
+    '<g font-family="Arial, Helvetica, sans-serif" fill="#000">',
+    ...textLines,
+    ...bars,
+    `<text x="${width / 2}" y="${top + barHeight + 18}" text-anchor="middle" font-size="14" letter-spacing="2">${escapeXml(value)}</text>`,
+    '</g>',
+    '</svg>'
+  ].join('\n');
+}
+
+module.exports = {
+  validateBarcode,
+  equivalentBarcodes,
+  renderBarcodeSvg
+};
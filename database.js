@@ -2,7 +2,8 @@ const Database = require('better-sqlite3');
 const bcrypt = require('bcryptjs');
 const path = require('path');
 
-const dbPath = path.join(__dirname, 'pharmacy.db');
+// DB_PATH points the app at another database file (the tests use a fresh one each run)
+const dbPath = process.env.DB_PATH || path.join(__dirname, 'pharmacy.db');
 const db = new Database(dbPath);
 
 // Initialize database
@@ -60,6 +61,13 @@ db.exec(`CREATE TABLE IF NOT EXISTS categories (
   description TEXT
 )`);
 
+// Add parent_id column for nested categories if it doesn't exist
+try {
+  db.exec('ALTER TABLE categories ADD COLUMN parent_id INTEGER REFERENCES categories(id)');
+} catch (e) {
+  // Column already exists, ignore
+}
+
 // Settings table
 db.exec(`CREATE TABLE IF NOT EXISTS settings (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -81,7 +89,7 @@ db.exec(`CREATE TABLE IF NOT EXISTS orders (
   total_amount REAL NOT NULL,
   status TEXT NOT NULL DEFAULT 'pending',
   payment_method TEXT DEFAULT 'cash',
-  payment_status TEXT DEFAULT 'pending',
+  payment_status TEXT DEFAULT 'unpaid',
   notes TEXT,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -101,6 +109,745 @@ db.exec(`CREATE TABLE IF NOT EXISTS order_items (
   FOREIGN KEY (product_id) REFERENCES products(id)
 )`);
 
+// Product batches table - one row per received lot, products.quantity is the sum of quantity_remaining
+db.exec(`CREATE TABLE IF NOT EXISTS product_batches (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_id INTEGER NOT NULL,
+  lot_number TEXT NOT NULL,
+  expiry_date TEXT,
+  quantity_received INTEGER NOT NULL DEFAULT 0,
+  quantity_remaining INTEGER NOT NULL DEFAULT 0,
+  received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (product_id) REFERENCES products(id)
+)`);
+
+// Add batch columns to existing order_items table if they don't exist
+try {
+  db.exec('ALTER TABLE order_items ADD COLUMN batch_id INTEGER');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec('ALTER TABLE order_items ADD COLUMN lot_number TEXT');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Move stock of products created before batch tracking into an opening batch
+const productsWithoutBatches = db.prepare(`
+  SELECT id, quantity, expiry_date FROM products
+  WHERE quantity > 0
+  AND id NOT IN (SELECT DISTINCT product_id FROM product_batches)
+`).all();
+
+const insertOpeningBatch = db.prepare(`
+  INSERT INTO product_batches (product_id, lot_number, expiry_date, quantity_received, quantity_remaining)
+  VALUES (?, ?, ?, ?, ?)
+`);
+productsWithoutBatches.forEach(product => {
+  insertOpeningBatch.run(product.id, `OPENING-${product.id}`, product.expiry_date || null, product.quantity, product.quantity);
+});
+
+// Stock movements table - append-only ledger of every quantity change
+db.exec(`CREATE TABLE IF NOT EXISTS stock_movements (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_id INTEGER NOT NULL,
+  batch_id INTEGER,
+  quantity_change INTEGER NOT NULL,
+  balance_after INTEGER NOT NULL,
+  reason TEXT NOT NULL,
+  reference_type TEXT,
+  reference_id INTEGER,
+  user_id INTEGER,
+  note TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (product_id) REFERENCES products(id),
+  FOREIGN KEY (batch_id) REFERENCES product_batches(id),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+)`);
+
+// Record an opening balance for products that have stock but no ledger history yet
+db.exec(`
+  INSERT INTO stock_movements (product_id, quantity_change, balance_after, reason, note)
+  SELECT id, quantity, quantity, 'opening', 'Opening balance'
+  FROM products
+  WHERE quantity > 0
+  AND id NOT IN (SELECT DISTINCT product_id FROM stock_movements)
+`);
+
+// Stock adjustments table - corrections with a reason code, large ones wait for a second admin
+db.exec(`CREATE TABLE IF NOT EXISTS stock_adjustments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_id INTEGER NOT NULL,
+  batch_id INTEGER,
+  quantity_change INTEGER NOT NULL,
+  reason TEXT NOT NULL,
+  note TEXT,
+  status TEXT NOT NULL DEFAULT 'pending',
+  requested_by INTEGER NOT NULL,
+  approved_by INTEGER,
+  rejection_reason TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  decided_at DATETIME,
+  applied_at DATETIME,
+  FOREIGN KEY (product_id) REFERENCES products(id),
+  FOREIGN KEY (batch_id) REFERENCES product_batches(id),
+  FOREIGN KEY (requested_by) REFERENCES users(id),
+  FOREIGN KEY (approved_by) REFERENCES users(id)
+)`);
+
+// Suppliers table
+db.exec(`CREATE TABLE IF NOT EXISTS suppliers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT UNIQUE NOT NULL,
+  contact_person TEXT,
+  email TEXT,
+  phone TEXT,
+  address TEXT,
+  lead_time_days INTEGER NOT NULL DEFAULT 7,
+  payment_terms TEXT,
+  notes TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+)`);
+
+// Add supplier_id column to existing products table if it doesn't exist
+try {
+  db.exec('ALTER TABLE products ADD COLUMN supplier_id INTEGER REFERENCES suppliers(id)');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Add per-product reorder columns (NULL reorder point falls back to the low_stock_threshold setting)
+try {
+  db.exec('ALTER TABLE products ADD COLUMN reorder_point INTEGER');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec('ALTER TABLE products ADD COLUMN reorder_quantity INTEGER');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec('ALTER TABLE products ADD COLUMN max_stock INTEGER');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Turn free-text supplier names on products into supplier records
+db.exec(`
+  INSERT OR IGNORE INTO suppliers (name)
+  SELECT DISTINCT TRIM(supplier) FROM products
+  WHERE supplier IS NOT NULL AND TRIM(supplier) != ''
+`);
+db.exec(`
+  UPDATE products
+  SET supplier_id = (SELECT id FROM suppliers WHERE suppliers.name = TRIM(products.supplier))
+  WHERE supplier_id IS NULL AND supplier IS NOT NULL AND TRIM(supplier) != ''
+`);
+
+// Purchase orders table
+db.exec(`CREATE TABLE IF NOT EXISTS purchase_orders (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  po_number TEXT UNIQUE NOT NULL,
+  supplier_id INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'draft',
+  expected_date TEXT,
+  total_amount REAL NOT NULL DEFAULT 0,
+  notes TEXT,
+  created_by INTEGER,
+  sent_at DATETIME,
+  received_at DATETIME,
+  closed_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (supplier_id) REFERENCES suppliers(id),
+  FOREIGN KEY (created_by) REFERENCES users(id)
+)`);
+
+// Purchase order items table
+db.exec(`CREATE TABLE IF NOT EXISTS purchase_order_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  purchase_order_id INTEGER NOT NULL,
+  product_id INTEGER NOT NULL,
+  product_name TEXT NOT NULL,
+  quantity_ordered INTEGER NOT NULL,
+  quantity_received INTEGER NOT NULL DEFAULT 0,
+  unit_cost REAL NOT NULL DEFAULT 0,
+  subtotal REAL NOT NULL DEFAULT 0,
+  FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id),
+  FOREIGN KEY (product_id) REFERENCES products(id)
+)`);
+
+// Goods receipts - one row per batch received against a purchase order line
+db.exec(`CREATE TABLE IF NOT EXISTS purchase_order_receipts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  purchase_order_id INTEGER NOT NULL,
+  purchase_order_item_id INTEGER NOT NULL,
+  batch_id INTEGER NOT NULL,
+  quantity INTEGER NOT NULL,
+  received_by INTEGER,
+  received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id),
+  FOREIGN KEY (purchase_order_item_id) REFERENCES purchase_order_items(id),
+  FOREIGN KEY (batch_id) REFERENCES product_batches(id),
+  FOREIGN KEY (received_by) REFERENCES users(id)
+)`);
+
+// Prescription-only (Rx) flag on products
+try {
+  db.exec('ALTER TABLE products ADD COLUMN requires_prescription INTEGER DEFAULT 0');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Prescriptions uploaded at checkout for orders containing Rx products, reviewed by a pharmacist
+db.exec(`CREATE TABLE IF NOT EXISTS prescriptions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  file_path TEXT NOT NULL,
+  original_name TEXT,
+  mime_type TEXT,
+  status TEXT NOT NULL DEFAULT 'pending',
+  review_reason TEXT,
+  reviewed_by INTEGER,
+  reviewed_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(id),
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  FOREIGN KEY (reviewed_by) REFERENCES users(id)
+)`);
+
+// Controlled-substance (scheduled drug) flag on products
+try {
+  db.exec('ALTER TABLE products ADD COLUMN controlled_substance INTEGER DEFAULT 0');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Controlled-substance register: every receipt and dispense of a scheduled drug with its running balance.
+// Entries are copied in full at the time of recording and can never be changed; mistakes get a correction entry.
+db.exec(`CREATE TABLE IF NOT EXISTS controlled_register (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_id INTEGER NOT NULL,
+  product_name TEXT NOT NULL,
+  entry_type TEXT NOT NULL,
+  quantity_change INTEGER NOT NULL,
+  balance_after INTEGER NOT NULL,
+  counterparty TEXT,
+  lot_number TEXT,
+  reference_type TEXT,
+  reference_id INTEGER,
+  reference TEXT,
+  corrects_entry_id INTEGER,
+  note TEXT,
+  recorded_by INTEGER,
+  recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (product_id) REFERENCES products(id),
+  FOREIGN KEY (corrects_entry_id) REFERENCES controlled_register(id),
+  FOREIGN KEY (recorded_by) REFERENCES users(id)
+)`);
+
+db.exec(`CREATE TRIGGER IF NOT EXISTS controlled_register_no_update
+  BEFORE UPDATE ON controlled_register
+  BEGIN
+    SELECT RAISE(ABORT, 'Controlled register entries cannot be changed');
+  END`);
+
+db.exec(`CREATE TRIGGER IF NOT EXISTS controlled_register_no_delete
+  BEFORE DELETE ON controlled_register
+  BEGIN
+    SELECT RAISE(ABORT, 'Controlled register entries cannot be deleted');
+  END`);
+
+// Units of measure: stock is always held in the product's base unit (e.g. tablet)
+try {
+  db.exec("ALTER TABLE products ADD COLUMN base_unit TEXT DEFAULT 'unit'");
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Pack size that purchase orders for the product are placed in by default
+try {
+  db.exec('ALTER TABLE products ADD COLUMN purchase_unit_id INTEGER');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Pack sizes - a named number of base units (e.g. strip = 10 tablets), with a selling price if sold that way
+db.exec(`CREATE TABLE IF NOT EXISTS product_units (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  units_per_pack INTEGER NOT NULL,
+  price REAL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (product_id, name),
+  FOREIGN KEY (product_id) REFERENCES products(id)
+)`);
+
+// Pack size of each order line; quantity and price are per pack, base_quantity is the stock taken
+try {
+  db.exec('ALTER TABLE order_items ADD COLUMN unit_name TEXT');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec('ALTER TABLE order_items ADD COLUMN units_per_pack INTEGER DEFAULT 1');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec('ALTER TABLE order_items ADD COLUMN base_quantity INTEGER');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+db.exec('UPDATE order_items SET base_quantity = quantity WHERE base_quantity IS NULL');
+
+// Purchase unit of each purchase order line; quantities and unit cost are per pack
+try {
+  db.exec('ALTER TABLE purchase_order_items ADD COLUMN unit_id INTEGER');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec('ALTER TABLE purchase_order_items ADD COLUMN unit_name TEXT');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec('ALTER TABLE purchase_order_items ADD COLUMN units_per_pack INTEGER DEFAULT 1');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Cost prices: per base unit on products, and on batches where the receipt cost is known
+try {
+  db.exec('ALTER TABLE products ADD COLUMN cost_price REAL');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec('ALTER TABLE product_batches ADD COLUMN unit_cost REAL');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Cost of each order line at the time of sale, per pack like price
+try {
+  db.exec('ALTER TABLE order_items ADD COLUMN cost_price REAL');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Price history - one row per change of a product's selling or cost price
+db.exec(`CREATE TABLE IF NOT EXISTS price_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_id INTEGER NOT NULL,
+  price_type TEXT NOT NULL,
+  old_price REAL,
+  new_price REAL,
+  changed_by INTEGER,
+  note TEXT,
+  changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (product_id) REFERENCES products(id),
+  FOREIGN KEY (changed_by) REFERENCES users(id)
+)`);
+
+// Tax classes - a VAT rate (percent) that can be set on a product or a category
+db.exec(`CREATE TABLE IF NOT EXISTS tax_classes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT UNIQUE NOT NULL,
+  rate REAL NOT NULL DEFAULT 0,
+  description TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+)`);
+
+// Products without a tax class take their category's, and categories their parent's
+try {
+  db.exec('ALTER TABLE products ADD COLUMN tax_class_id INTEGER REFERENCES tax_classes(id)');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec('ALTER TABLE categories ADD COLUMN tax_class_id INTEGER REFERENCES tax_classes(id)');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Tax breakdown of each order line at the time of sale; subtotal is the gross amount the customer pays
+try {
+  db.exec('ALTER TABLE order_items ADD COLUMN tax_class TEXT');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec('ALTER TABLE order_items ADD COLUMN tax_rate REAL DEFAULT 0');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec('ALTER TABLE order_items ADD COLUMN net_amount REAL');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec('ALTER TABLE order_items ADD COLUMN tax_amount REAL DEFAULT 0');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Order totals split into net and tax; total_amount stays the gross total
+try {
+  db.exec('ALTER TABLE orders ADD COLUMN net_amount REAL');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec('ALTER TABLE orders ADD COLUMN tax_amount REAL DEFAULT 0');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec('ALTER TABLE orders ADD COLUMN prices_include_tax INTEGER DEFAULT 1');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Orders placed before tax support were untaxed
+db.exec('UPDATE order_items SET net_amount = subtotal WHERE net_amount IS NULL');
+db.exec('UPDATE orders SET net_amount = total_amount WHERE net_amount IS NULL');
+
+// Promotions - coupon codes giving a percentage or fixed discount on the whole basket, a category or a product
+db.exec(`CREATE TABLE IF NOT EXISTS promotions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  code TEXT UNIQUE NOT NULL COLLATE NOCASE,
+  description TEXT,
+  discount_type TEXT NOT NULL DEFAULT 'percentage',
+  discount_value REAL NOT NULL,
+  scope TEXT NOT NULL DEFAULT 'order',
+  category_id INTEGER,
+  product_id INTEGER,
+  min_basket_value REAL,
+  starts_on DATE,
+  ends_on DATE,
+  usage_limit_per_customer INTEGER,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_by INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (category_id) REFERENCES categories(id),
+  FOREIGN KEY (product_id) REFERENCES products(id),
+  FOREIGN KEY (created_by) REFERENCES users(id)
+)`);
+
+// Coupon used on an order and the discount it gave (gross, before tax is split out)
+try {
+  db.exec('ALTER TABLE orders ADD COLUMN promotion_id INTEGER REFERENCES promotions(id)');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec('ALTER TABLE orders ADD COLUMN coupon_code TEXT');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec('ALTER TABLE orders ADD COLUMN discount_amount REAL DEFAULT 0');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec('ALTER TABLE order_items ADD COLUMN discount_amount REAL DEFAULT 0');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Key sent by the checkout page with each order, so a repeated submit returns the first order
+try {
+  db.exec('ALTER TABLE orders ADD COLUMN idempotency_key TEXT');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_idempotency_key ON orders (user_id, idempotency_key)');
+
+// Every change of an order's status, with who made it; the order's created_at marks when it was placed
+db.exec(`CREATE TABLE IF NOT EXISTS order_status_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id INTEGER NOT NULL,
+  from_status TEXT NOT NULL,
+  to_status TEXT NOT NULL,
+  note TEXT,
+  changed_by INTEGER,
+  changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(id),
+  FOREIGN KEY (changed_by) REFERENCES users(id)
+)`);
+
+// Returns of delivered order lines; each line is restocked or written off when the return is completed
+db.exec(`CREATE TABLE IF NOT EXISTS order_returns (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'requested',
+  requested_by INTEGER,
+  requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  refund_amount REAL DEFAULT 0,
+  refund_net_amount REAL DEFAULT 0,
+  refund_tax_amount REAL DEFAULT 0,
+  review_note TEXT,
+  processed_by INTEGER,
+  processed_at DATETIME,
+  FOREIGN KEY (order_id) REFERENCES orders(id),
+  FOREIGN KEY (requested_by) REFERENCES users(id),
+  FOREIGN KEY (processed_by) REFERENCES users(id)
+)`);
+
+// Quantity is in the order line's packs; cost_amount is the line's cost of the returned quantity
+db.exec(`CREATE TABLE IF NOT EXISTS order_return_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  return_id INTEGER NOT NULL,
+  order_item_id INTEGER NOT NULL,
+  quantity REAL NOT NULL,
+  base_quantity INTEGER NOT NULL,
+  reason TEXT NOT NULL,
+  disposition TEXT,
+  refund_amount REAL DEFAULT 0,
+  refund_net_amount REAL DEFAULT 0,
+  refund_tax_amount REAL DEFAULT 0,
+  cost_amount REAL,
+  FOREIGN KEY (return_id) REFERENCES order_returns(id),
+  FOREIGN KEY (order_item_id) REFERENCES order_items(id)
+)`);
+
+try {
+  db.exec('ALTER TABLE orders ADD COLUMN refunded_amount REAL DEFAULT 0');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Invoice numbers are sequential and given out the first time an order's invoice is produced
+try {
+  db.exec('ALTER TABLE orders ADD COLUMN invoice_number INTEGER');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec('ALTER TABLE orders ADD COLUMN invoiced_at DATETIME');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_invoice_number ON orders (invoice_number)');
+
+// Payments received against an order; the order's amount_paid and payment_status follow from them
+db.exec(`CREATE TABLE IF NOT EXISTS order_payments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id INTEGER NOT NULL,
+  amount REAL NOT NULL,
+  method TEXT NOT NULL,
+  reference TEXT,
+  notes TEXT,
+  received_by INTEGER,
+  received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(id),
+  FOREIGN KEY (received_by) REFERENCES users(id)
+)`);
+
+try {
+  db.exec('ALTER TABLE orders ADD COLUMN amount_paid REAL DEFAULT 0');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Nothing ever recorded a payment before, so the old 'pending' status means unpaid
+db.exec("UPDATE orders SET payment_status = 'unpaid' WHERE payment_status = 'pending' OR payment_status IS NULL");
+
+// Each customer's shopping cart; price is what the customer was last shown for the line,
+// so a later price change can be pointed out when the cart is read back
+db.exec(`CREATE TABLE IF NOT EXISTS cart_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  product_id INTEGER NOT NULL,
+  unit_id INTEGER,
+  quantity INTEGER NOT NULL,
+  price REAL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  FOREIGN KEY (product_id) REFERENCES products(id),
+  FOREIGN KEY (unit_id) REFERENCES product_units(id)
+)`);
+
+db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_line ON cart_items (user_id, product_id, IFNULL(unit_id, 0))');
+
+// Products a customer has saved for later
+db.exec(`CREATE TABLE IF NOT EXISTS wishlist_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  product_id INTEGER NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, product_id),
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  FOREIGN KEY (product_id) REFERENCES products(id)
+)`);
+
+// "Notify me when back in stock" requests; notified_at is set once the customer has been told
+db.exec(`CREATE TABLE IF NOT EXISTS stock_alerts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  product_id INTEGER NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  notified_at DATETIME,
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  FOREIGN KEY (product_id) REFERENCES products(id)
+)`);
+
+db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_alerts_waiting ON stock_alerts (user_id, product_id) WHERE notified_at IS NULL');
+
+// In-app notifications for a user; link is the page the notification opens
+db.exec(`CREATE TABLE IF NOT EXISTS notifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  type TEXT NOT NULL,
+  title TEXT NOT NULL,
+  message TEXT,
+  link TEXT,
+  read_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+)`);
+
+db.exec('CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications (user_id, read_at)');
+
+// When admins were told a lot entered the expiry alert window (cleared if its expiry date changes)
+try {
+  db.exec('ALTER TABLE product_batches ADD COLUMN expiry_alerted_at DATETIME');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Transactional emails waiting to be sent, sent, or given up on after repeated failures.
+// The subject and body are rendered when the email is queued, so a resend is the same message.
+db.exec(`CREATE TABLE IF NOT EXISTS email_outbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  template TEXT NOT NULL,
+  to_address TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  last_error TEXT,
+  sent_at DATETIME,
+  order_id INTEGER,
+  user_id INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(id),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+)`);
+
+db.exec('CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox (status, next_attempt_at)');
+
+// Password reset links; only a hash of the token is kept
+db.exec(`CREATE TABLE IF NOT EXISTS password_resets (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+)`);
+
+// Quarantined lots are off sale: they don't count towards the product's quantity but are still listed
+try {
+  db.exec('ALTER TABLE product_batches ADD COLUMN quarantined_at DATETIME');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+try {
+  db.exec('ALTER TABLE product_batches ADD COLUMN quarantine_reason TEXT');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Background jobs: one row per job with its last outcome and when it runs next
+db.exec(`CREATE TABLE IF NOT EXISTS jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT UNIQUE NOT NULL,
+  next_run_at DATETIME,
+  last_run_at DATETIME,
+  last_status TEXT,
+  last_duration_ms INTEGER,
+  last_message TEXT
+)`);
+
+// Every run of a job, scheduled or started by an admin
+db.exec(`CREATE TABLE IF NOT EXISTS job_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  job_name TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'running',
+  message TEXT,
+  started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  finished_at DATETIME,
+  duration_ms INTEGER,
+  triggered_by INTEGER,
+  FOREIGN KEY (triggered_by) REFERENCES users(id)
+)`);
+
+db.exec('CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs (job_name, id)');
+
+// Accounts with order history are deactivated rather than deleted, so their orders stay on record
+try {
+  db.exec('ALTER TABLE users ADD COLUMN deactivated_at DATETIME');
+} catch (e) {
+  // Column already exists, ignore
+}
+
+// Disposals of quarantined stock, kept as proof for inspections.
+// method: return_to_supplier, incineration or waste_contractor. The value is the lot's unit cost at the time.
+db.exec(`CREATE TABLE IF NOT EXISTS stock_disposals (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_id INTEGER NOT NULL,
+  batch_id INTEGER NOT NULL,
+  quantity INTEGER NOT NULL,
+  unit_cost REAL,
+  method TEXT NOT NULL,
+  witness_name TEXT NOT NULL,
+  disposed_on DATE NOT NULL,
+  reference TEXT,
+  note TEXT,
+  recorded_by INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (product_id) REFERENCES products(id),
+  FOREIGN KEY (batch_id) REFERENCES product_batches(id),
+  FOREIGN KEY (recorded_by) REFERENCES users(id)
+)`);
+
+db.exec('CREATE INDEX IF NOT EXISTS idx_stock_disposals_date ON stock_disposals (disposed_on)');
+
 // Insert default categories
 const categories = [
   ['Medications', 'Prescription and over-the-counter medications'],
@@ -110,8 +857,18 @@ const categories = [
   ['Baby Care', 'Baby products and care items']
 ];
 
+// Only seed an empty table, so categories renamed or deleted by an admin do not come back on restart
 const insertCategory = db.prepare(`INSERT OR IGNORE INTO categories (name, description) VALUES (?, ?)`);
-categories.forEach(cat => insertCategory.run(cat));
+if (db.prepare('SELECT COUNT(*) as count FROM categories').get().count === 0) {
+  categories.forEach(cat => insertCategory.run(cat));
+}
+
+// Only seed an empty table, like categories; no product or category is taxed until a class is assigned
+const insertTaxClass = db.prepare('INSERT OR IGNORE INTO tax_classes (name, rate, description) VALUES (?, ?, ?)');
+if (db.prepare('SELECT COUNT(*) as count FROM tax_classes').get().count === 0) {
+  insertTaxClass.run('Standard', 18, 'Standard-rated goods such as cosmetics');
+  insertTaxClass.run('Exempt', 0, 'VAT-exempt goods such as medicines');
+}
 
 // Insert default settings
 const insertSetting = db.prepare(`INSERT OR IGNORE INTO settings (setting_key, setting_value, description) VALUES (?, ?, ?)`);
@@ -124,6 +881,8 @@ insertSetting.run('date_format', 'MM/DD/YYYY', 'Date format preference');
 insertSetting.run('low_stock_alerts', 'true', 'Enable low stock alerts');
 insertSetting.run('new_order_notifications', 'true', 'Enable new order notifications');
 insertSetting.run('expiry_alerts', 'true', 'Enable expiry date alerts');
+insertSetting.run('adjustment_approval_threshold', '20', 'Stock adjustments larger than this quantity need a second admin to approve');
+insertSetting.run('prices_include_tax', 'true', 'Product prices already include tax (otherwise tax is added at checkout)');
 
 // Insert default admin user (create if doesn't exist, update if exists but wrong role)
 const defaultAdminPassword = bcrypt.hashSync('admin123', 10);
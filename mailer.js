@@ -0,0 +1,197 @@
+// Minimal SMTP client for the email outbox
+// Sends plain-text mail over SMTP, with implicit TLS (port 465) or STARTTLS when the server offers it,
+// and AUTH LOGIN when a user is configured. Settings come from the environment:
+//   SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ('true' for implicit TLS, default on port 465),
+//   SMTP_USER, SMTP_PASSWORD, MAIL_FROM (e.g. "MediFlow <orders@example.com>")
+// For local testing, point SMTP_HOST/SMTP_PORT at a stand-in such as MailHog (localhost:1025).
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const SMTP_TIMEOUT_MS = 30 * 1000;
+
+// SMTP settings, or null when no SMTP host is configured
+function getSmtpConfig() {
+  if (!process.env.SMTP_HOST) {
+    return null;
+  }
+
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  return {
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    user: process.env.SMTP_USER || null,
+    password: process.env.SMTP_PASSWORD || '',
+    from: process.env.MAIL_FROM || `MediFlow <no-reply@${os.hostname()}>`
+  };
+}
+
+// The bare address of "Name <address>" (or of a plain address)
+function extractAddress(value) {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+}
+
+// Header values must not carry line breaks (they would start new headers)
+function headerValue(value) {
+  return String(value).replace(/[\r\n]+/g, ' ').trim();
+}
+
+// Non-ASCII header text is sent as an RFC 2047 encoded word
+function encodeHeader(value) {
+  const text = headerValue(value);
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+// The full message: headers, then the UTF-8 body in base64 so no line needs dot-stuffing or folding
+function formatMessage(from, message) {
+  const domain = extractAddress(from).split('@')[1] || os.hostname();
+  const body = Buffer.from(message.text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').match(/.{1,76}/g) || [];
+
+  return [
+    `From: ${encodeHeader(from)}`,
+    `To: ${headerValue(message.to)}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    ...body
+  ].join('\r\n');
+}
+
+function openSocket(config) {
+  return new Promise((resolve, reject) => {
+    const socket = config.secure
+      ? tls.connect({ host: config.host, port: config.port, servername: config.host })
+      : net.connect({ host: config.host, port: config.port });
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP server timed out')));
+    socket.once(config.secure ? 'secureConnect' : 'connect', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+// Upgrade a plain connection after STARTTLS
+function startTls(socket, config) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: config.host });
+    secureSocket.setTimeout(SMTP_TIMEOUT_MS, () => secureSocket.destroy(new Error('SMTP server timed out')));
+    secureSocket.once('secureConnect', () => resolve(secureSocket));
+    secureSocket.once('error', reject);
+  });
+}
+
+// Reads replies from the server and sends commands. A reply can span several lines
+// ("250-first", "250-second", "250 last"); each read returns a whole reply as { code, text }.
+function createSession(socket) {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      lines.push(line);
+      if (line[3] === '-') continue;
+
+      const reply = { code: parseInt(line.slice(0, 3)), text: lines.map(part => part.slice(4)).join('\n') };
+      lines = [];
+      if (waiting.length > 0) {
+        waiting.shift().resolve(reply);
+      } else {
+        replies.push(reply);
+      }
+    }
+  };
+  const onFailure = error => {
+    failure = failure || error;
+    while (waiting.length > 0) {
+      waiting.shift().reject(failure);
+    }
+  };
+  const onClose = () => onFailure(new Error('SMTP server closed the connection'));
+
+  socket.on('data', onData);
+  socket.on('error', onFailure);
+  socket.on('close', onClose);
+
+  function read() {
+    if (replies.length > 0) return Promise.resolve(replies.shift());
+    if (failure) return Promise.reject(failure);
+    return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+  }
+
+  async function expect(codes) {
+    const reply = await read();
+    if (![].concat(codes).includes(reply.code)) {
+      throw new Error(`SMTP server replied ${reply.code} ${reply.text}`);
+    }
+    return reply;
+  }
+
+  return {
+    expect,
+    command(line, codes) {
+      socket.write(`${line}\r\n`);
+      return expect(codes);
+    },
+    // Stop listening before the socket is handed over to TLS
+    detach() {
+      socket.removeListener('data', onData);
+      socket.removeListener('error', onFailure);
+      socket.removeListener('close', onClose);
+    }
+  };
+}
+
+// Deliver one message { to, subject, text }. Resolves once the server accepts it, rejects with the reason otherwise.
+async function sendMail(config, message) {
+  const clientName = os.hostname() || 'localhost';
+  let socket = await openSocket(config);
+  let session = createSession(socket);
+
+  try {
+    await session.expect(220);
+    let greeting = await session.command(`EHLO ${clientName}`, 250);
+
+    if (!config.secure && /^STARTTLS\b/im.test(greeting.text)) {
+      await session.command('STARTTLS', 220);
+      session.detach();
+      socket = await startTls(socket, config);
+      session = createSession(socket);
+      greeting = await session.command(`EHLO ${clientName}`, 250);
+    }
+
+    if (config.user) {
+      if (!(socket instanceof tls.TLSSocket)) {
+        throw new Error('SMTP server does not offer TLS; not sending the password in clear text');
+      }
+      await session.command('AUTH LOGIN', 334);
+      await session.command(Buffer.from(config.user).toString('base64'), 334);
+      await session.command(Buffer.from(config.password).toString('base64'), 235);
+    }
+
+    await session.command(`MAIL FROM:<${extractAddress(config.from)}>`, 250);
+    await session.command(`RCPT TO:<${extractAddress(headerValue(message.to))}>`, [250, 251]);
+    await session.command('DATA', 354);
+    await session.command(`${formatMessage(config.from, message)}\r\n.`, 250);
+    await session.command('QUIT', 221).catch(() => {});
+  } finally {
+    socket.end();
+  }
+}
+
+module.exports = {
+  getSmtpConfig,
+  sendMail
+};
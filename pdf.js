@@ -0,0 +1,173 @@
+// Minimal PDF writer for invoices and receipts
+// Text uses the built-in Helvetica fonts (no embedding), so only Latin-1 characters print;
+// anything else is replaced with '?'. Coordinates are in points from the top-left of the page.
+
+// Helvetica and Helvetica-Bold advance widths (1/1000 em) for characters 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+// Width used for Latin-1 letters above 126, close enough for alignment
+const DEFAULT_WIDTH = 556;
+
+// Printable Latin-1 only; everything else becomes '?'
+function toLatin1(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/[\r\n\t]+/g, ' ')
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+}
+
+function escapePdfString(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+// Width of a string in points
+function measureText(text, size = 10, bold = false) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let total = 0;
+  for (const char of toLatin1(text)) {
+    const code = char.charCodeAt(0);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+  }
+  return total * size / 1000;
+}
+
+// Split text into lines no wider than maxWidth, breaking at spaces (long words are cut)
+function wrapText(text, maxWidth, size = 10, bold = false) {
+  const lines = [];
+  let current = '';
+  toLatin1(text).split(' ').forEach(word => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (measureText(candidate, size, bold) <= maxWidth) {
+      current = candidate;
+      return;
+    }
+    if (current) {
+      lines.push(current);
+    }
+    current = word;
+    while (measureText(current, size, bold) > maxWidth && current.length > 1) {
+      let cut = current.length - 1;
+      while (cut > 1 && measureText(current.slice(0, cut), size, bold) > maxWidth) cut--;
+      lines.push(current.slice(0, cut));
+      current = current.slice(cut);
+    }
+  });
+  if (current || lines.length === 0) {
+    lines.push(current);
+  }
+  return lines;
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+// Create a document; a page height of null makes each page as tall as its content
+function createPdfDocument({ width, height = null, margin = 0 }) {
+  const pages = [];
+  let page = null;
+
+  const doc = {
+    width,
+    height,
+
+    addPage() {
+      page = { operations: [], bottom: 0 };
+      pages.push(page);
+      return doc;
+    },
+
+    // Draw text with its top at y; align is relative to x ('left', 'right' or 'center')
+    text(text, x, y, { size = 10, bold = false, align = 'left' } = {}) {
+      const value = toLatin1(text);
+      const textWidth = measureText(value, size, bold);
+      const left = align === 'right' ? x - textWidth : align === 'center' ? x - textWidth / 2 : x;
+      page.operations.push(pageHeight =>
+        `BT /${bold ? 'F2' : 'F1'} ${formatNumber(size)} Tf ${formatNumber(left)} ${formatNumber(pageHeight - y - size * 0.8)} Td (${escapePdfString(value)}) Tj ET`
+      );
+      page.bottom = Math.max(page.bottom, y + size);
+      return doc;
+    },
+
+    line(x1, y1, x2, y2, { lineWidth = 0.5, dash = null } = {}) {
+      page.operations.push(pageHeight =>
+        `${dash ? `[${dash.join(' ')}] 0 d ` : ''}${formatNumber(lineWidth)} w ${formatNumber(x1)} ${formatNumber(pageHeight - y1)} m ` +
+        `${formatNumber(x2)} ${formatNumber(pageHeight - y2)} l S${dash ? ' [] 0 d' : ''}`
+      );
+      page.bottom = Math.max(page.bottom, y1, y2);
+      return doc;
+    },
+
+    // Filled rectangle in a grey level from 0 (black) to 1 (white)
+    rect(x, y, rectWidth, rectHeight, { gray = 0.9 } = {}) {
+      page.operations.push(pageHeight =>
+        `q ${formatNumber(gray)} g ${formatNumber(x)} ${formatNumber(pageHeight - y - rectHeight)} ${formatNumber(rectWidth)} ${formatNumber(rectHeight)} re f Q`
+      );
+      page.bottom = Math.max(page.bottom, y + rectHeight);
+      return doc;
+    },
+
+    measureText,
+    wrapText,
+
+    // Serialize the document to a PDF file
+    toBuffer() {
+      const objects = [];
+      const addObject = body => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalogId = addObject(null);
+      const pagesId = addObject(null);
+      const fontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+      const pageIds = pages.map(p => {
+        const pageHeight = height || Math.ceil(p.bottom + margin);
+        const content = p.operations.map(operation => operation(pageHeight)).join('\n');
+        const contentId = addObject(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+        return addObject(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(width)} ${pageHeight}] ` +
+          `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+        );
+      });
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      let output = '%PDF-1.4\n';
+      const offsets = objects.map((body, index) => {
+        const offset = Buffer.byteLength(output, 'latin1');
+        output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+      return Buffer.from(output, 'latin1');
+    }
+  };
+
+  return doc.addPage();
+}
+
+module.exports = {
+  createPdfDocument,
+  measureText,
+  wrapText
+};
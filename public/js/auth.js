@@ -31,7 +31,8 @@ async function login(username, password, role = null) {
       if (data.user.role === 'admin') {
         window.location.href = '/dashboard';
       } else {
-        // Redirect to shop for regular users
+        // Redirect to shop for regular users, bringing along any cart kept in this browser
+        await mergeLocalCart();
         window.location.href = '/shop';
       }
     } else {
@@ -59,6 +60,7 @@ async function register(username, password, email) {
     const data = await response.json();
     
     if (response.ok) {
+      await mergeLocalCart();
       showAlert('Registration successful! Redirecting...', 'success');
       setTimeout(() => {
         window.location.href = '/shop';
@@ -71,6 +73,36 @@ async function register(username, password, email) {
   }
 }
 
+// Move a cart kept in this browser's storage into the customer's saved cart.
+// Carts used to live only in the browser; the saved cart is the one used from now on.
+async function mergeLocalCart() {
+  let localCart;
+  try {
+    localCart = JSON.parse(localStorage.getItem('cart')) || [];
+  } catch (error) {
+    localCart = [];
+  }
+  if (!Array.isArray(localCart) || localCart.length === 0) {
+    localStorage.removeItem('cart');
+    return;
+  }
+
+  try {
+    const response = await fetch('/api/cart/merge', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ items: localCart })
+    });
+    if (response.ok) {
+      localStorage.removeItem('cart');
+    }
+  } catch (error) {
+    console.error('Cart merge failed:', error);
+  }
+}
+
 // Logout function
 async function logout() {
   try {
@@ -0,0 +1,65 @@
+// Shopping cart, saved on the server for the logged-in customer so it follows them between devices.
+// The server re-prices every line and checks stock each time the cart is read.
+
+async function readCartResponse(response, fallbackError) {
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || fallbackError);
+  }
+  showCartCount(data);
+  return data;
+}
+
+// The cart as { items, item_count, total_amount, prices_include_tax, has_issues }
+async function fetchCart() {
+  await mergeLocalCart();
+  const response = await fetch('/api/cart', { cache: 'no-store' });
+  return readCartResponse(response, 'Failed to load cart');
+}
+
+// Replace the saved cart. A line's seen_price is the price the customer is being shown for it;
+// lines without one keep the price they were last shown at, so a price change stays flagged.
+async function saveCart(items) {
+  const response = await fetch('/api/cart', {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      items: items.map(item => ({
+        product_id: item.product_id,
+        unit_id: item.unit_id || null,
+        quantity: item.quantity,
+        price: item.seen_price
+      }))
+    })
+  });
+  return readCartResponse(response, 'Failed to update cart');
+}
+
+async function clearCart() {
+  try {
+    const response = await fetch('/api/cart', { method: 'DELETE' });
+    if (response.ok) {
+      showCartCount({ item_count: 0 });
+    }
+  } catch (error) {
+    console.error('Error clearing cart:', error);
+  }
+}
+
+function showCartCount(cart) {
+  const cartCountElement = document.getElementById('cartCount');
+  if (cartCountElement) {
+    cartCountElement.textContent = cart.item_count;
+  }
+}
+
+// Refresh the cart count in the nav
+async function updateCartCount() {
+  try {
+    await fetchCart();
+  } catch (error) {
+    console.error('Error updating cart count:', error);
+  }
+}
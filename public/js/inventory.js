@@ -1,9 +1,46 @@
 let products = [];
 let categories = [];
+let suppliers = [];
+let taxClasses = [];
 let currentProduct = null;
+let currentUser = null;
+let expiringBatches = [];
+let adjustingProduct = null;
 
 let lowStockThreshold = 10; // Default value, will be loaded from settings
 let expiryAlertDays = 30; // Default value, will be loaded from settings
+let lowStockAlertsEnabled = true; // low_stock_alerts setting
+let expiryAlertsEnabled = true; // expiry_alerts setting
+
+// Markup over cost as a percentage of cost; null when the cost is not known
+function getMarkupPercent(price, costPrice) {
+  if (costPrice === null || costPrice === undefined || parseFloat(costPrice) <= 0) {
+    return null;
+  }
+  return (parseFloat(price) - parseFloat(costPrice)) / parseFloat(costPrice) * 100;
+}
+
+function formatMarkup(price, costPrice) {
+  const markup = getMarkupPercent(price, costPrice);
+  if (markup === null) {
+    return '<span style="color: var(--text-light);">-</span>';
+  }
+  const color = markup < 0 ? 'var(--danger-color)' : 'inherit';
+  return `<span style="color: ${color};">${markup.toFixed(1)}%</span>`;
+}
+
+// The markup column is optional and remembered between visits
+function setShowMarkup(enabled) {
+  localStorage.setItem('showMarkup', enabled);
+  const table = document.getElementById('productsTable');
+  if (table) {
+    table.classList.toggle('show-markup', enabled);
+  }
+  const checkbox = document.getElementById('showMarkup');
+  if (checkbox) {
+    checkbox.checked = enabled;
+  }
+}
 
 // Load products
 async function loadProducts(search = '', category = '') {
@@ -14,6 +51,7 @@ async function loadProducts(search = '', category = '') {
 
     const response = await fetch(`/api/products?${params.toString()}`);
     products = await response.json();
+    await loadExpiringBatches();
     displayProducts();
   } catch (error) {
     console.error('Error loading products:', error);
@@ -21,6 +59,17 @@ async function loadProducts(search = '', category = '') {
   }
 }
 
+// Load batches that expire within the alert window
+async function loadExpiringBatches() {
+  try {
+    const response = await fetch('/api/batches/expiring');
+    expiringBatches = response.ok ? await response.json() : [];
+  } catch (error) {
+    console.error('Error loading expiring batches:', error);
+    expiringBatches = [];
+  }
+}
+
 // Load categories
 async function loadCategories() {
   try {
@@ -32,6 +81,29 @@ async function loadCategories() {
   }
 }
 
+// Load tax classes for the product form
+async function loadTaxClasses() {
+  try {
+    const response = await fetch('/api/tax-classes');
+    taxClasses = response.ok ? await response.json() : [];
+    document.getElementById('tax_class_id').innerHTML = '<option value="">Same as category</option>' +
+      taxClasses.map(taxClass => `<option value="${taxClass.id}">${taxClass.name} (${taxClass.rate}%)</option>`).join('');
+  } catch (error) {
+    console.error('Error loading tax classes:', error);
+  }
+}
+
+// Load suppliers for the product form
+async function loadSuppliers() {
+  try {
+    const response = await fetch('/api/suppliers');
+    suppliers = response.ok ? await response.json() : [];
+    populateSupplierSelect();
+  } catch (error) {
+    console.error('Error loading suppliers:', error);
+  }
+}
+
 // Load settings on page load
 async function loadSettings() {
   try {
@@ -47,12 +119,34 @@ async function loadSettings() {
       const expirySetting = await expiryResponse.json();
       expiryAlertDays = parseInt(expirySetting.value) || 30;
     }
+
+    // Banners follow the same on/off settings as the admin notifications
+    const [lowStockAlertsResponse, expiryAlertsResponse] = await Promise.all([
+      fetch('/api/settings/low_stock_alerts'),
+      fetch('/api/settings/expiry_alerts')
+    ]);
+    if (lowStockAlertsResponse.ok) {
+      lowStockAlertsEnabled = (await lowStockAlertsResponse.json()).value !== 'false';
+    }
+    if (expiryAlertsResponse.ok) {
+      expiryAlertsEnabled = (await expiryAlertsResponse.json()).value !== 'false';
+    }
   } catch (error) {
     console.error('Error loading settings:', error);
     // Use default value if settings fail to load
   }
 }
 
+// Reorder point for a product, falling back to the global low stock threshold
+function getReorderPoint(product) {
+  return product.reorder_point ?? lowStockThreshold;
+}
+
+// Check if product is below its reorder point
+function isLowStock(product) {
+  return product.quantity < getReorderPoint(product);
+}
+
 // Check if product is expiring soon
 function isExpiringSoon(expiryDate) {
   if (!expiryDate) return false;
@@ -81,7 +175,7 @@ function displayProducts() {
   if (!tbody) return;
 
   if (products.length === 0) {
-    tbody.innerHTML = '<tr><td colspan="8" style="text-align: center;">No products found</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="9" style="text-align: center;">No products found</td></tr>';
     return;
   }
 
@@ -94,27 +188,27 @@ function displayProducts() {
   const expiryWarningBg = isDarkMode ? '#78350f' : '#fef3c7'; // Dark orange for warning expiry
   const rowBg = isDarkMode ? '#1f1f1f' : '#fef2f2'; // Dark gray for row background
 
-  // Check for low stock items using dynamic threshold
-  const lowStockItems = products.filter(p => p.quantity < lowStockThreshold);
+  // Check for low stock items using each product's reorder point
+  const lowStockItems = products.filter(isLowStock);
   
-  // Check for expiring soon items
-  const expiringItems = products.filter(p => isExpiringSoon(p.expiry_date));
+  // Expiry alerts are raised per batch, not per product
+  const expiringItems = expiringBatches;
   
   // Show alerts if there are low stock or expiring items
-  if (lowStockItems.length > 0) {
+  if (lowStockAlertsEnabled && lowStockItems.length > 0) {
     showLowStockAlert(lowStockItems.length);
   }
   
-  if (expiringItems.length > 0) {
+  if (expiryAlertsEnabled && expiringItems.length > 0) {
     showExpiryAlert(expiringItems.length);
   }
 
   tbody.innerHTML = products.map(product => {
-    const isLowStock = product.quantity < lowStockThreshold;
+    const isBelowReorderPoint = isLowStock(product);
     const isExpiring = isExpiringSoon(product.expiry_date);
     const daysUntilExpiry = getDaysUntilExpiry(product.expiry_date);
     
-    const quantityStyle = isLowStock 
+    const quantityStyle = isBelowReorderPoint 
       ? `color: var(--danger-color); font-weight: bold; background-color: ${lowStockBg}; padding: 0.25rem 0.5rem; border-radius: 4px;` 
       : '';
     
@@ -129,7 +223,7 @@ function displayProducts() {
       expiryBadge = ` <span style="${expiryStyle}">⚠️ ${daysUntilExpiry} day${daysUntilExpiry !== 1 ? 's' : ''}</span>`;
     }
     
-    const rowStyle = isLowStock || isExpiring ? `background-color: ${rowBg};` : '';
+    const rowStyle = isBelowReorderPoint || isExpiring ? `background-color: ${rowBg};` : '';
     const defaultImage = 'data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%2250%22 height=%2250%22%3E%3Crect width=%2250%22 height=%2250%22 fill=%22%23f3f4f6%22/%3E%3Ctext x=%2250%25%22 y=%2250%25%22 text-anchor=%22middle%22 dy=%22.3em%22 font-size=%2220%22 fill=%22%239ca3af%22%3E💊%3C/text%3E%3C/svg%3E';
     
     return `
@@ -142,14 +236,16 @@ function displayProducts() {
             onerror="this.src='${defaultImage}'"
           >
         </td>
-        <td>${product.name} ${isLowStock ? '⚠️' : ''} ${isExpiring ? '📅' : ''}</td>
+        <td>${product.name} ${product.requires_prescription ? '<span style="background: var(--danger-color); color: white; padding: 0.125rem 0.375rem; border-radius: 4px; font-size: 0.75rem;" title="Prescription required">Rx</span>' : ''} ${product.controlled_substance ? '<span style="background: var(--warning-color); color: white; padding: 0.125rem 0.375rem; border-radius: 4px; font-size: 0.75rem;" title="Controlled substance">CD</span>' : ''} ${isBelowReorderPoint ? '⚠️' : ''} ${isExpiring ? '📅' : ''}</td>
         <td>${product.category}</td>
-        <td><span style="${quantityStyle}">${product.quantity}</span></td>
+        <td><span style="${quantityStyle}">${product.quantity}</span> <small style="color: var(--text-light);">${product.base_unit || 'unit'}</small></td>
         <td>Rs ${parseFloat(product.price).toFixed(2)}</td>
+        <td class="markup-col">${formatMarkup(product.price, product.cost_price)}</td>
         <td>${product.expiry_date ? formatSriLankanDate(product.expiry_date) : 'N/A'}${expiryBadge}</td>
         <td>${product.supplier || 'N/A'}</td>
         <td>
           <button onclick="editProduct(${product.id})" class="btn btn-primary" style="padding: 0.5rem 1rem; margin-right: 0.5rem;">Edit</button>
+          <button onclick="openAdjustmentModal(${product.id})" class="btn btn-secondary" style="padding: 0.5rem 1rem; margin-right: 0.5rem;">Adjust</button>
           <button onclick="deleteProduct(${product.id})" class="btn btn-danger" style="padding: 0.5rem 1rem;">Delete</button>
         </td>
       </tr>
@@ -164,12 +260,21 @@ function populateCategorySelect() {
   
   if (select) {
     select.innerHTML = '<option value="">Select Category</option>' +
-      categories.map(cat => `<option value="${cat.name}">${cat.name}</option>`).join('');
+      categories.map(cat => `<option value="${cat.name}">${'&nbsp;&nbsp;&nbsp;'.repeat(cat.depth || 0)}${cat.name}</option>`).join('');
   }
 
   if (filterSelect) {
     filterSelect.innerHTML = '<option value="">All Categories</option>' +
-      categories.map(cat => `<option value="${cat.name}">${cat.name}</option>`).join('');
+      categories.map(cat => `<option value="${cat.name}">${'&nbsp;&nbsp;&nbsp;'.repeat(cat.depth || 0)}${cat.name}</option>`).join('');
+  }
+}
+
+function populateSupplierSelect() {
+  const select = document.getElementById('supplier_id');
+
+  if (select) {
+    select.innerHTML = '<option value="">No Supplier</option>' +
+      suppliers.map(supplier => `<option value="${supplier.id}">${supplier.name}</option>`).join('');
   }
 }
 
@@ -184,9 +289,24 @@ function openAddModal() {
   document.getElementById('previewImg').src = '';
   document.getElementById('currentImg').src = '';
   document.getElementById('productImage').value = '';
+  document.getElementById('unitsSection').style.display = 'none';
+  document.getElementById('batchesSection').style.display = 'none';
+  document.getElementById('priceHistorySection').style.display = 'none';
+  document.getElementById('movementsSection').style.display = 'none';
+  document.getElementById('labelLinks').style.display = 'none';
+  setOpeningStockFields(true);
   document.getElementById('productModal').style.display = 'block';
 }
 
+// Opening stock is only entered with a new product. Disabled fields are left out of the form data,
+// so editing a product never sends a quantity; stock changes go through a stock adjustment instead.
+function setOpeningStockFields(enabled) {
+  document.getElementById('openingStockFields').style.display = enabled ? 'block' : 'none';
+  ['quantity', 'lot_number', 'expiry_date'].forEach(id => {
+    document.getElementById(id).disabled = !enabled;
+  });
+}
+
 // Edit product
 async function editProduct(id) {
   try {
@@ -197,11 +317,26 @@ async function editProduct(id) {
     document.getElementById('name').value = product.name;
     document.getElementById('description').value = product.description || '';
     document.getElementById('category').value = product.category;
-    document.getElementById('quantity').value = product.quantity;
+    document.getElementById('requires_prescription').checked = !!product.requires_prescription;
+    document.getElementById('controlled_substance').checked = !!product.controlled_substance;
+    document.getElementById('base_unit').value = product.base_unit || '';
     document.getElementById('price').value = product.price;
-    document.getElementById('expiry_date').value = product.expiry_date || '';
-    document.getElementById('supplier').value = product.supplier || '';
+    document.getElementById('cost_price').value = product.cost_price ?? '';
+    document.getElementById('tax_class_id').value = product.tax_class_id || '';
+    document.getElementById('reorder_point').value = product.reorder_point ?? '';
+    document.getElementById('reorder_quantity').value = product.reorder_quantity ?? '';
+    document.getElementById('max_stock').value = product.max_stock ?? '';
+    setOpeningStockFields(false);
+    document.getElementById('supplier_id').value = product.supplier_id || '';
     document.getElementById('barcode').value = product.barcode || '';
+    // Labels are printed from the saved barcode
+    if (product.barcode) {
+      document.getElementById('shelfLabelLink').href = `/api/products/${product.id}/label.svg`;
+      document.getElementById('binLabelLink').href = `/api/products/${product.id}/label.svg?type=bin`;
+      document.getElementById('labelLinks').style.display = 'block';
+    } else {
+      document.getElementById('labelLinks').style.display = 'none';
+    }
     
     // Handle image display
     const currentImageDiv = document.getElementById('currentImage');
@@ -224,6 +359,14 @@ async function editProduct(id) {
     }
     
     document.getElementById('modalTitle').textContent = 'Edit Product';
+    document.getElementById('unitsSection').style.display = 'block';
+    displayUnits();
+    document.getElementById('batchesSection').style.display = 'block';
+    loadBatches(product.id);
+    document.getElementById('priceHistorySection').style.display = 'block';
+    loadPriceHistory(product.id);
+    document.getElementById('movementsSection').style.display = 'block';
+    loadMovements(product.id);
     document.getElementById('productModal').style.display = 'block';
   } catch (error) {
     console.error('Error loading product:', error);
@@ -235,6 +378,9 @@ async function editProduct(id) {
 async function saveProduct() {
   const form = document.getElementById('productForm');
   const formData = new FormData(form);
+  // Unticked checkboxes are left out of form data; send them so an update can clear the flag
+  formData.set('requires_prescription', document.getElementById('requires_prescription').checked ? '1' : '0');
+  formData.set('controlled_substance', document.getElementById('controlled_substance').checked ? '1' : '0');
   
   // Note: Don't set Content-Type header - browser will set it with boundary for multipart/form-data
   // The image file will be included in FormData automatically
@@ -303,6 +449,679 @@ function closeModal() {
   document.getElementById('previewImg').src = '';
   document.getElementById('currentImg').src = '';
   document.getElementById('productImage').value = '';
+  document.getElementById('unitsSection').style.display = 'none';
+  document.getElementById('batchesSection').style.display = 'none';
+  document.getElementById('priceHistorySection').style.display = 'none';
+  document.getElementById('movementsSection').style.display = 'none';
+}
+
+// Show the pack sizes of the product being edited
+function displayUnits() {
+  const tbody = document.querySelector('#unitsTable tbody');
+  if (!tbody || !currentProduct) return;
+
+  const units = currentProduct.units || [];
+  if (units.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="5" style="text-align: center;">Sold by the ${currentProduct.base_unit || 'unit'} only</td></tr>`;
+    return;
+  }
+
+  tbody.innerHTML = units.map(unit => `
+    <tr>
+      <td><input type="text" id="unitName_${unit.id}" value="${unit.name}" style="padding: 0.5rem;"></td>
+      <td><input type="number" id="unitSize_${unit.id}" value="${unit.units_per_pack}" min="2" style="width: 90px; padding: 0.5rem;"></td>
+      <td><input type="number" id="unitPrice_${unit.id}" value="${unit.price ?? ''}" min="0" step="0.01" placeholder="Not sold" style="width: 110px; padding: 0.5rem;"></td>
+      <td><input type="checkbox" id="unitPurchase_${unit.id}" ${unit.is_purchase_unit ? 'checked' : ''} style="width: auto;"></td>
+      <td>
+        <button type="button" onclick="saveUnit(${unit.id})" class="btn btn-primary" style="padding: 0.5rem 1rem; margin-right: 0.5rem;">Save</button>
+        <button type="button" onclick="deleteUnit(${unit.id})" class="btn btn-danger" style="padding: 0.5rem 1rem;">Remove</button>
+      </td>
+    </tr>
+  `).join('');
+}
+
+// Reload the product being edited so its pack sizes are current
+async function refreshUnits() {
+  const response = await fetch(`/api/products/${currentProduct.id}`);
+  if (response.ok) {
+    currentProduct = await response.json();
+    displayUnits();
+  }
+}
+
+// Send a pack size to the server; unitId is null for a new one
+async function submitUnit(unitId, unit) {
+  try {
+    const response = await fetch(`/api/products/${currentProduct.id}/units${unitId ? `/${unitId}` : ''}`, {
+      method: unitId ? 'PUT' : 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(unit)
+    });
+
+    const data = await response.json();
+
+    if (response.ok) {
+      showAlert(data.message || 'Pack size saved successfully', 'success');
+      await refreshUnits();
+      return true;
+    }
+    showAlert(data.error || 'Failed to save pack size', 'error');
+  } catch (error) {
+    console.error('Error saving pack size:', error);
+    showAlert('An error occurred', 'error');
+  }
+  return false;
+}
+
+async function addUnit() {
+  if (!currentProduct) return;
+
+  const saved = await submitUnit(null, {
+    name: document.getElementById('newUnitName').value,
+    units_per_pack: document.getElementById('newUnitSize').value,
+    price: document.getElementById('newUnitPrice').value,
+    is_purchase_unit: document.getElementById('newUnitPurchase').checked
+  });
+  if (saved) {
+    document.getElementById('newUnitName').value = '';
+    document.getElementById('newUnitSize').value = '';
+    document.getElementById('newUnitPrice').value = '';
+    document.getElementById('newUnitPurchase').checked = false;
+  }
+}
+
+function saveUnit(unitId) {
+  if (!currentProduct) return;
+
+  submitUnit(unitId, {
+    name: document.getElementById(`unitName_${unitId}`).value,
+    units_per_pack: document.getElementById(`unitSize_${unitId}`).value,
+    price: document.getElementById(`unitPrice_${unitId}`).value,
+    is_purchase_unit: document.getElementById(`unitPurchase_${unitId}`).checked
+  });
+}
+
+async function deleteUnit(unitId) {
+  if (!currentProduct) return;
+
+  const unit = (currentProduct.units || []).find(u => u.id === unitId);
+  if (!confirm(`Remove the ${unit ? unit.name : 'pack size'} pack size? Past orders keep the pack size they were placed with.`)) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/products/${currentProduct.id}/units/${unitId}`, {
+      method: 'DELETE'
+    });
+
+    const data = await response.json();
+
+    if (response.ok) {
+      showAlert(data.message || 'Pack size removed successfully', 'success');
+      refreshUnits();
+    } else {
+      showAlert(data.error || 'Failed to remove pack size', 'error');
+    }
+  } catch (error) {
+    console.error('Error removing pack size:', error);
+    showAlert('An error occurred', 'error');
+  }
+}
+
+// Load batches for the product being edited
+async function loadBatches(productId) {
+  const tbody = document.querySelector('#batchesTable tbody');
+  if (!tbody) return;
+
+  try {
+    const response = await fetch(`/api/products/${productId}/batches`);
+    const batches = await response.json();
+
+    if (!response.ok) {
+      tbody.innerHTML = `<tr><td colspan="6" style="text-align: center;">${batches.error || 'Failed to load batches'}</td></tr>`;
+      return;
+    }
+
+    if (batches.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="6" style="text-align: center;">No batches received yet</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = batches.map(batch => {
+      const isExpiring = batch.quantity_remaining > 0 && !batch.quarantined_at && isExpiringSoon(batch.expiry_date);
+      return `
+        <tr style="${batch.quantity_remaining === 0 || batch.quarantined_at ? 'color: var(--text-light);' : ''}">
+          <td>
+            ${batch.lot_number}
+            ${batch.quarantined_at ? `<br><small style="color: var(--danger-color);">Quarantined (${batch.quarantine_reason}) - off sale</small>` : ''}
+          </td>
+          <td>${batch.expiry_date ? formatSriLankanDate(batch.expiry_date) : 'N/A'} ${isExpiring ? '📅' : ''}</td>
+          <td>${batch.quantity_received}</td>
+          <td><strong>${batch.quantity_remaining}</strong></td>
+          <td>${batch.unit_cost !== null ? `Rs ${parseFloat(batch.unit_cost).toFixed(2)}` : '-'}</td>
+          <td>
+            ${batch.quarantined_at
+              ? `<button type="button" onclick="releaseBatch(${batch.id})" class="btn btn-secondary" style="padding: 0.25rem 0.75rem; font-size: 0.875rem;">Release</button>`
+              : batch.quantity_remaining > 0
+                ? `<button type="button" onclick="quarantineBatch(${batch.id})" class="btn btn-danger" style="padding: 0.25rem 0.75rem; font-size: 0.875rem;">Quarantine</button>`
+                : ''}
+          </td>
+        </tr>
+      `;
+    }).join('');
+  } catch (error) {
+    console.error('Error loading batches:', error);
+    tbody.innerHTML = '<tr><td colspan="6" style="text-align: center;">Failed to load batches</td></tr>';
+  }
+}
+
+// Take a lot of the product being edited off sale
+async function quarantineBatch(batchId) {
+  const reason = prompt('Reason for quarantining this lot (e.g. recalled, damaged):');
+  if (reason === null) {
+    return;
+  }
+  await updateBatchQuarantine(`/api/batches/${batchId}/quarantine`, { reason }, 'Failed to quarantine the lot');
+}
+
+// Put a quarantined lot of the product being edited back on sale
+async function releaseBatch(batchId) {
+  if (!confirm('Put this lot back on sale?')) {
+    return;
+  }
+  await updateBatchQuarantine(`/api/batches/${batchId}/release`, {}, 'Failed to release the lot');
+}
+
+async function updateBatchQuarantine(url, body, fallbackError) {
+  if (!currentProduct) return;
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+
+    if (response.ok) {
+      showAlert(data.message, 'success');
+
+      const productResponse = await fetch(`/api/products/${currentProduct.id}`);
+      if (productResponse.ok) {
+        currentProduct = await productResponse.json();
+      }
+      loadBatches(currentProduct.id);
+      loadMovements(currentProduct.id);
+      loadProducts();
+    } else {
+      showAlert(data.error || fallbackError, 'error');
+    }
+  } catch (error) {
+    console.error('Error updating quarantine:', error);
+    showAlert('An error occurred', 'error');
+  }
+}
+
+// Load the selling and cost price changes of the product being edited
+async function loadPriceHistory(productId) {
+  const tbody = document.querySelector('#priceHistoryTable tbody');
+  if (!tbody) return;
+
+  try {
+    const response = await fetch(`/api/products/${productId}/price-history`);
+    const history = await response.json();
+
+    if (!response.ok) {
+      tbody.innerHTML = `<tr><td colspan="5" style="text-align: center;">${history.error || 'Failed to load price history'}</td></tr>`;
+      return;
+    }
+
+    if (history.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" style="text-align: center;">No price changes recorded</td></tr>';
+      return;
+    }
+
+    const formatPrice = price => price !== null ? `Rs ${parseFloat(price).toFixed(2)}` : '-';
+    tbody.innerHTML = history.map(change => `
+      <tr>
+        <td><small>${formatSriLankanDateTime(change.changed_at)}</small></td>
+        <td>${change.price_type === 'cost' ? 'Cost' : 'Selling'}${change.note ? `<br><small style="color: var(--text-light);">${change.note}</small>` : ''}</td>
+        <td>${formatPrice(change.old_price)}</td>
+        <td><strong>${formatPrice(change.new_price)}</strong></td>
+        <td>${change.username || '-'}</td>
+      </tr>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading price history:', error);
+    tbody.innerHTML = '<tr><td colspan="5" style="text-align: center;">Failed to load price history</td></tr>';
+  }
+}
+
+// Readable labels for stock movement reasons
+const movementReasonLabels = {
+  opening: 'Opening balance',
+  receipt: 'Receipt',
+  sale: 'Sale',
+  cancellation: 'Order cancelled',
+  manual_edit: 'Manual edit',
+  adjustment: 'Adjustment',
+  quarantine: 'Quarantined',
+  quarantine_release: 'Released from quarantine',
+  disposal: 'Disposed of'
+};
+
+// Readable labels for stock adjustment reason codes
+const adjustmentReasonLabels = {
+  damaged: 'Damaged',
+  expired_write_off: 'Expired write-off',
+  theft: 'Theft',
+  count_correction: 'Count correction',
+  donation: 'Donation'
+};
+
+// Load the stock movement ledger for the product being edited
+async function loadMovements(productId) {
+  const tbody = document.querySelector('#movementsTable tbody');
+  if (!tbody) return;
+
+  try {
+    const response = await fetch(`/api/products/${productId}/movements`);
+    const movements = await response.json();
+
+    if (!response.ok) {
+      tbody.innerHTML = `<tr><td colspan="7" style="text-align: center;">${movements.error || 'Failed to load stock history'}</td></tr>`;
+      return;
+    }
+
+    if (movements.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="7" style="text-align: center;">No stock movements recorded</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = movements.map(movement => {
+      const isIncrease = movement.quantity_change > 0;
+      const changeColor = isIncrease ? 'var(--success-color)' : 'var(--danger-color)';
+      return `
+        <tr>
+          <td><small>${formatSriLankanDateTime(movement.created_at)}</small></td>
+          <td>${movementReasonLabels[movement.reason] || movement.reason}${movement.note ? `<br><small style="color: var(--text-light);">${movement.note}</small>` : ''}</td>
+          <td style="color: ${changeColor}; font-weight: bold;">${isIncrease ? '+' : ''}${movement.quantity_change}</td>
+          <td>${movement.balance_after}</td>
+          <td>${movement.lot_number || '-'}</td>
+          <td>${movement.reference_label || '-'}</td>
+          <td>${movement.username || '-'}</td>
+        </tr>
+      `;
+    }).join('');
+  } catch (error) {
+    console.error('Error loading stock history:', error);
+    tbody.innerHTML = '<tr><td colspan="7" style="text-align: center;">Failed to load stock history</td></tr>';
+  }
+}
+
+// Receive a new batch for the product being edited
+async function receiveBatch() {
+  if (!currentProduct) return;
+
+  const quantity = parseInt(document.getElementById('newBatchQuantity').value);
+  if (!quantity || quantity <= 0) {
+    showAlert('Enter a batch quantity greater than 0', 'error');
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/products/${currentProduct.id}/batches`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        lot_number: document.getElementById('newBatchLot').value.trim(),
+        expiry_date: document.getElementById('newBatchExpiry').value,
+        quantity: quantity,
+        unit_cost: document.getElementById('newBatchCost').value
+      })
+    });
+
+    const data = await response.json();
+
+    if (response.ok) {
+      showAlert(data.message || 'Batch received successfully', 'success');
+      document.getElementById('newBatchLot').value = '';
+      document.getElementById('newBatchExpiry').value = '';
+      document.getElementById('newBatchQuantity').value = '';
+      document.getElementById('newBatchCost').value = '';
+
+      const productResponse = await fetch(`/api/products/${currentProduct.id}`);
+      if (productResponse.ok) {
+        currentProduct = await productResponse.json();
+      }
+      loadBatches(currentProduct.id);
+      loadMovements(currentProduct.id);
+      loadProducts();
+    } else {
+      showAlert(data.error || 'Failed to receive batch', 'error');
+    }
+  } catch (error) {
+    console.error('Error receiving batch:', error);
+    showAlert('An error occurred', 'error');
+  }
+}
+
+// Open the stock adjustment modal for a product
+async function openAdjustmentModal(productId) {
+  try {
+    const [productResponse, batchesResponse] = await Promise.all([
+      fetch(`/api/products/${productId}`),
+      fetch(`/api/products/${productId}/batches`)
+    ]);
+    adjustingProduct = await productResponse.json();
+    const batches = batchesResponse.ok ? await batchesResponse.json() : [];
+
+    document.getElementById('adjustmentForm').reset();
+    document.getElementById('adjustmentProductInfo').innerHTML =
+      `<strong>${adjustingProduct.name}</strong> - current stock: <strong>${adjustingProduct.quantity}</strong>`;
+    document.getElementById('adjustmentBatch').innerHTML = '<option value="">Any batch (earliest expiry first)</option>' +
+      batches.filter(batch => !batch.quarantined_at).map(batch => `
+        <option value="${batch.id}">
+          ${batch.lot_number} - ${batch.quantity_remaining} left${batch.expiry_date ? ` (exp. ${formatSriLankanDate(batch.expiry_date)})` : ''}
+        </option>
+      `).join('');
+
+    document.getElementById('adjustmentModal').style.display = 'block';
+  } catch (error) {
+    console.error('Error loading product for adjustment:', error);
+    showAlert('Failed to load product', 'error');
+  }
+}
+
+// Close the stock adjustment modal
+function closeAdjustmentModal() {
+  document.getElementById('adjustmentModal').style.display = 'none';
+  document.getElementById('adjustmentForm').reset();
+  adjustingProduct = null;
+}
+
+// Submit a stock adjustment
+async function saveAdjustment() {
+  if (!adjustingProduct) return;
+
+  const quantityChange = parseInt(document.getElementById('adjustmentQuantity').value);
+  if (!quantityChange) {
+    showAlert('Enter a non-zero quantity change', 'error');
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/products/${adjustingProduct.id}/adjustments`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        batch_id: document.getElementById('adjustmentBatch').value || null,
+        quantity_change: quantityChange,
+        reason: document.getElementById('adjustmentReason').value,
+        note: document.getElementById('adjustmentNote').value.trim()
+      })
+    });
+
+    const data = await response.json();
+
+    if (response.ok) {
+      showAlert(data.message || 'Stock adjusted successfully', 'success');
+      closeAdjustmentModal();
+      loadProducts();
+      loadPendingAdjustments();
+    } else {
+      showAlert(data.error || 'Failed to adjust stock', 'error');
+    }
+  } catch (error) {
+    console.error('Error saving adjustment:', error);
+    showAlert('An error occurred', 'error');
+  }
+}
+
+// Load adjustments waiting for a second admin's approval
+async function loadPendingAdjustments() {
+  const section = document.getElementById('pendingAdjustmentsSection');
+  const tbody = document.querySelector('#pendingAdjustmentsTable tbody');
+  if (!section || !tbody) return;
+
+  try {
+    const response = await fetch('/api/adjustments?status=pending');
+    const adjustments = response.ok ? await response.json() : [];
+
+    if (adjustments.length === 0) {
+      section.style.display = 'none';
+      return;
+    }
+
+    tbody.innerHTML = adjustments.map(adjustment => {
+      const isOwnRequest = currentUser && adjustment.requested_by === currentUser.id;
+      const isIncrease = adjustment.quantity_change > 0;
+      return `
+        <tr>
+          <td><small>${formatSriLankanDateTime(adjustment.created_at)}</small></td>
+          <td>${adjustment.product_name}${adjustment.lot_number ? `<br><small style="color: var(--text-light);">Lot ${adjustment.lot_number}</small>` : ''}</td>
+          <td style="color: ${isIncrease ? 'var(--success-color)' : 'var(--danger-color)'}; font-weight: bold;">${isIncrease ? '+' : ''}${adjustment.quantity_change}</td>
+          <td>${adjustmentReasonLabels[adjustment.reason] || adjustment.reason}${adjustment.note ? `<br><small style="color: var(--text-light);">${adjustment.note}</small>` : ''}</td>
+          <td>${adjustment.requested_by_username || '-'}</td>
+          <td>
+            ${isOwnRequest
+              ? '<small style="color: var(--text-light);">Awaiting another admin</small>'
+              : `<button onclick="approveAdjustment(${adjustment.id})" class="btn btn-success" style="padding: 0.5rem 1rem; margin-right: 0.5rem;">Approve</button>
+                 <button onclick="rejectAdjustment(${adjustment.id})" class="btn btn-danger" style="padding: 0.5rem 1rem;">Reject</button>`}
+          </td>
+        </tr>
+      `;
+    }).join('');
+    section.style.display = 'block';
+  } catch (error) {
+    console.error('Error loading pending adjustments:', error);
+  }
+}
+
+// Approve a pending adjustment
+async function approveAdjustment(id) {
+  if (!confirm('Approve this stock adjustment? It will be applied immediately.')) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/adjustments/${id}/approve`, { method: 'POST' });
+    const data = await response.json();
+
+    if (response.ok) {
+      showAlert(data.message || 'Adjustment approved', 'success');
+      loadPendingAdjustments();
+      loadProducts();
+    } else {
+      showAlert(data.error || 'Failed to approve adjustment', 'error');
+    }
+  } catch (error) {
+    console.error('Error approving adjustment:', error);
+    showAlert('An error occurred', 'error');
+  }
+}
+
+// Reject a pending adjustment
+async function rejectAdjustment(id) {
+  const rejectionReason = prompt('Reason for rejecting this adjustment:');
+  if (rejectionReason === null) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/adjustments/${id}/reject`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ rejection_reason: rejectionReason })
+    });
+    const data = await response.json();
+
+    if (response.ok) {
+      showAlert(data.message || 'Adjustment rejected', 'success');
+      loadPendingAdjustments();
+    } else {
+      showAlert(data.error || 'Failed to reject adjustment', 'error');
+    }
+  } catch (error) {
+    console.error('Error rejecting adjustment:', error);
+    showAlert('An error occurred', 'error');
+  }
+}
+
+// Handle a scanned barcode: known products open for stock adjustment, unknown codes start a new product
+async function handleBarcodeScan(code) {
+  try {
+    const response = await fetch(`/api/products/by-barcode/${encodeURIComponent(code)}`);
+    const data = await response.json();
+
+    if (response.ok) {
+      closeModal();
+      closeAdjustmentModal();
+      openAdjustmentModal(data.id);
+      return;
+    }
+
+    if (response.status === 404 && data.valid) {
+      closeAdjustmentModal();
+      openAddModal();
+      document.getElementById('barcode').value = data.barcode;
+      showAlert(`No product with barcode ${data.barcode} yet - fill in the details to add it`, 'info');
+      return;
+    }
+
+    showAlert(data.barcodeError ? `Barcode ${data.barcode}: ${data.barcodeError}` : (data.error || 'Barcode lookup failed'), 'error');
+  } catch (error) {
+    console.error('Error looking up barcode:', error);
+    showAlert('An error occurred', 'error');
+  }
+}
+
+// Look up a barcode typed into the scan mode box
+function lookUpTypedBarcode() {
+  const input = document.getElementById('scanInput');
+  const code = input.value.trim();
+  if (!code) return;
+  input.value = '';
+  handleBarcodeScan(code);
+}
+
+// Open the CSV import modal
+function openImportModal() {
+  document.getElementById('importForm').reset();
+  resetImportReport();
+  document.getElementById('importModal').style.display = 'block';
+}
+
+// Close the CSV import modal
+function closeImportModal() {
+  document.getElementById('importModal').style.display = 'none';
+  document.getElementById('importForm').reset();
+  resetImportReport();
+}
+
+// Clear the dry run report (e.g. when a different file is chosen)
+function resetImportReport() {
+  document.getElementById('importReport').innerHTML = '';
+  document.getElementById('commitImportBtn').style.display = 'none';
+}
+
+// Upload the CSV - a dry run first, then again with commit once the report has been reviewed
+async function runImport(commit) {
+  const file = document.getElementById('importFile').files[0];
+  if (!file) {
+    showAlert('Please choose a CSV file', 'error');
+    return;
+  }
+
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('commit', commit ? 'true' : 'false');
+
+  try {
+    const response = await fetch('/api/products/import', {
+      method: 'POST',
+      body: formData
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      document.getElementById('importReport').innerHTML = `<div class="alert alert-error">${data.error || 'Import failed'}</div>`;
+      document.getElementById('commitImportBtn').style.display = 'none';
+      return;
+    }
+
+    if (commit) {
+      showAlert(data.message, 'success');
+      closeImportModal();
+      loadProducts();
+      return;
+    }
+
+    displayImportReport(data);
+  } catch (error) {
+    console.error('Error importing products:', error);
+    showAlert('An error occurred', 'error');
+  }
+}
+
+// Show what an import would do
+function displayImportReport(report) {
+  const { summary } = report;
+  const listSection = (title, color, items, render) => items.length === 0 ? '' : `
+    <h4 style="margin: 1rem 0 0.5rem; color: ${color};">${title} (${items.length})</h4>
+    <ul style="margin-left: 1.25rem; max-height: 180px; overflow-y: auto;">
+      ${items.map(item => `<li>${render(item)}</li>`).join('')}
+    </ul>
+  `;
+
+  document.getElementById('importReport').innerHTML = `
+    <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(110px, 1fr)); gap: 0.75rem; margin-top: 1rem;">
+      <div style="padding: 0.75rem; background: var(--bg-light); border-radius: 0.5rem; text-align: center;">
+        <div style="font-size: 1.5rem; font-weight: bold; color: var(--success-color);">${summary.creates}</div>
+        <small style="color: var(--text-light);">New</small>
+      </div>
+      <div style="padding: 0.75rem; background: var(--bg-light); border-radius: 0.5rem; text-align: center;">
+        <div style="font-size: 1.5rem; font-weight: bold; color: var(--primary-color);">${summary.updates}</div>
+        <small style="color: var(--text-light);">Updates</small>
+      </div>
+      <div style="padding: 0.75rem; background: var(--bg-light); border-radius: 0.5rem; text-align: center;">
+        <div style="font-size: 1.5rem; font-weight: bold;">${summary.unchanged}</div>
+        <small style="color: var(--text-light);">Unchanged</small>
+      </div>
+      <div style="padding: 0.75rem; background: var(--bg-light); border-radius: 0.5rem; text-align: center;">
+        <div style="font-size: 1.5rem; font-weight: bold; color: var(--danger-color);">${summary.invalid}</div>
+        <small style="color: var(--text-light);">Invalid</small>
+      </div>
+      <div style="padding: 0.75rem; background: var(--bg-light); border-radius: 0.5rem; text-align: center;">
+        <div style="font-size: 1.5rem; font-weight: bold; color: var(--warning-color);">${summary.duplicates}</div>
+        <small style="color: var(--text-light);">Duplicate Barcodes</small>
+      </div>
+    </div>
+    ${listSection('Invalid rows (will be skipped)', 'var(--danger-color)', report.invalid,
+      item => `Row ${item.row}${item.name ? ` - ${item.name}` : ''}: ${item.errors.join('; ')}`)}
+    ${listSection('Duplicate barcodes (will be skipped)', 'var(--warning-color)', report.duplicates,
+      item => `${item.barcode} on rows ${item.rows.join(', ')}`)}
+    ${listSection('New products', 'var(--success-color)', report.creates,
+      item => `Row ${item.row}: ${item.name}${item.barcode ? ` (${item.barcode})` : ''}`)}
+    ${listSection('Updated products', 'var(--primary-color)', report.updates,
+      item => `Row ${item.row}: ${item.name} - ${item.changes.join(', ')}`)}
+  `;
+
+  const commitBtn = document.getElementById('commitImportBtn');
+  const importable = summary.creates + summary.updates;
+  commitBtn.textContent = `Import ${importable} Product(s)`;
+  commitBtn.style.display = importable > 0 ? 'inline-block' : 'none';
 }
 
 // Preview product image before upload
@@ -370,7 +1189,7 @@ function showLowStockAlert(count) {
   alertDiv.id = 'lowStockAlert';
   alertDiv.className = 'alert alert-error';
   alertDiv.innerHTML = `
-    <strong>⚠️ Low Stock Alert:</strong> ${count} product(s) have low stock (quantity < ${lowStockThreshold}). 
+    <strong>⚠️ Low Stock Alert:</strong> ${count} product(s) are below their reorder point (default < ${lowStockThreshold}). 
     <button onclick="filterLowStock()" class="btn btn-primary" style="margin-left: 1rem; padding: 0.5rem 1rem; font-size: 0.875rem;">View Low Stock Items</button>
   `;
   
@@ -383,7 +1202,7 @@ function filterLowStock() {
   const lowStockBg = isDarkMode ? '#7f1d1d' : '#fee2e2';
   const rowBg = isDarkMode ? '#1f1f1f' : '#fef2f2';
   
-  const lowStockProducts = products.filter(p => p.quantity < lowStockThreshold);
+  const lowStockProducts = products.filter(isLowStock);
   
   const tbody = document.querySelector('#productsTable tbody');
   const resetBtn = document.getElementById('resetBtn');
@@ -391,7 +1210,7 @@ function filterLowStock() {
   if (!tbody) return;
   
   if (lowStockProducts.length === 0) {
-    tbody.innerHTML = '<tr><td colspan="8" style="text-align: center;">No low stock items found</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="9" style="text-align: center;">No low stock items found</td></tr>';
     if (resetBtn) resetBtn.style.display = 'none';
     return;
   }
@@ -412,10 +1231,12 @@ function filterLowStock() {
       <td>${product.category}</td>
       <td><span style="color: var(--danger-color); font-weight: bold; background-color: ${lowStockBg}; padding: 0.25rem 0.5rem; border-radius: 4px;">${product.quantity}</span></td>
       <td>Rs ${parseFloat(product.price).toFixed(2)}</td>
+      <td class="markup-col">${formatMarkup(product.price, product.cost_price)}</td>
       <td>${product.expiry_date ? formatSriLankanDate(product.expiry_date) : 'N/A'}</td>
       <td>${product.supplier || 'N/A'}</td>
       <td>
         <button onclick="editProduct(${product.id})" class="btn btn-primary" style="padding: 0.5rem 1rem; margin-right: 0.5rem;">Edit</button>
+        <button onclick="openAdjustmentModal(${product.id})" class="btn btn-secondary" style="padding: 0.5rem 1rem; margin-right: 0.5rem;">Adjust</button>
         <button onclick="deleteProduct(${product.id})" class="btn btn-danger" style="padding: 0.5rem 1rem;">Delete</button>
       </td>
     </tr>
@@ -437,21 +1258,22 @@ function showExpiryAlert(count) {
   alertDiv.id = 'expiryAlert';
   alertDiv.className = 'alert alert-warning';
   alertDiv.innerHTML = `
-    <strong>📅 Expiry Alert:</strong> ${count} product(s) are expiring within ${expiryAlertDays} days. 
+    <strong>📅 Expiry Alert:</strong> ${count} batch(es) are expiring within ${expiryAlertDays} days. 
     <button onclick="filterExpiring()" class="btn btn-warning" style="margin-left: 1rem; padding: 0.5rem 1rem; font-size: 0.875rem;">View Expiring Items</button>
   `;
   
   alertContainer.appendChild(alertDiv);
 }
 
-// Filter to show only expiring items
-function filterExpiring() {
+// Filter to show only expiring batches (one row per lot)
+async function filterExpiring() {
   const isDarkMode = document.documentElement.getAttribute('data-theme') === 'dark';
   const expiryUrgentBg = isDarkMode ? '#7f1d1d' : '#fee2e2';
   const expiryWarningBg = isDarkMode ? '#78350f' : '#fef3c7';
   const rowBg = isDarkMode ? '#1f1f1f' : '#fef2f2';
   
-  const expiringProducts = products.filter(p => isExpiringSoon(p.expiry_date));
+  await loadExpiringBatches();
+  const expiringProducts = expiringBatches;
   
   const tbody = document.querySelector('#productsTable tbody');
   const resetBtn = document.getElementById('resetBtn');
@@ -459,15 +1281,15 @@ function filterExpiring() {
   if (!tbody) return;
   
   if (expiringProducts.length === 0) {
-    tbody.innerHTML = '<tr><td colspan="8" style="text-align: center;">No expiring items found</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="9" style="text-align: center;">No expiring items found</td></tr>';
     if (resetBtn) resetBtn.style.display = 'none';
     return;
   }
   
   const defaultImage = 'data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%2250%22 height=%2250%22%3E%3Crect width=%2250%22 height=%2250%22 fill=%22%23f3f4f6%22/%3E%3Ctext x=%2250%25%22 y=%2250%25%22 text-anchor=%22middle%22 dy=%22.3em%22 font-size=%2220%22 fill=%22%239ca3af%22%3E💊%3C/text%3E%3C/svg%3E';
   
-  tbody.innerHTML = expiringProducts.map(product => {
-    const daysUntilExpiry = getDaysUntilExpiry(product.expiry_date);
+  tbody.innerHTML = expiringProducts.map(batch => {
+    const daysUntilExpiry = getDaysUntilExpiry(batch.expiry_date);
     const isUrgent = daysUntilExpiry <= 7;
     const expiryStyle = isUrgent 
       ? `color: var(--danger-color); font-weight: bold; background-color: ${expiryUrgentBg}; padding: 0.25rem 0.5rem; border-radius: 4px;`
@@ -477,24 +1299,26 @@ function filterExpiring() {
       <tr style="background-color: ${rowBg};">
         <td>
           <img 
-            src="${product.image || defaultImage}" 
-            alt="${product.name}" 
+            src="${batch.image || defaultImage}" 
+            alt="${batch.product_name}" 
             style="width: 50px; height: 50px; object-fit: cover; border-radius: 4px; border: 1px solid var(--border-color);"
             onerror="this.src='${defaultImage}'"
           >
         </td>
-        <td>${product.name} 📅</td>
-        <td>${product.category}</td>
-        <td>${product.quantity}</td>
-        <td>Rs ${parseFloat(product.price).toFixed(2)}</td>
+        <td>${batch.product_name} 📅<br><small style="color: var(--text-light);">Lot ${batch.lot_number}</small></td>
+        <td>${batch.category}</td>
+        <td>${batch.quantity_remaining}</td>
+        <td>Rs ${parseFloat(batch.price).toFixed(2)}</td>
+        <td class="markup-col">${formatMarkup(batch.price, batch.unit_cost ?? batch.cost_price)}</td>
         <td>
-          ${formatSriLankanDate(product.expiry_date)} 
+          ${formatSriLankanDate(batch.expiry_date)} 
           <span style="${expiryStyle}">⚠️ ${daysUntilExpiry} day${daysUntilExpiry !== 1 ? 's' : ''}</span>
         </td>
-        <td>${product.supplier || 'N/A'}</td>
+        <td>${batch.supplier || 'N/A'}</td>
         <td>
-          <button onclick="editProduct(${product.id})" class="btn btn-primary" style="padding: 0.5rem 1rem; margin-right: 0.5rem;">Edit</button>
-          <button onclick="deleteProduct(${product.id})" class="btn btn-danger" style="padding: 0.5rem 1rem;">Delete</button>
+          <button onclick="editProduct(${batch.product_id})" class="btn btn-primary" style="padding: 0.5rem 1rem; margin-right: 0.5rem;">Edit</button>
+          <button onclick="openAdjustmentModal(${batch.product_id})" class="btn btn-secondary" style="padding: 0.5rem 1rem; margin-right: 0.5rem;">Adjust</button>
+          <button onclick="deleteProduct(${batch.product_id})" class="btn btn-danger" style="padding: 0.5rem 1rem;">Delete</button>
         </td>
       </tr>
     `;
@@ -517,8 +1341,14 @@ function resetFilter() {
 // Close modal when clicking outside
 window.onclick = function(event) {
   const modal = document.getElementById('productModal');
+  const adjustmentModal = document.getElementById('adjustmentModal');
+  const importModal = document.getElementById('importModal');
   if (event.target == modal) {
     closeModal();
+  } else if (event.target == adjustmentModal) {
+    closeAdjustmentModal();
+  } else if (event.target == importModal) {
+    closeImportModal();
   }
 }
 
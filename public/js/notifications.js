@@ -0,0 +1,32 @@
+// Notification bell in the admin nav - shows how many notifications are unread
+(function() {
+  const REFRESH_INTERVAL_MS = 60 * 1000;
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initBell);
+  } else {
+    initBell();
+  }
+
+  function initBell() {
+    if (!document.getElementById('notificationCount')) return;
+    updateNotificationCount();
+    setInterval(updateNotificationCount, REFRESH_INTERVAL_MS);
+  }
+})();
+
+// Refresh the unread count on the bell
+async function updateNotificationCount() {
+  const countElement = document.getElementById('notificationCount');
+  if (!countElement) return;
+
+  try {
+    const response = await fetch('/api/notifications?unread=true', { cache: 'no-store' });
+    if (!response.ok) return;
+    const data = await response.json();
+    countElement.textContent = data.unread_count;
+    countElement.style.display = data.unread_count > 0 ? 'inline-block' : 'none';
+  } catch (error) {
+    console.error('Error updating notification count:', error);
+  }
+}
@@ -0,0 +1,77 @@
+// Barcode scan mode for keyboard-wedge scanners
+// A scanner "types" the code much faster than a person can and finishes with Enter,
+// so a quick burst of keys ending in Enter is treated as a scan.
+
+const SCAN_MAX_KEY_INTERVAL = 50; // ms between keystrokes from a scanner
+const SCAN_MIN_LENGTH = 4;
+
+let scanHandler = null;
+let scanBuffer = '';
+let scanLastKeyTime = 0;
+
+function isScanModeOn() {
+  return localStorage.getItem('scanMode') === 'true';
+}
+
+function setScanMode(enabled) {
+  localStorage.setItem('scanMode', enabled);
+  updateScanModeDisplay();
+}
+
+function toggleScanMode() {
+  setScanMode(!isScanModeOn());
+}
+
+// Sync the toggle button (and the page's scan banner, if it has one) with the saved mode
+function updateScanModeDisplay() {
+  const enabled = isScanModeOn();
+
+  const button = document.getElementById('scanModeBtn');
+  if (button) {
+    button.textContent = enabled ? '📷 Scan Mode: On' : '📷 Scan Mode: Off';
+    button.className = enabled ? 'btn btn-success' : 'btn btn-secondary';
+  }
+
+  const banner = document.getElementById('scanModeBanner');
+  if (banner) {
+    banner.style.display = enabled ? 'block' : 'none';
+  }
+}
+
+// Register the function that receives each scanned code
+function initBarcodeScanner(onScan) {
+  scanHandler = onScan;
+  updateScanModeDisplay();
+}
+
+document.addEventListener('keydown', function(event) {
+  if (!scanHandler || !isScanModeOn()) {
+    return;
+  }
+
+  // Keys typed into form fields belong to that field (e.g. scanning into the barcode input)
+  const target = event.target;
+  if (target && ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) {
+    return;
+  }
+
+  const now = Date.now();
+  if (now - scanLastKeyTime > SCAN_MAX_KEY_INTERVAL) {
+    scanBuffer = '';
+  }
+  scanLastKeyTime = now;
+
+  if (event.key === 'Enter') {
+    const code = scanBuffer;
+    scanBuffer = '';
+    if (code.length >= SCAN_MIN_LENGTH) {
+      event.preventDefault();
+      scanHandler(code);
+    }
+    return;
+  }
+
+  if (event.key.length === 1) {
+    scanBuffer += event.key;
+  }
+});
@@ -5,7 +5,11 @@ const path = require('path');
 const bcrypt = require('bcryptjs');
 const multer = require('multer');
 const fs = require('fs');
+const crypto = require('crypto');
 const db = require('./database');
+const { validateBarcode, equivalentBarcodes, renderBarcodeSvg } = require('./barcode');
+const { createPdfDocument } = require('./pdf');
+const { getSmtpConfig, sendMail } = require('./mailer');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -84,6 +88,43 @@ const uploadProduct = multer({
   }
 });
 
+// Prescriptions are medical records, so they are kept outside public/ and only served through an authorised route
+const prescriptionsDir = path.join(__dirname, 'prescriptions');
+if (!fs.existsSync(prescriptionsDir)) {
+  fs.mkdirSync(prescriptionsDir, { recursive: true });
+}
+
+// Multer configuration for prescription uploads at checkout
+const prescriptionStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, prescriptionsDir);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const ext = path.extname(file.originalname);
+    cb(null, 'prescription-' + (req.session?.user?.id || 'temp') + '-' + uniqueSuffix + ext);
+  }
+});
+
+const uploadPrescription = multer({
+  storage: prescriptionStorage,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: function (req, file, cb) {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image or PDF files are allowed'));
+    }
+  }
+});
+
+// Delete an uploaded file when the request it came with is rejected
+function removeUploadedFile(req) {
+  if (req.file && fs.existsSync(req.file.path)) {
+    fs.unlinkSync(req.file.path);
+  }
+}
+
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 app.use('/uploads', express.static(path.join(__dirname, 'public', 'uploads')));
@@ -101,6 +142,10 @@ app.use(session({
 
 // Authentication middleware
 const requireAuth = (req, res, next) => {
+  if (req.session.user && isAccountDeactivated(req.session.user.id)) {
+    // A deactivated account loses any session it still had
+    return req.session.destroy(() => res.status(401).json({ error: 'This account has been deactivated' }));
+  }
   if (req.session.user) {
     next();
   } else {
@@ -108,6 +153,11 @@ const requireAuth = (req, res, next) => {
   }
 };
 
+function isAccountDeactivated(userId) {
+  const user = db.prepare('SELECT deactivated_at FROM users WHERE id = ?').get(userId);
+  return !!(user && user.deactivated_at);
+}
+
 // User authentication middleware - redirects HTML requests to login
 const requireUserAuth = (req, res, next) => {
   if (req.session.user) {
@@ -169,6 +219,11 @@ app.get('/user-login', (req, res) => {
   res.sendFile(path.join(__dirname, 'views', 'user-login.html'));
 });
 
+// Ask for a reset link, or (with ?token=) choose a new password
+app.get('/reset-password', (req, res) => {
+  res.sendFile(path.join(__dirname, 'views', 'reset-password.html'));
+});
+
 app.get('/admin-login', (req, res) => {
   if (req.session.user && req.session.user.role === 'admin') {
     res.redirect('/dashboard');
@@ -211,6 +266,46 @@ app.get('/settings', requireAuth, requireAdmin, (req, res) => {
   res.sendFile(path.join(__dirname, 'views', 'settings.html'));
 });
 
+app.get('/suppliers', requireAuth, requireAdmin, (req, res) => {
+  res.sendFile(path.join(__dirname, 'views', 'suppliers.html'));
+});
+
+app.get('/purchase-orders', requireAuth, requireAdmin, (req, res) => {
+  res.sendFile(path.join(__dirname, 'views', 'purchase-orders.html'));
+});
+
+app.get('/categories', requireAuth, requireAdmin, (req, res) => {
+  res.sendFile(path.join(__dirname, 'views', 'categories.html'));
+});
+
+app.get('/controlled-register', requireAuth, requireAdmin, (req, res) => {
+  res.sendFile(path.join(__dirname, 'views', 'controlled-register.html'));
+});
+
+app.get('/margins', requireAuth, requireAdmin, (req, res) => {
+  res.sendFile(path.join(__dirname, 'views', 'margins.html'));
+});
+
+app.get('/promotions', requireAuth, requireAdmin, (req, res) => {
+  res.sendFile(path.join(__dirname, 'views', 'promotions.html'));
+});
+
+app.get('/notifications', requireAuth, requireAdmin, (req, res) => {
+  res.sendFile(path.join(__dirname, 'views', 'notifications.html'));
+});
+
+app.get('/email-outbox', requireAuth, requireAdmin, (req, res) => {
+  res.sendFile(path.join(__dirname, 'views', 'email-outbox.html'));
+});
+
+app.get('/jobs', requireAuth, requireAdmin, (req, res) => {
+  res.sendFile(path.join(__dirname, 'views', 'jobs.html'));
+});
+
+app.get('/quarantine', requireAuth, requireAdmin, (req, res) => {
+  res.sendFile(path.join(__dirname, 'views', 'quarantine.html'));
+});
+
 app.get('/shop', requireUserAuth, (req, res) => {
   // Shop requires user login
   res.sendFile(path.join(__dirname, 'views', 'shop.html'));
@@ -220,6 +315,10 @@ app.get('/cart', requireAuth, (req, res) => {
   res.sendFile(path.join(__dirname, 'views', 'cart.html'));
 });
 
+app.get('/wishlist', requireAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'views', 'wishlist.html'));
+});
+
 app.get('/checkout', requireAuth, (req, res) => {
   res.sendFile(path.join(__dirname, 'views', 'checkout.html'));
 });
@@ -270,6 +369,10 @@ app.post('/api/login', (req, res) => {
         return res.status(401).json({ error: 'Invalid username or password' });
       }
 
+      if (user.deactivated_at) {
+        return res.status(403).json({ error: 'This account has been deactivated. Please contact the pharmacy.' });
+      }
+
       req.session.user = { 
         id: user.id, 
         username: user.username, 
@@ -353,8 +456,498 @@ app.get('/api/session', (req, res) => {
   }
 });
 
+// ========== STOCK HELPERS ==========
+
+// Generate a lot number for stock received without one
+function generateLotNumber() {
+  const datePart = getSriLankanDateString().replace(/-/g, '');
+  const random = Math.floor(Math.random() * 10000);
+  return `LOT-${datePart}-${random}`;
+}
+
+// Get the expiry alert window (today to today + expiry_alert_days) in Sri Lankan timezone
+function getExpiryWindow() {
+  const getSetting = db.prepare('SELECT setting_value FROM settings WHERE setting_key = ?');
+  const expirySetting = getSetting.get('expiry_alert_days');
+  const expiryAlertDays = expirySetting ? parseInt(expirySetting.setting_value) : 30;
+
+  const expiryDate = getSriLankanDate();
+  expiryDate.setDate(expiryDate.getDate() + expiryAlertDays);
+
+  return {
+    expiryAlertDays,
+    todayStr: getSriLankanDateString(),
+    expiryDateStr: expiryDate.toISOString().split('T')[0]
+  };
+}
+
+// Global low stock threshold, used for products without their own reorder point
+function getLowStockThreshold() {
+  const setting = db.prepare('SELECT setting_value FROM settings WHERE setting_key = ?').get('low_stock_threshold');
+  return setting ? parseInt(setting.setting_value) : 10;
+}
+
+function getSettingValue(key, fallback = '') {
+  const row = db.prepare('SELECT setting_value FROM settings WHERE setting_key = ?').get(key);
+  return row && row.setting_value ? row.setting_value : fallback;
+}
+
+// An amount in the configured currency, e.g. "Rs 12.50", for messages, emails and labels
+function formatMoney(value) {
+  return `${getSettingValue('currency_symbol', 'Rs')} ${(Math.round((value || 0) * 100) / 100).toFixed(2)}`;
+}
+
+// Recalculate a product's quantity and earliest expiry date from its batches on sale (not quarantined)
+function syncProductStock(productId) {
+  const totals = db.prepare(`
+    SELECT COALESCE(SUM(quantity_remaining), 0) as quantity,
+           MIN(CASE WHEN quantity_remaining > 0 AND expiry_date IS NOT NULL AND expiry_date != '' THEN expiry_date END) as expiry_date
+    FROM product_batches
+    WHERE product_id = ? AND quarantined_at IS NULL
+  `).get(productId);
+
+  db.prepare('UPDATE products SET quantity = ?, expiry_date = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+    .run(totals.quantity, totals.expiry_date, productId);
+
+  return totals.quantity;
+}
+
+// Append an entry to the stock movement ledger.
+// movement: { reason, referenceType, referenceId, userId, note }
+function recordStockMovement(productId, batchId, quantityChange, balanceAfter, movement) {
+  const insertMovement = db.prepare(`
+    INSERT INTO stock_movements (product_id, batch_id, quantity_change, balance_after, reason, reference_type, reference_id, user_id, note)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  insertMovement.run(
+    productId,
+    batchId || null,
+    quantityChange,
+    balanceAfter,
+    movement.reason,
+    movement.referenceType || null,
+    movement.referenceId || null,
+    movement.userId || null,
+    movement.note || null
+  );
+
+  // Scheduled drugs are also written to the controlled-substance register. Quarantine and release only
+  // move stock on and off sale; it stays on the premises until a disposal, which writes its own entry.
+  if (!['quarantine', 'quarantine_release', 'disposal'].includes(movement.reason)) {
+    recordControlledMovement(productId, batchId, quantityChange, movement);
+  }
+
+  // Customers waiting on the product hear as soon as it comes back into stock
+  if (quantityChange > 0 && balanceAfter > 0 && balanceAfter - quantityChange <= 0) {
+    notifyBackInStock(productId);
+  }
+
+  if (quantityChange < 0) {
+    notifyIfLowStock(productId, balanceAfter - quantityChange, balanceAfter);
+  }
+}
+
+// Register entry for stock arriving at or leaving the premises, if the product is controlled. The register
+// counts all stock held, quarantined or not, so its balance carries on from its own last entry.
+function recordControlledMovement(productId, batchId, quantityChange, movement) {
+  const product = db.prepare('SELECT id, name, controlled_substance FROM products WHERE id = ?').get(productId);
+  if (!product || !product.controlled_substance) {
+    return;
+  }
+
+  const batch = batchId ? db.prepare('SELECT lot_number FROM product_batches WHERE id = ?').get(batchId) : null;
+  const latest = db.prepare('SELECT balance_after FROM controlled_register WHERE product_id = ? ORDER BY id DESC LIMIT 1')
+    .get(productId);
+  const { reference, counterparty } = describeRegisterReference(movement);
+  recordControlledEntry(product, {
+    entryType: movement.reason,
+    quantityChange,
+    balanceAfter: (latest ? latest.balance_after : 0) + quantityChange,
+    counterparty,
+    lotNumber: batch ? batch.lot_number : null,
+    referenceType: movement.referenceType,
+    referenceId: movement.referenceId,
+    reference,
+    note: movement.note,
+    userId: movement.userId
+  });
+}
+
+// Reference number and counterparty (customer or supplier) for a register entry, from what caused the stock change
+function describeRegisterReference(movement) {
+  if (movement.referenceType === 'order') {
+    const order = db.prepare('SELECT order_number, customer_name FROM orders WHERE id = ?').get(movement.referenceId);
+    return { reference: order ? order.order_number : null, counterparty: order ? order.customer_name : null };
+  }
+  if (movement.referenceType === 'purchase_order') {
+    const purchaseOrder = db.prepare(`
+      SELECT po.po_number, s.name as supplier_name
+      FROM purchase_orders po
+      LEFT JOIN suppliers s ON po.supplier_id = s.id
+      WHERE po.id = ?
+    `).get(movement.referenceId);
+    return {
+      reference: purchaseOrder ? purchaseOrder.po_number : null,
+      counterparty: purchaseOrder ? purchaseOrder.supplier_name : null
+    };
+  }
+  if (movement.referenceType === 'order_return') {
+    const order = db.prepare(`
+      SELECT o.order_number, o.customer_name
+      FROM order_returns r
+      JOIN orders o ON r.order_id = o.id
+      WHERE r.id = ?
+    `).get(movement.referenceId);
+    return { reference: order ? `${order.order_number} RET-${movement.referenceId}` : null, counterparty: order ? order.customer_name : null };
+  }
+  if (movement.referenceType === 'adjustment') {
+    return { reference: `ADJ-${movement.referenceId}`, counterparty: null };
+  }
+  if (movement.referenceType === 'disposal') {
+    const disposal = db.prepare('SELECT method, reference FROM stock_disposals WHERE id = ?').get(movement.referenceId);
+    return {
+      reference: disposal && disposal.reference ? disposal.reference : `DSP-${movement.referenceId}`,
+      counterparty: disposal ? disposalMethods[disposal.method] : null
+    };
+  }
+  return { reference: null, counterparty: null };
+}
+
+// Append an entry to the controlled-substance register (entries are never edited)
+function recordControlledEntry(product, entry) {
+  return db.prepare(`
+    INSERT INTO controlled_register (product_id, product_name, entry_type, quantity_change, balance_after, counterparty,
+                                     lot_number, reference_type, reference_id, reference, corrects_entry_id, note, recorded_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    product.id,
+    product.name,
+    entry.entryType,
+    entry.quantityChange,
+    entry.balanceAfter,
+    entry.counterparty || null,
+    entry.lotNumber || null,
+    entry.referenceType || null,
+    entry.referenceId || null,
+    entry.reference || null,
+    entry.correctsEntryId || null,
+    entry.note || null,
+    entry.userId || null
+  ).lastInsertRowid;
+}
+
+// Start a product's register with its stock on hand (quarantined lots included) when it is marked as controlled
+function recordControlledOpening(productId, userId) {
+  const product = db.prepare('SELECT id, name FROM products WHERE id = ?').get(productId);
+  const onHand = db.prepare('SELECT COALESCE(SUM(quantity_remaining), 0) as quantity FROM product_batches WHERE product_id = ?')
+    .get(productId).quantity;
+  recordControlledEntry(product, {
+    entryType: 'opening',
+    quantityChange: onHand,
+    balanceAfter: onHand,
+    note: 'Opening balance when marked as a controlled substance',
+    userId
+  });
+}
+
+// Receive a new lot of stock for a product
+function addProductBatch(productId, { lot_number, expiry_date, quantity, unit_cost }, movement) {
+  // Batches without a known receipt cost take the product's current cost price
+  const batchCost = unit_cost ?? db.prepare('SELECT cost_price FROM products WHERE id = ?').get(productId).cost_price;
+
+  const insertBatch = db.prepare(`
+    INSERT INTO product_batches (product_id, lot_number, expiry_date, quantity_received, quantity_remaining, unit_cost)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  const result = insertBatch.run(productId, lot_number || generateLotNumber(), expiry_date || null, quantity, quantity, batchCost);
+
+  const balance = syncProductStock(productId);
+  recordStockMovement(productId, result.lastInsertRowid, quantity, balance, movement);
+  return result.lastInsertRowid;
+}
+
+// Take stock from a product's batches, first-expiry-first-out.
+// Returns one allocation per batch touched so callers can record the lot.
+function deductStockFefo(productId, quantity, movement) {
+  const getBatches = db.prepare(`
+    SELECT * FROM product_batches
+    WHERE product_id = ? AND quantity_remaining > 0 AND quarantined_at IS NULL
+    ORDER BY CASE WHEN expiry_date IS NULL OR expiry_date = '' THEN 1 ELSE 0 END, expiry_date, id
+  `);
+  const batches = getBatches.all(productId);
+
+  const available = batches.reduce((sum, batch) => sum + batch.quantity_remaining, 0);
+  if (available < quantity) {
+    throw new Error(`Insufficient batch stock for product ${productId}. Available: ${available}, Requested: ${quantity}`);
+  }
+
+  const updateBatch = db.prepare('UPDATE product_batches SET quantity_remaining = quantity_remaining - ? WHERE id = ?');
+  const allocations = [];
+  let remaining = quantity;
+
+  for (const batch of batches) {
+    if (remaining <= 0) break;
+
+    const take = Math.min(batch.quantity_remaining, remaining);
+    updateBatch.run(take, batch.id);
+    allocations.push({
+      batch_id: batch.id,
+      lot_number: batch.lot_number,
+      expiry_date: batch.expiry_date,
+      unit_cost: batch.unit_cost,
+      quantity: take
+    });
+    remaining -= take;
+  }
+
+  syncProductStock(productId);
+
+  // One ledger entry per lot touched, with the running balance after each
+  let balance = available;
+  for (const allocation of allocations) {
+    balance -= allocation.quantity;
+    recordStockMovement(productId, allocation.batch_id, -allocation.quantity, balance, movement);
+  }
+
+  return allocations;
+}
+
+// Put stock back into the batch it was taken from (e.g. cancelled order).
+// Stock without a known batch is received as a new lot. Stock from a lot that has since been
+// quarantined joins it there, off sale, so the stock on sale (and its ledger) is unchanged; the
+// controlled register still records it coming back.
+function restoreBatchStock(productId, batchId, quantity, movement) {
+  const batch = batchId
+    ? db.prepare('SELECT id, quarantined_at FROM product_batches WHERE id = ? AND product_id = ?').get(batchId, productId)
+    : null;
+
+  if (!batch) {
+    return addProductBatch(productId, { quantity }, movement);
+  }
+
+  if (batch.quarantined_at) {
+    db.prepare('UPDATE product_batches SET quantity_remaining = quantity_remaining + ? WHERE id = ?').run(quantity, batch.id);
+    recordControlledMovement(productId, batch.id, quantity, movement);
+    return batch.id;
+  }
+
+  db.prepare('UPDATE product_batches SET quantity_remaining = quantity_remaining + ? WHERE id = ?').run(quantity, batch.id);
+  const balance = syncProductStock(productId);
+  recordStockMovement(productId, batch.id, quantity, balance, movement);
+  return batch.id;
+}
+
+// Take stock from one specific batch (e.g. a damaged or expired lot)
+function deductBatchStock(productId, batchId, quantity, movement) {
+  const batch = db.prepare('SELECT * FROM product_batches WHERE id = ? AND product_id = ?').get(batchId, productId);
+
+  if (!batch) {
+    throw new Error(`Batch ${batchId} not found for product ${productId}`);
+  }
+  if (batch.quarantined_at) {
+    throw new Error(`Lot ${batch.lot_number} is quarantined`);
+  }
+  if (batch.quantity_remaining < quantity) {
+    throw new Error(`Insufficient stock in lot ${batch.lot_number}. Available: ${batch.quantity_remaining}, Requested: ${quantity}`);
+  }
+
+  db.prepare('UPDATE product_batches SET quantity_remaining = quantity_remaining - ? WHERE id = ?').run(quantity, batch.id);
+  const balance = syncProductStock(productId);
+  recordStockMovement(productId, batch.id, -quantity, balance, movement);
+  return batch.id;
+}
+
+// Take a lot off sale. Its stock stays on the lot but no longer counts towards the product's quantity.
+function quarantineBatch(batch, reason, userId = null) {
+  db.prepare('UPDATE product_batches SET quarantined_at = CURRENT_TIMESTAMP, quarantine_reason = ? WHERE id = ?')
+    .run(reason, batch.id);
+  const balance = syncProductStock(batch.product_id);
+  if (batch.quantity_remaining > 0) {
+    recordStockMovement(batch.product_id, batch.id, -batch.quantity_remaining, balance, {
+      reason: 'quarantine',
+      userId,
+      note: `Lot ${batch.lot_number} quarantined (${reason})`
+    });
+  }
+}
+
+// Put a quarantined lot back on sale
+function releaseBatch(batch, userId) {
+  db.prepare('UPDATE product_batches SET quarantined_at = NULL, quarantine_reason = NULL WHERE id = ?').run(batch.id);
+  const balance = syncProductStock(batch.product_id);
+  if (batch.quantity_remaining > 0) {
+    recordStockMovement(batch.product_id, batch.id, batch.quantity_remaining, balance, {
+      reason: 'quarantine_release',
+      userId,
+      note: `Lot ${batch.lot_number} released from quarantine`
+    });
+  }
+}
+
 // Products API
 
+// Parse the optional reorder point / reorder quantity / max stock fields of a product form
+function parseStockLevels(body) {
+  const labels = { reorder_point: 'Reorder point', reorder_quantity: 'Reorder quantity', max_stock: 'Max stock' };
+  const levels = {};
+  for (const field of Object.keys(labels)) {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') {
+      levels[field] = null;
+      continue;
+    }
+
+    const parsed = parseInt(value);
+    if (isNaN(parsed) || parsed < 0) {
+      return { error: `${labels[field]} must be 0 or more` };
+    }
+    levels[field] = parsed;
+  }
+
+  if (levels.max_stock !== null && levels.reorder_point !== null && levels.max_stock < levels.reorder_point) {
+    return { error: 'Max stock cannot be lower than the reorder point' };
+  }
+  return { levels };
+}
+
+// Parse a yes/no product flag from a form checkbox or CSV cell; returns 1 or 0, or null when not recognised
+function parseProductFlag(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return 0;
+  }
+  const normalized = String(value).trim().toLowerCase();
+  if (['1', 'true', 'yes', 'y', 'on'].includes(normalized)) {
+    return 1;
+  }
+  if (['0', 'false', 'no', 'n', 'off'].includes(normalized)) {
+    return 0;
+  }
+  return null;
+}
+
+// Base unit of a product form (the unit stock is counted in), 'unit' when left empty
+function parseBaseUnit(value) {
+  const baseUnit = value === undefined || value === null ? '' : String(value).trim();
+  return baseUnit || 'unit';
+}
+
+// Cost price (per base unit) of a product form; empty means not known.
+// Returns { costPrice } or { error }.
+function parseCostPrice(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return { costPrice: null };
+  }
+  const costPrice = parseFloat(value);
+  if (isNaN(costPrice) || costPrice < 0) {
+    return { error: 'Cost price must be 0 or more' };
+  }
+  return { costPrice };
+}
+
+// Record a change of a product's selling ('selling') or cost ('cost') price; unchanged prices are skipped
+function recordPriceChange(productId, priceType, oldPrice, newPrice, userId, note = null) {
+  const oldValue = oldPrice === null || oldPrice === undefined ? null : Number(oldPrice);
+  const newValue = newPrice === null || newPrice === undefined ? null : Number(newPrice);
+  if (oldValue === newValue) {
+    return;
+  }
+
+  db.prepare(`
+    INSERT INTO price_history (product_id, price_type, old_price, new_price, changed_by, note)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(productId, priceType, oldValue, newValue, userId || null, note);
+}
+
+// Pack sizes of a product, smallest first
+function getProductUnits(productId) {
+  return db.prepare(`
+    SELECT u.*, CASE WHEN p.purchase_unit_id = u.id THEN 1 ELSE 0 END as is_purchase_unit
+    FROM product_units u
+    JOIN products p ON u.product_id = p.id
+    WHERE u.product_id = ?
+    ORDER BY u.units_per_pack, u.id
+  `).all(productId);
+}
+
+// Attach each product's pack sizes as `units`
+function attachProductUnits(products) {
+  const units = db.prepare('SELECT * FROM product_units ORDER BY units_per_pack, id').all();
+  products.forEach(product => {
+    product.units = units
+      .filter(unit => unit.product_id === product.id)
+      .map(unit => ({ ...unit, is_purchase_unit: unit.id === product.purchase_unit_id ? 1 : 0 }));
+  });
+  return products;
+}
+
+// The unit a quantity is given in: one of the product's pack sizes, or its base unit when no unit is given.
+// Returns null when the pack size does not belong to the product.
+function resolveProductUnit(product, unitId) {
+  if (unitId === undefined || unitId === null || unitId === '') {
+    return { unit_id: null, unit_name: product.base_unit || 'unit', units_per_pack: 1, price: product.price };
+  }
+
+  const unit = db.prepare('SELECT * FROM product_units WHERE id = ? AND product_id = ?').get(unitId, product.id);
+  if (!unit) {
+    return null;
+  }
+  return { unit_id: unit.id, unit_name: unit.name, units_per_pack: unit.units_per_pack, price: unit.price };
+}
+
+// Validate a pack size form; returns { unit } or { error }
+function parseUnitInput(body, product, unitId = null) {
+  const name = (body.name || '').trim();
+  if (!name) {
+    return { error: 'Pack size name is required' };
+  }
+  if (name.toLowerCase() === (product.base_unit || 'unit').toLowerCase()) {
+    return { error: `${name} is the base unit of ${product.name}` };
+  }
+
+  const duplicate = db.prepare('SELECT id FROM product_units WHERE product_id = ? AND LOWER(name) = LOWER(?) AND id != ?')
+    .get(product.id, name, unitId || 0);
+  if (duplicate) {
+    return { error: `${product.name} already has a pack size called ${name}` };
+  }
+
+  const unitsPerPack = Number(body.units_per_pack);
+  if (!Number.isInteger(unitsPerPack) || unitsPerPack < 2) {
+    return { error: `Units per ${name} must be a whole number of 2 or more` };
+  }
+
+  // Pack sizes without a price are only used for purchasing
+  let price = null;
+  if (body.price !== undefined && body.price !== null && body.price !== '') {
+    price = parseFloat(body.price);
+    if (isNaN(price) || price < 0) {
+      return { error: 'Price must be 0 or more' };
+    }
+  }
+
+  return { unit: { name, units_per_pack: unitsPerPack, price } };
+}
+
+// Validate a product barcode and make sure no other product already uses it (or its UPC-A/EAN-13 twin)
+function checkProductBarcode(barcode, productId = null) {
+  if (!barcode) {
+    return null;
+  }
+
+  const { valid, error } = validateBarcode(barcode);
+  if (!valid) {
+    return error;
+  }
+
+  const codes = equivalentBarcodes(barcode);
+  const otherProduct = db.prepare(
+    `SELECT name FROM products WHERE barcode IN (${codes.map(() => '?').join(', ')}) AND id != ?`
+  ).get(...codes, productId || 0);
+  if (otherProduct) {
+    return `Barcode is already used by ${otherProduct.name}`;
+  }
+  return null;
+}
+
 // Get all products
 app.get('/api/products', requireAuth, (req, res) => {
   try {
@@ -368,103 +961,700 @@ app.get('/api/products', requireAuth, (req, res) => {
       params.push(searchTerm, searchTerm, searchTerm);
     }
 
+    // A parent category also shows the products of its subcategories
     if (category) {
-      query += ' AND category = ?';
-      params.push(category);
+      const categoryNames = getCategoryNamesWithDescendants(category);
+      query += ` AND category IN (${categoryNames.map(() => '?').join(', ')})`;
+      params.push(...categoryNames);
     }
 
     query += ' ORDER BY created_at DESC';
 
     const getProducts = db.prepare(query);
     const rows = getProducts.all(...params);
-    res.json(rows);
+    res.json(attachProductTax(attachProductUnits(rows)));
   } catch (error) {
     return res.status(500).json({ error: error.message });
   }
 });
 
-// Get single product
-app.get('/api/products/:id', requireAuth, (req, res) => {
-  try {
-    const getProduct = db.prepare('SELECT * FROM products WHERE id = ?');
-    const row = getProduct.get(req.params.id);
-    
-    if (!row) {
-      return res.status(404).json({ error: 'Product not found' });
+// ========== PRODUCT IMPORT / EXPORT ==========
+// Registered before /api/products/:id so "export" is not treated as a product id
+
+// Columns used by both export and import, so a spreadsheet can round-trip
+const productCsvColumns = [
+  'barcode', 'name', 'description', 'category', 'price', 'cost_price', 'quantity', 'base_unit', 'expiry_date',
+  'supplier', 'reorder_point', 'reorder_quantity', 'max_stock', 'requires_prescription', 'controlled_substance'
+];
+
+// CSV uploads are parsed in memory, nothing is written to disk
+const uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit for CSV files
+  fileFilter: function (req, file, cb) {
+    if (file.mimetype === 'text/csv' || path.extname(file.originalname).toLowerCase() === '.csv') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'));
     }
-    res.json(row);
-  } catch (error) {
-    return res.status(500).json({ error: error.message });
   }
 });
 
-// Create product
-app.post('/api/products', requireAuth, uploadProduct.single('image'), (req, res) => {
-  try {
-    const { name, description, category, quantity, price, expiry_date, supplier, barcode } = req.body;
-
-    if (!name || !category || quantity === undefined || !price) {
-      // If image was uploaded but validation failed, delete it
-      if (req.file) {
-        fs.unlinkSync(req.file.path);
+// Parse CSV text (quoted fields, escaped quotes, CRLF line endings) into rows of strings
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip the byte order mark spreadsheet programs add
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
       }
-      return res.status(400).json({ error: 'Missing required fields' });
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
     }
+  }
 
-    // Handle image upload
-    let imagePath = null;
-    if (req.file) {
-      imagePath = `/uploads/${req.file.filename}`;
-    }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
 
-    const insertProduct = db.prepare(
-      `INSERT INTO products (name, description, category, quantity, price, expiry_date, supplier, barcode, image)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
-    );
-    
-    const result = insertProduct.run(
-      name, 
-      description || null, 
-      category, 
-      quantity, 
-      price, 
-      expiry_date || null, 
-      supplier || null, 
-      barcode || null,
-      imagePath
-    );
-    
-    res.json({ id: result.lastInsertRowid, message: 'Product created successfully' });
-  } catch (error) {
-    // If image was uploaded but error occurred, delete it
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
-    return res.status(500).json({ error: error.message });
+  // Ignore blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Leading characters that make a spreadsheet treat a cell as a formula
+const csvFormulaPattern = /^[=+\-@\t\r]/;
+
+// Quote a value for CSV output when it contains a separator, quote or line break
+function toCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
   }
-});
+  let text = String(value);
+  // Text that a spreadsheet would run as a formula is prefixed with ' (removed again on import)
+  if (typeof value === 'string' && csvFormulaPattern.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-// Update product
-app.put('/api/products/:id', requireAuth, uploadProduct.single('image'), (req, res) => {
-  try {
-    const { name, description, category, quantity, price, expiry_date, supplier, barcode } = req.body;
+// Undo the formula guard added by toCsvValue
+function fromCsvValue(text) {
+  return text.startsWith("'") && csvFormulaPattern.test(text.slice(1)) ? text.slice(1) : text;
+}
 
-    // Get existing product to check for old image
-    const getProduct = db.prepare('SELECT image FROM products WHERE id = ?');
-    const existingProduct = getProduct.get(req.params.id);
-    
-    if (!existingProduct) {
-      // If new image was uploaded but product not found, delete it
-      if (req.file) {
-        fs.unlinkSync(req.file.path);
+// Check that a string is a real YYYY-MM-DD date
+function isValidDateString(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+// Validate the rows of an uploaded product CSV and work out what importing it would do
+function planProductImport(csvText) {
+  const rows = parseCsv(csvText);
+  if (rows.length === 0) {
+    throw new Error('The file is empty');
+  }
+
+  const header = rows[0].map(column => column.trim().toLowerCase());
+  const missingColumns = ['name', 'category', 'price'].filter(column => !header.includes(column));
+  if (missingColumns.length > 0) {
+    throw new Error(`Missing required column(s): ${missingColumns.join(', ')}`);
+  }
+
+  const categoryNames = new Set(db.prepare('SELECT name FROM categories').all().map(c => c.name));
+  // A UPC-A matches its EAN-13 form, as it does everywhere else products are looked up by barcode
+  const getByBarcode = barcode => {
+    const codes = equivalentBarcodes(barcode);
+    return db.prepare(`SELECT * FROM products WHERE barcode IN (${codes.map(() => '?').join(', ')}) ORDER BY id LIMIT 1`)
+      .get(...codes);
+  };
+  const barcodeKey = barcode => equivalentBarcodes(barcode).reduce((longest, code) => (code.length > longest.length ? code : longest));
+  const getByNameWithoutBarcode = db.prepare(`
+    SELECT * FROM products WHERE name = ? AND (barcode IS NULL OR barcode = '') ORDER BY id LIMIT 1
+  `);
+
+  const plan = { creates: [], updates: [], unchanged: [], invalid: [], duplicates: [] };
+
+  // Barcodes that appear on more than one row (in either UPC-A or EAN-13 form) are reported and none of
+  // those rows are imported
+  const barcodeRows = new Map();
+  rows.slice(1).forEach((values, index) => {
+    const barcode = fromCsvValue((values[header.indexOf('barcode')] || '').trim());
+    if (header.includes('barcode') && barcode) {
+      const key = barcodeKey(barcode);
+      if (!barcodeRows.has(key)) {
+        barcodeRows.set(key, []);
       }
-      return res.status(404).json({ error: 'Product not found' });
+      barcodeRows.get(key).push(index + 2);
     }
+  });
+  barcodeRows.forEach((rowNumbers, barcode) => {
+    if (rowNumbers.length > 1) {
+      plan.duplicates.push({ barcode, rows: rowNumbers });
+    }
+  });
+  const duplicateBarcodes = new Set(plan.duplicates.map(d => d.barcode));
+
+  rows.slice(1).forEach((values, index) => {
+    const rowNumber = index + 2; // header is row 1
+    const record = {};
+    productCsvColumns.forEach(column => {
+      const position = header.indexOf(column);
+      record[column] = position === -1 ? undefined : fromCsvValue((values[position] || '').trim());
+    });
 
-    // Handle image upload
-    let imagePath = existingProduct.image; // Keep existing image by default
-    if (req.file) {
-      // Delete old image if it exists
+    if (record.barcode && duplicateBarcodes.has(barcodeKey(record.barcode))) {
+      return;
+    }
+
+    const errors = [];
+    if (!record.name) {
+      errors.push('Name is required');
+    }
+    if (!record.category) {
+      errors.push('Category is required');
+    } else if (!categoryNames.has(record.category)) {
+      errors.push(`Unknown category "${record.category}"`);
+    }
+
+    const price = parseFloat(record.price);
+    if (!record.price || isNaN(price) || price < 0 || !/^\d+(\.\d+)?$/.test(record.price)) {
+      errors.push(`Invalid price "${record.price || ''}"`);
+    }
+
+    const { costPrice, error: costPriceError } = parseCostPrice(record.cost_price);
+    if (costPriceError) {
+      errors.push(`Invalid cost_price "${record.cost_price}"`);
+    }
+
+    let quantity = null;
+    if (record.quantity) {
+      quantity = Number(record.quantity);
+      if (!Number.isInteger(quantity) || quantity < 0) {
+        errors.push(`Invalid quantity "${record.quantity}"`);
+      }
+    }
+
+    if (record.expiry_date && !isValidDateString(record.expiry_date)) {
+      errors.push(`Malformed expiry date "${record.expiry_date}" (use YYYY-MM-DD)`);
+    }
+
+    const requiresPrescription = parseProductFlag(record.requires_prescription);
+    if (requiresPrescription === null) {
+      errors.push(`Invalid requires_prescription "${record.requires_prescription}" (use yes or no)`);
+    }
+    const controlledSubstance = parseProductFlag(record.controlled_substance);
+    if (controlledSubstance === null) {
+      errors.push(`Invalid controlled_substance "${record.controlled_substance}" (use yes or no)`);
+    }
+
+    if (record.barcode) {
+      const { valid, error: barcodeError } = validateBarcode(record.barcode);
+      if (!valid) {
+        errors.push(`${barcodeError} for barcode "${record.barcode}"`);
+      }
+    }
+
+    const { levels, error: levelsError } = parseStockLevels(record);
+    if (levelsError) {
+      errors.push(levelsError);
+    }
+
+    if (errors.length > 0) {
+      plan.invalid.push({ row: rowNumber, name: record.name, barcode: record.barcode, errors });
+      return;
+    }
+
+    // Rows without a barcode can only match a product that has no barcode either, by name
+    const existing = record.barcode ? getByBarcode(record.barcode) : getByNameWithoutBarcode.get(record.name);
+    const barcodeConflict = checkProductBarcode(record.barcode, existing ? existing.id : null);
+    if (barcodeConflict) {
+      plan.invalid.push({ row: rowNumber, name: record.name, barcode: record.barcode, errors: [barcodeConflict] });
+      return;
+    }
+    const supplier = record.supplier === undefined
+      ? { supplierId: existing ? existing.supplier_id : null, supplierName: existing ? existing.supplier : null }
+      : resolveProductSupplier(null, record.supplier);
+
+    const product = {
+      name: record.name,
+      description: record.description === undefined ? (existing ? existing.description : null) : (record.description || null),
+      category: record.category,
+      price,
+      quantity,
+      expiry_date: record.expiry_date || null,
+      supplier: supplier.supplierName,
+      supplier_id: supplier.supplierId,
+      barcode: record.barcode || null,
+      // Columns missing from the file keep their current values
+      reorder_point: record.reorder_point === undefined && existing ? existing.reorder_point : levels.reorder_point,
+      reorder_quantity: record.reorder_quantity === undefined && existing ? existing.reorder_quantity : levels.reorder_quantity,
+      max_stock: record.max_stock === undefined && existing ? existing.max_stock : levels.max_stock,
+      requires_prescription: record.requires_prescription === undefined && existing
+        ? existing.requires_prescription
+        : requiresPrescription,
+      controlled_substance: record.controlled_substance === undefined && existing
+        ? existing.controlled_substance
+        : controlledSubstance,
+      base_unit: record.base_unit === undefined && existing ? existing.base_unit : parseBaseUnit(record.base_unit),
+      cost_price: record.cost_price === undefined && existing ? existing.cost_price : costPrice
+    };
+
+    if (!existing) {
+      plan.creates.push({ row: rowNumber, product });
+      return;
+    }
+
+    const normalize = value => (value === undefined || value === '' ? null : value);
+    const changes = [
+      'name', 'description', 'category', 'price', 'supplier', 'reorder_point', 'reorder_quantity', 'max_stock',
+      'requires_prescription', 'controlled_substance', 'base_unit', 'cost_price'
+    ]
+      .filter(field => normalize(existing[field]) !== normalize(product[field]));
+
+    if (changes.length === 0) {
+      plan.unchanged.push({ row: rowNumber, product_id: existing.id, name: existing.name, barcode: existing.barcode });
+    } else {
+      plan.updates.push({ row: rowNumber, product_id: existing.id, product, changes });
+    }
+  });
+
+  return plan;
+}
+
+// Apply an import plan in a single transaction
+function applyProductImport(plan, userId) {
+  const insertProduct = db.prepare(`
+    INSERT INTO products (name, description, category, quantity, price, supplier, supplier_id, barcode,
+                          reorder_point, reorder_quantity, max_stock, requires_prescription, controlled_substance, base_unit,
+                          cost_price)
+    VALUES (?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const updateProduct = db.prepare(`
+    UPDATE products
+    SET name = ?, description = ?, category = ?, price = ?, supplier = ?, supplier_id = ?,
+        reorder_point = ?, reorder_quantity = ?, max_stock = ?, requires_prescription = ?, controlled_substance = ?,
+        base_unit = ?, cost_price = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+  const getPrices = db.prepare('SELECT price, cost_price FROM products WHERE id = ?');
+
+  db.transaction(() => {
+    plan.creates.forEach(({ product }) => {
+      const result = insertProduct.run(
+        product.name, product.description, product.category, product.price,
+        product.supplier, product.supplier_id, product.barcode,
+        product.reorder_point, product.reorder_quantity, product.max_stock, product.requires_prescription,
+        product.controlled_substance, product.base_unit, product.cost_price
+      );
+      if (product.quantity > 0) {
+        addProductBatch(result.lastInsertRowid, { expiry_date: product.expiry_date, quantity: product.quantity }, {
+          reason: 'receipt',
+          userId,
+          note: 'Opening stock (CSV import)'
+        });
+      }
+    });
+
+    plan.updates.forEach(({ product_id, product, changes }) => {
+      const previousPrices = getPrices.get(product_id);
+      updateProduct.run(
+        product.name, product.description, product.category, product.price,
+        product.supplier, product.supplier_id,
+        product.reorder_point, product.reorder_quantity, product.max_stock, product.requires_prescription,
+        product.controlled_substance, product.base_unit, product.cost_price, product_id
+      );
+      if (changes.includes('price')) {
+        recordPriceChange(product_id, 'selling', previousPrices.price, product.price, userId, 'CSV import');
+      }
+      if (changes.includes('cost_price')) {
+        recordPriceChange(product_id, 'cost', previousPrices.cost_price, product.cost_price, userId, 'CSV import');
+      }
+      if (changes.includes('controlled_substance') && product.controlled_substance) {
+        recordControlledOpening(product_id, userId);
+      }
+    });
+  })();
+}
+
+// Export the product catalogue as CSV
+app.get('/api/products/export', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const products = db.prepare('SELECT * FROM products ORDER BY name').all();
+
+    const lines = [productCsvColumns.join(',')];
+    products.forEach(product => {
+      lines.push(productCsvColumns.map(column => toCsvValue(product[column])).join(','));
+    });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="products-${getSriLankanDateString()}.csv"`);
+    res.send(lines.join('\r\n') + '\r\n');
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Import products from CSV, matching existing products by barcode (or by name when there is no barcode).
+// Quantity is only used as the opening stock of new products; existing stock changes through adjustments.
+// Without commit=true this is a dry run that only reports what would happen
+app.post('/api/products/import', requireAuth, requireAdmin, uploadCsv.single('file'), (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Please choose a CSV file' });
+    }
+
+    let plan;
+    try {
+      plan = planProductImport(req.file.buffer.toString('utf8'));
+    } catch (parseError) {
+      return res.status(400).json({ error: parseError.message });
+    }
+
+    const commit = req.body.commit === 'true';
+    if (commit) {
+      applyProductImport(plan, req.session.user.id);
+    }
+
+    res.json({
+      success: true,
+      dryRun: !commit,
+      summary: {
+        creates: plan.creates.length,
+        updates: plan.updates.length,
+        unchanged: plan.unchanged.length,
+        invalid: plan.invalid.length,
+        duplicates: plan.duplicates.length
+      },
+      creates: plan.creates.map(({ row, product }) => ({ row, name: product.name, barcode: product.barcode })),
+      updates: plan.updates.map(({ row, product_id, product, changes }) => ({
+        row, product_id, name: product.name, barcode: product.barcode, changes
+      })),
+      invalid: plan.invalid,
+      duplicates: plan.duplicates,
+      message: commit
+        ? `Imported ${plan.creates.length} new and ${plan.updates.length} updated product(s)`
+        : 'Dry run complete. Nothing has been saved yet.'
+    });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== BARCODES API ==========
+
+// Look up a product by its exact barcode (used by scan mode); a UPC-A also matches its EAN-13 form
+app.get('/api/products/by-barcode/:code', requireAuth, (req, res) => {
+  try {
+    const code = req.params.code.trim();
+    const codes = equivalentBarcodes(code);
+    const product = db.prepare(
+      `SELECT * FROM products WHERE barcode IN (${codes.map(() => '?').join(', ')}) ORDER BY id LIMIT 1`
+    ).get(...codes);
+
+    if (!product) {
+      // Tell the scanner screen whether the unknown code is worth pre-filling into a new product
+      const { valid, format, error } = validateBarcode(code);
+      return res.status(404).json({ error: 'No product with this barcode', barcode: code, valid, format, barcodeError: error || null });
+    }
+    res.json(product);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Render any valid barcode as SVG
+app.get('/api/barcodes/:code.svg', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { valid, error } = validateBarcode(req.params.code);
+    if (!valid) {
+      return res.status(400).json({ error });
+    }
+
+    res.type('image/svg+xml');
+    res.send(renderBarcodeSvg(req.params.code));
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Printable shelf / bin label for a product: name, price and barcode
+app.get('/api/products/:id/label.svg', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const product = db.prepare('SELECT * FROM products WHERE id = ?').get(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (!product.barcode) {
+      return res.status(400).json({ error: 'This product has no barcode' });
+    }
+
+    const { valid, error } = validateBarcode(product.barcode);
+    if (!valid) {
+      return res.status(400).json({ error });
+    }
+
+    const lines = [product.name];
+    // Bin labels skip the price
+    if (req.query.type !== 'bin') {
+      lines.push(formatMoney(product.price));
+    }
+
+    res.type('image/svg+xml');
+    res.send(renderBarcodeSvg(product.barcode, { lines }));
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Get single product
+app.get('/api/products/:id', requireAuth, (req, res) => {
+  try {
+    const getProduct = db.prepare('SELECT * FROM products WHERE id = ?');
+    const row = getProduct.get(req.params.id);
+    
+    if (!row) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    res.json(attachProductTax(attachProductUnits([row]))[0]);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Create product
+app.post('/api/products', requireAuth, requireAdmin, uploadProduct.single('image'), (req, res) => {
+  try {
+    const { name, description, category, quantity, price, expiry_date, supplier, supplier_id, barcode, lot_number } = req.body;
+
+    if (!name || !category || quantity === undefined || !price) {
+      // If image was uploaded but validation failed, delete it
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    if (expiry_date && !isValidDateString(expiry_date)) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ error: `Malformed expiry date "${expiry_date}" (use YYYY-MM-DD)` });
+    }
+
+    // Handle image upload
+    let imagePath = null;
+    if (req.file) {
+      imagePath = `/uploads/${req.file.filename}`;
+    }
+
+    const productSupplier = resolveProductSupplier(supplier_id, supplier);
+    if (!productSupplier) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ error: 'Supplier not found' });
+    }
+    const { supplierId, supplierName } = productSupplier;
+
+    if (!db.prepare('SELECT id FROM categories WHERE name = ?').get(category)) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ error: 'Category not found' });
+    }
+
+    const { levels, error: levelsError } = parseStockLevels(req.body);
+    if (levelsError) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ error: levelsError });
+    }
+
+    const { costPrice, error: costPriceError } = parseCostPrice(req.body.cost_price);
+    if (costPriceError) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ error: costPriceError });
+    }
+
+    const { taxClassId, error: taxClassError } = parseTaxClassId(req.body.tax_class_id);
+    if (taxClassError) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ error: taxClassError });
+    }
+
+    const productBarcode = barcode ? String(barcode).trim() : null;
+    const barcodeError = checkProductBarcode(productBarcode);
+    if (barcodeError) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ error: barcodeError });
+    }
+
+    // Quantity starts at 0 and is filled by the opening batch
+    const insertProduct = db.prepare(
+      `INSERT INTO products (name, description, category, quantity, price, expiry_date, supplier, supplier_id, barcode, image,
+                             reorder_point, reorder_quantity, max_stock, requires_prescription, controlled_substance, base_unit,
+                             cost_price, tax_class_id)
+       VALUES (?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    );
+
+    const createProduct = db.transaction(() => {
+      const result = insertProduct.run(
+        name, 
+        description || null, 
+        category, 
+        price, 
+        expiry_date || null, 
+        supplierName, 
+        supplierId,
+        productBarcode || null,
+        imagePath,
+        levels.reorder_point,
+        levels.reorder_quantity,
+        levels.max_stock,
+        parseProductFlag(req.body.requires_prescription) || 0,
+        parseProductFlag(req.body.controlled_substance) || 0,
+        parseBaseUnit(req.body.base_unit),
+        costPrice,
+        taxClassId
+      );
+
+      const initialQuantity = parseInt(quantity) || 0;
+      if (initialQuantity > 0) {
+        addProductBatch(result.lastInsertRowid, { lot_number, expiry_date, quantity: initialQuantity }, {
+          reason: 'receipt',
+          userId: req.session.user.id,
+          note: 'Opening stock'
+        });
+      }
+      return result.lastInsertRowid;
+    });
+
+    const productId = createProduct();
+    
+    res.json({ id: productId, message: 'Product created successfully' });
+  } catch (error) {
+    // If image was uploaded but error occurred, delete it
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Update product
+app.put('/api/products/:id', requireAuth, requireAdmin, uploadProduct.single('image'), (req, res) => {
+  try {
+    const { name, description, category, price, supplier, supplier_id, barcode } = req.body;
+
+    // Get existing product to check for old image
+    const getProduct = db.prepare('SELECT image, requires_prescription, controlled_substance, base_unit, price, cost_price, tax_class_id FROM products WHERE id = ?');
+    const existingProduct = getProduct.get(req.params.id);
+    
+    if (!existingProduct) {
+      // If new image was uploaded but product not found, delete it
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const productSupplier = resolveProductSupplier(supplier_id, supplier);
+    if (!productSupplier) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ error: 'Supplier not found' });
+    }
+    const { supplierId, supplierName } = productSupplier;
+
+    if (!db.prepare('SELECT id FROM categories WHERE name = ?').get(category)) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ error: 'Category not found' });
+    }
+
+    const { levels, error: levelsError } = parseStockLevels(req.body);
+    if (levelsError) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ error: levelsError });
+    }
+
+    // Forms that do not send a cost price leave it unchanged
+    const { costPrice, error: costPriceError } = req.body.cost_price === undefined
+      ? { costPrice: existingProduct.cost_price }
+      : parseCostPrice(req.body.cost_price);
+    if (costPriceError) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ error: costPriceError });
+    }
+
+    const { taxClassId, error: taxClassError } = req.body.tax_class_id === undefined
+      ? { taxClassId: existingProduct.tax_class_id }
+      : parseTaxClassId(req.body.tax_class_id);
+    if (taxClassError) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ error: taxClassError });
+    }
+
+    const productBarcode = barcode ? String(barcode).trim() : null;
+    const barcodeError = checkProductBarcode(productBarcode, req.params.id);
+    if (barcodeError) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ error: barcodeError });
+    }
+
+    // Handle image upload
+    let imagePath = existingProduct.image; // Keep existing image by default
+    if (req.file) {
+      // Delete old image if it exists
       if (existingProduct.image) {
         const oldImagePath = path.join(__dirname, 'public', existingProduct.image);
         if (fs.existsSync(oldImagePath)) {
@@ -478,25 +1668,61 @@ app.put('/api/products/:id', requireAuth, uploadProduct.single('image'), (req, r
       imagePath = `/uploads/${req.file.filename}`;
     }
 
+    // Like the cost price, flags that are not sent keep their current value
+    const requiresPrescription = req.body.requires_prescription === undefined
+      ? existingProduct.requires_prescription
+      : parseProductFlag(req.body.requires_prescription) || 0;
+    const controlledSubstance = req.body.controlled_substance === undefined
+      ? existingProduct.controlled_substance
+      : parseProductFlag(req.body.controlled_substance) || 0;
+    const baseUnit = req.body.base_unit === undefined ? existingProduct.base_unit : parseBaseUnit(req.body.base_unit);
+
+    // Quantity and expiry date are derived from batches, so they are not written here: stock changes
+    // go through a stock adjustment, with its reason code and approval
     const updateProduct = db.prepare(
       `UPDATE products 
-       SET name = ?, description = ?, category = ?, quantity = ?, price = ?, 
-           expiry_date = ?, supplier = ?, barcode = ?, image = ?, updated_at = CURRENT_TIMESTAMP
+       SET name = ?, description = ?, category = ?, price = ?, 
+           supplier = ?, supplier_id = ?, barcode = ?, image = ?,
+           reorder_point = ?, reorder_quantity = ?, max_stock = ?, requires_prescription = ?, controlled_substance = ?,
+           base_unit = ?, cost_price = ?, tax_class_id = ?, updated_at = CURRENT_TIMESTAMP
        WHERE id = ?`
     );
-    
-    const result = updateProduct.run(
-      name, 
-      description || null, 
-      category, 
-      quantity, 
-      price, 
-      expiry_date || null, 
-      supplier || null, 
-      barcode || null,
-      imagePath,
-      req.params.id
-    );
+
+    const saveProduct = db.transaction(() => {
+      const updateResult = updateProduct.run(
+        name, 
+        description || null, 
+        category, 
+        price, 
+        supplierName, 
+        supplierId,
+        productBarcode || null,
+        imagePath,
+        levels.reorder_point,
+        levels.reorder_quantity,
+        levels.max_stock,
+        requiresPrescription,
+        controlledSubstance,
+        baseUnit,
+        costPrice,
+        taxClassId,
+        req.params.id
+      );
+
+      // Keep a history of price changes so past sales can be reported at the prices of the time
+      if (updateResult.changes > 0) {
+        recordPriceChange(req.params.id, 'selling', existingProduct.price, price, req.session.user.id);
+        recordPriceChange(req.params.id, 'cost', existingProduct.cost_price, costPrice, req.session.user.id);
+      }
+
+      // Newly controlled products start their register with the stock on hand
+      if (updateResult.changes > 0 && controlledSubstance && !existingProduct.controlled_substance) {
+        recordControlledOpening(req.params.id, req.session.user.id);
+      }
+      return updateResult;
+    });
+
+    const result = saveProduct();
     
     if (result.changes === 0) {
       // If new image was uploaded but update failed, delete it
@@ -516,7 +1742,7 @@ app.put('/api/products/:id', requireAuth, uploadProduct.single('image'), (req, r
 });
 
 // Delete product
-app.delete('/api/products/:id', requireAuth, (req, res) => {
+app.delete('/api/products/:id', requireAuth, requireAdmin, (req, res) => {
   try {
     // Get product image path before deletion
     const getProduct = db.prepare('SELECT image FROM products WHERE id = ?');
@@ -526,8 +1752,48 @@ app.delete('/api/products/:id', requireAuth, (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    // Stock on hand (on sale or quarantined) has to leave through a sale, adjustment or disposal, not with the product
+    const stock = db.prepare('SELECT COALESCE(SUM(quantity_remaining), 0) as quantity FROM product_batches WHERE product_id = ?')
+      .get(req.params.id);
+    if (stock.quantity > 0) {
+      return res.status(400).json({ error: 'This product still has stock on hand and cannot be deleted' });
+    }
+
+    // Products that appear in the stock ledger, on orders, purchase orders, stock adjustments, disposals
+    // or the controlled register are kept for the records (the ledger is append-only)
+    const history = db.prepare(`
+      SELECT (SELECT COUNT(*) FROM stock_movements WHERE product_id = ?)
+           + (SELECT COUNT(*) FROM order_items WHERE product_id = ?)
+           + (SELECT COUNT(*) FROM purchase_order_items WHERE product_id = ?)
+           + (SELECT COUNT(*) FROM stock_adjustments WHERE product_id = ?)
+           + (SELECT COUNT(*) FROM stock_disposals WHERE product_id = ?)
+           + (SELECT COUNT(*) FROM controlled_register WHERE product_id = ?) as count
+    `).get(req.params.id, req.params.id, req.params.id, req.params.id, req.params.id, req.params.id);
+    if (history.count > 0) {
+      return res.status(400).json({ error: 'This product has stock movement, order, purchase, adjustment, disposal or controlled register history and cannot be deleted' });
+    }
+
+    const promotion = db.prepare('SELECT code FROM promotions WHERE product_id = ?').get(req.params.id);
+    if (promotion) {
+      return res.status(400).json({ error: `This product is used by promotion ${promotion.code}. Change or delete the promotion first.` });
+    }
+
+    const deleteBatches = db.prepare('DELETE FROM product_batches WHERE product_id = ?');
+    const deleteUnits = db.prepare('DELETE FROM product_units WHERE product_id = ?');
+    const deleteCartItems = db.prepare('DELETE FROM cart_items WHERE product_id = ?');
+    const deleteWishlistItems = db.prepare('DELETE FROM wishlist_items WHERE product_id = ?');
+    const deleteStockAlerts = db.prepare('DELETE FROM stock_alerts WHERE product_id = ?');
+    const deletePriceHistory = db.prepare('DELETE FROM price_history WHERE product_id = ?');
     const deleteProduct = db.prepare('DELETE FROM products WHERE id = ?');
-    const result = deleteProduct.run(req.params.id);
+    const result = db.transaction(() => {
+      deleteBatches.run(req.params.id);
+      deleteCartItems.run(req.params.id);
+      deleteWishlistItems.run(req.params.id);
+      deleteStockAlerts.run(req.params.id);
+      deleteUnits.run(req.params.id);
+      deletePriceHistory.run(req.params.id);
+      return deleteProduct.run(req.params.id);
+    })();
     
     if (result.changes === 0) {
       return res.status(404).json({ error: 'Product not found' });
@@ -552,504 +1818,5033 @@ app.delete('/api/products/:id', requireAuth, (req, res) => {
   }
 });
 
-// Get categories
-app.get('/api/categories', requireAuth, (req, res) => {
+// ========== BATCHES API ==========
+
+// Get batches for a product (earliest expiry first)
+app.get('/api/products/:id/batches', requireAuth, requireAdmin, (req, res) => {
   try {
-    const getCategories = db.prepare('SELECT * FROM categories ORDER BY name');
-    const rows = getCategories.all();
-    res.json(rows);
+    const getProduct = db.prepare('SELECT id FROM products WHERE id = ?');
+    if (!getProduct.get(req.params.id)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const getBatches = db.prepare(`
+      SELECT * FROM product_batches
+      WHERE product_id = ?
+      ORDER BY CASE WHEN expiry_date IS NULL OR expiry_date = '' THEN 1 ELSE 0 END, expiry_date, id
+    `);
+    res.json(getBatches.all(req.params.id));
   } catch (error) {
     return res.status(500).json({ error: error.message });
   }
 });
 
-// Get all users (for admin panel)
-app.get('/api/users', requireAuth, requireAdmin, (req, res) => {
+// Receive a new batch of stock for a product
+app.post('/api/products/:id/batches', requireAuth, requireAdmin, (req, res) => {
   try {
-    const getUsers = db.prepare('SELECT id, username, email, role, created_at FROM users ORDER BY created_at DESC');
-    const users = getUsers.all();
-    res.json(users);
+    const { lot_number, expiry_date, quantity } = req.body;
+    const batchQuantity = parseInt(quantity);
+
+    if (!batchQuantity || batchQuantity <= 0) {
+      return res.status(400).json({ error: 'Batch quantity must be greater than 0' });
+    }
+
+    if (expiry_date && !isValidDateString(expiry_date)) {
+      return res.status(400).json({ error: `Malformed expiry date "${expiry_date}" (use YYYY-MM-DD)` });
+    }
+
+    const { costPrice, error: costPriceError } = parseCostPrice(req.body.unit_cost);
+    if (costPriceError) {
+      return res.status(400).json({ error: costPriceError });
+    }
+
+    const getProduct = db.prepare('SELECT id FROM products WHERE id = ?');
+    if (!getProduct.get(req.params.id)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const batchId = db.transaction(() => addProductBatch(req.params.id, {
+      lot_number: lot_number ? String(lot_number).trim() : null,
+      expiry_date,
+      quantity: batchQuantity,
+      unit_cost: costPrice
+    }, {
+      reason: 'receipt',
+      userId: req.session.user.id
+    }))();
+
+    const batch = db.prepare('SELECT * FROM product_batches WHERE id = ?').get(batchId);
+    res.json({ success: true, batch, message: 'Batch received successfully' });
   } catch (error) {
     return res.status(500).json({ error: error.message });
   }
 });
 
-// Delete user (admin only)
-app.delete('/api/users/:id', requireAuth, requireAdmin, (req, res) => {
+// Correct a batch's lot number or expiry date
+app.put('/api/batches/:id', requireAuth, requireAdmin, (req, res) => {
   try {
-    const userId = parseInt(req.params.id);
-    const currentUserId = req.session.user.id;
+    const { lot_number, expiry_date } = req.body;
 
-    // Prevent deleting yourself
-    if (userId === currentUserId) {
-      return res.status(400).json({ error: 'You cannot delete your own account' });
+    if (!lot_number || !String(lot_number).trim()) {
+      return res.status(400).json({ error: 'Lot number is required' });
     }
 
-    // Check if user exists and get their role
-    const getUser = db.prepare('SELECT id, username, role FROM users WHERE id = ?');
-    const user = getUser.get(userId);
+    if (expiry_date && !isValidDateString(expiry_date)) {
+      return res.status(400).json({ error: `Malformed expiry date "${expiry_date}" (use YYYY-MM-DD)` });
+    }
 
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const batch = db.prepare('SELECT * FROM product_batches WHERE id = ?').get(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
     }
 
-    // Prevent deleting admin users
-    if (user.role === 'admin') {
-      return res.status(400).json({ error: 'Cannot delete admin users' });
+    db.transaction(() => {
+      db.prepare('UPDATE product_batches SET lot_number = ?, expiry_date = ? WHERE id = ?')
+        .run(String(lot_number).trim(), expiry_date || null, batch.id);
+      // A new expiry date gets its own alert when it comes within the window
+      if ((expiry_date || null) !== (batch.expiry_date || null)) {
+        db.prepare('UPDATE product_batches SET expiry_alerted_at = NULL WHERE id = ?').run(batch.id);
+      }
+      syncProductStock(batch.product_id);
+    })();
+
+    res.json({ success: true, message: 'Batch updated successfully' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Get batches on sale that expire within the expiry alert window
+app.get('/api/batches/expiring', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { todayStr, expiryDateStr } = getExpiryWindow();
+
+    const getExpiring = db.prepare(`
+      SELECT b.*, p.name as product_name, p.category, p.price, p.cost_price, p.supplier, p.image
+      FROM product_batches b
+      JOIN products p ON b.product_id = p.id
+      WHERE b.quantity_remaining > 0
+      AND b.quarantined_at IS NULL
+      AND b.expiry_date IS NOT NULL
+      AND b.expiry_date != ''
+      AND b.expiry_date <= ?
+      AND b.expiry_date >= ?
+      ORDER BY b.expiry_date, p.name
+    `);
+    res.json(getExpiring.all(expiryDateStr, todayStr));
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== PACK SIZES API ==========
+
+// Get a product's pack sizes
+app.get('/api/products/:id/units', requireAuth, (req, res) => {
+  try {
+    const product = db.prepare('SELECT id FROM products WHERE id = ?').get(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
     }
 
-    // Check if user has orders
-    const getOrderCount = db.prepare('SELECT COUNT(*) as count FROM orders WHERE user_id = ?');
-    const orderCount = getOrderCount.get(userId).count;
+    res.json(getProductUnits(product.id));
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
 
-    // Get user's profile picture path before deletion
-    const getUserForPicture = db.prepare('SELECT profile_picture FROM users WHERE id = ?');
-    const userWithPicture = getUserForPicture.get(userId);
-    const profilePicturePath = userWithPicture && userWithPicture.profile_picture 
-      ? path.join(__dirname, 'public', userWithPicture.profile_picture) 
-      : null;
+// Add a pack size to a product (admin only)
+app.post('/api/products/:id/units', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const product = db.prepare('SELECT * FROM products WHERE id = ?').get(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
 
-    // Prepare deletion statements - delete in order: order_items -> orders -> user
-    const deleteOrderItems = db.prepare('DELETE FROM order_items WHERE order_id IN (SELECT id FROM orders WHERE user_id = ?)');
-    const deleteOrders = db.prepare('DELETE FROM orders WHERE user_id = ?');
-    const deleteUser = db.prepare('DELETE FROM users WHERE id = ?');
+    const { unit, error } = parseUnitInput(req.body, product);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    // Execute deletions in a transaction
-    const transaction = db.transaction(() => {
-      // Delete order items first
-      deleteOrderItems.run(userId);
-      // Delete orders
-      deleteOrders.run(userId);
-      // Delete user
-      const result = deleteUser.run(userId);
-      return result;
-    });
+    const unitId = db.transaction(() => {
+      const result = db.prepare('INSERT INTO product_units (product_id, name, units_per_pack, price) VALUES (?, ?, ?, ?)')
+        .run(product.id, unit.name, unit.units_per_pack, unit.price);
+      if (parseProductFlag(req.body.is_purchase_unit)) {
+        db.prepare('UPDATE products SET purchase_unit_id = ? WHERE id = ?').run(result.lastInsertRowid, product.id);
+      }
+      return result.lastInsertRowid;
+    })();
 
-    const result = transaction();
+    res.json({ success: true, id: unitId, message: 'Pack size added successfully' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a pack size (admin only). Orders and purchase orders keep the pack size they were placed with.
+app.put('/api/products/:id/units/:unitId', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const product = db.prepare('SELECT * FROM products WHERE id = ?').get(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const existing = db.prepare('SELECT id FROM product_units WHERE id = ? AND product_id = ?').get(req.params.unitId, product.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Pack size not found' });
+    }
+
+    const { unit, error } = parseUnitInput(req.body, product, existing.id);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    db.transaction(() => {
+      db.prepare('UPDATE product_units SET name = ?, units_per_pack = ?, price = ? WHERE id = ?')
+        .run(unit.name, unit.units_per_pack, unit.price, existing.id);
+
+      const isPurchaseUnit = parseProductFlag(req.body.is_purchase_unit);
+      if (isPurchaseUnit) {
+        db.prepare('UPDATE products SET purchase_unit_id = ? WHERE id = ?').run(existing.id, product.id);
+      } else if (product.purchase_unit_id === existing.id) {
+        db.prepare('UPDATE products SET purchase_unit_id = NULL WHERE id = ?').run(product.id);
+      }
+    })();
+
+    res.json({ success: true, message: 'Pack size updated successfully' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a pack size (admin only)
+app.delete('/api/products/:id/units/:unitId', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const result = db.transaction(() => {
+      db.prepare('UPDATE products SET purchase_unit_id = NULL WHERE id = ? AND purchase_unit_id = ?')
+        .run(req.params.id, req.params.unitId);
+      // Customers who had the pack size in their cart lose that line
+      db.prepare('DELETE FROM cart_items WHERE unit_id = ? AND product_id = ?').run(req.params.unitId, req.params.id);
+      return db.prepare('DELETE FROM product_units WHERE id = ? AND product_id = ?').run(req.params.unitId, req.params.id);
+    })();
 
     if (result.changes === 0) {
-      return res.status(404).json({ error: 'User not found or could not be deleted' });
+      return res.status(404).json({ error: 'Pack size not found' });
     }
+    res.json({ success: true, message: 'Pack size removed successfully' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
 
-    // Delete user's profile picture after successful database deletion
-    if (profilePicturePath && fs.existsSync(profilePicturePath)) {
-      try {
-        fs.unlinkSync(profilePicturePath);
-      } catch (err) {
-        console.error('Error deleting profile picture:', err);
-        // Continue even if picture deletion fails - user is already deleted
+// ========== STOCK MOVEMENTS API ==========
+
+// Get the stock movement ledger for a product (newest first)
+app.get('/api/products/:id/movements', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const getProduct = db.prepare('SELECT id FROM products WHERE id = ?');
+    if (!getProduct.get(req.params.id)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const getMovements = db.prepare(`
+      SELECT m.*, b.lot_number, u.username,
+             CASE
+               WHEN m.reference_type = 'order' THEN o.order_number
+               WHEN m.reference_type = 'adjustment' THEN 'ADJ-' || m.reference_id
+               WHEN m.reference_type = 'purchase_order' THEN po.po_number
+               WHEN m.reference_type = 'disposal' THEN 'DSP-' || m.reference_id
+             END as reference_label
+      FROM stock_movements m
+      LEFT JOIN product_batches b ON m.batch_id = b.id
+      LEFT JOIN users u ON m.user_id = u.id
+      LEFT JOIN orders o ON m.reference_type = 'order' AND m.reference_id = o.id
+      LEFT JOIN purchase_orders po ON m.reference_type = 'purchase_order' AND m.reference_id = po.id
+      WHERE m.product_id = ?
+      ORDER BY m.created_at DESC, m.id DESC
+    `);
+    res.json(getMovements.all(req.params.id));
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== STOCK ADJUSTMENTS API ==========
+
+// Allowed adjustment reason codes and their labels
+const adjustmentReasons = {
+  damaged: 'Damaged',
+  expired_write_off: 'Expired write-off',
+  theft: 'Theft',
+  count_correction: 'Count correction',
+  donation: 'Donation'
+};
+
+// Stock an adjustment can draw from: the chosen lot, or the whole product
+function getAdjustableQuantity(productId, batchId) {
+  if (batchId) {
+    const batch = db.prepare('SELECT quantity_remaining FROM product_batches WHERE id = ?').get(batchId);
+    return batch ? batch.quantity_remaining : 0;
+  }
+  const product = db.prepare('SELECT quantity FROM products WHERE id = ?').get(productId);
+  return product ? product.quantity : 0;
+}
+
+// Apply an adjustment to stock: a specific lot if one was chosen, otherwise new lot / FEFO
+function applyStockAdjustment(adjustment, userId) {
+  const movement = {
+    reason: 'adjustment',
+    referenceType: 'adjustment',
+    referenceId: adjustment.id,
+    userId: userId,
+    note: adjustmentReasons[adjustment.reason] + (adjustment.note ? ` - ${adjustment.note}` : '')
+  };
+
+  if (adjustment.quantity_change > 0) {
+    restoreBatchStock(adjustment.product_id, adjustment.batch_id, adjustment.quantity_change, movement);
+  } else if (adjustment.batch_id) {
+    deductBatchStock(adjustment.product_id, adjustment.batch_id, -adjustment.quantity_change, movement);
+  } else {
+    deductStockFefo(adjustment.product_id, -adjustment.quantity_change, movement);
+  }
+}
+
+// Adjustments larger than this (in either direction) need a second admin's approval
+function getAdjustmentApprovalThreshold() {
+  const setting = db.prepare('SELECT setting_value FROM settings WHERE setting_key = ?').get('adjustment_approval_threshold');
+  return setting ? parseInt(setting.setting_value) : 20;
+}
+
+// Create a stock adjustment for a product
+app.post('/api/products/:id/adjustments', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { quantity_change, reason, note, batch_id } = req.body;
+    const quantityChange = parseInt(quantity_change);
+
+    if (!quantityChange) {
+      return res.status(400).json({ error: 'Adjustment quantity must be a non-zero number' });
+    }
+
+    if (!adjustmentReasons[reason]) {
+      return res.status(400).json({ error: 'A valid adjustment reason is required' });
+    }
+
+    const product = db.prepare('SELECT * FROM products WHERE id = ?').get(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    let batch = null;
+    if (batch_id) {
+      batch = db.prepare('SELECT * FROM product_batches WHERE id = ? AND product_id = ?').get(batch_id, product.id);
+      if (!batch) {
+        return res.status(400).json({ error: 'Batch not found for this product' });
+      }
+      if (batch.quarantined_at) {
+        return res.status(400).json({ error: `Lot ${batch.lot_number} is quarantined and off sale` });
       }
     }
 
-    res.json({ 
-      success: true, 
-      message: `User "${user.username}" has been deleted successfully.`,
-      deletedOrders: orderCount
+    const available = getAdjustableQuantity(product.id, batch ? batch.id : null);
+    if (quantityChange < 0 && available < -quantityChange) {
+      return res.status(400).json({
+        error: `Cannot remove ${-quantityChange}. Available: ${available}`
+      });
+    }
+
+    const needsApproval = Math.abs(quantityChange) > getAdjustmentApprovalThreshold();
+
+    const insertAdjustment = db.prepare(`
+      INSERT INTO stock_adjustments (product_id, batch_id, quantity_change, reason, note, status, requested_by, applied_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, CASE WHEN ? = 'applied' THEN CURRENT_TIMESTAMP END)
+    `);
+    const status = needsApproval ? 'pending' : 'applied';
+
+    const adjustment = db.transaction(() => {
+      const result = insertAdjustment.run(
+        product.id,
+        batch ? batch.id : null,
+        quantityChange,
+        reason,
+        note || null,
+        status,
+        req.session.user.id,
+        status
+      );
+
+      const created = db.prepare('SELECT * FROM stock_adjustments WHERE id = ?').get(result.lastInsertRowid);
+      if (!needsApproval) {
+        applyStockAdjustment(created, req.session.user.id);
+      }
+      return created;
+    })();
+
+    res.json({
+      success: true,
+      adjustment,
+      message: needsApproval
+        ? 'Adjustment submitted. It needs approval from another admin before it takes effect.'
+        : 'Stock adjusted successfully'
     });
   } catch (error) {
-    console.error('Error deleting user:', error);
-    return res.status(500).json({ error: error.message || 'Failed to delete user' });
+    return res.status(500).json({ error: error.message });
   }
 });
 
-// Get settings
-app.get('/api/settings', requireAuth, (req, res) => {
+// Get adjustments for a product
+app.get('/api/products/:id/adjustments', requireAuth, requireAdmin, (req, res) => {
   try {
-    const getSettings = db.prepare('SELECT setting_key, setting_value, description FROM settings');
-    const settings = getSettings.all();
-    
-    // Convert to object format
-    const settingsObj = {};
-    settings.forEach(setting => {
-      settingsObj[setting.setting_key] = {
-        value: setting.setting_value,
-        description: setting.description
-      };
-    });
-    
-    res.json(settingsObj);
+    const getAdjustments = db.prepare(`
+      SELECT a.*, b.lot_number, r.username as requested_by_username, ap.username as approved_by_username
+      FROM stock_adjustments a
+      LEFT JOIN product_batches b ON a.batch_id = b.id
+      LEFT JOIN users r ON a.requested_by = r.id
+      LEFT JOIN users ap ON a.approved_by = ap.id
+      WHERE a.product_id = ?
+      ORDER BY a.created_at DESC, a.id DESC
+    `);
+    res.json(getAdjustments.all(req.params.id));
   } catch (error) {
     return res.status(500).json({ error: error.message });
   }
 });
 
-// Get single setting
-app.get('/api/settings/:key', requireAuth, (req, res) => {
+// Get all adjustments (optionally filtered by status, e.g. pending approvals)
+app.get('/api/adjustments', requireAuth, requireAdmin, (req, res) => {
   try {
-    const getSetting = db.prepare('SELECT setting_key, setting_value, description FROM settings WHERE setting_key = ?');
-    const setting = getSetting.get(req.params.key);
-    
-    if (!setting) {
-      return res.status(404).json({ error: 'Setting not found' });
+    const { status } = req.query;
+    let query = `
+      SELECT a.*, p.name as product_name, b.lot_number,
+             r.username as requested_by_username, ap.username as approved_by_username
+      FROM stock_adjustments a
+      JOIN products p ON a.product_id = p.id
+      LEFT JOIN product_batches b ON a.batch_id = b.id
+      LEFT JOIN users r ON a.requested_by = r.id
+      LEFT JOIN users ap ON a.approved_by = ap.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (status) {
+      query += ' AND a.status = ?';
+      params.push(status);
     }
-    
-    res.json({
-      key: setting.setting_key,
-      value: setting.setting_value,
-      description: setting.description
-    });
+
+    query += ' ORDER BY a.created_at DESC, a.id DESC';
+
+    res.json(db.prepare(query).all(...params));
   } catch (error) {
     return res.status(500).json({ error: error.message });
   }
 });
 
-// Update setting
-app.put('/api/settings/:key', requireAuth, (req, res) => {
+// Approve a pending adjustment (must be a different admin than the requester)
+app.post('/api/adjustments/:id/approve', requireAuth, requireAdmin, (req, res) => {
   try {
-    const { value, description } = req.body;
-    
-    if (value === undefined || value === null) {
-      return res.status(400).json({ error: 'Setting value is required' });
+    const adjustment = db.prepare('SELECT * FROM stock_adjustments WHERE id = ?').get(req.params.id);
+
+    if (!adjustment) {
+      return res.status(404).json({ error: 'Adjustment not found' });
     }
-    
-    // Check if setting exists
-    const getSetting = db.prepare('SELECT * FROM settings WHERE setting_key = ?');
-    const existing = getSetting.get(req.params.key);
-    
-    if (existing) {
-      // Update existing setting
-      const updateSetting = db.prepare(
-        'UPDATE settings SET setting_value = ?, description = COALESCE(?, description), updated_at = CURRENT_TIMESTAMP WHERE setting_key = ?'
-      );
-      updateSetting.run(value, description || null, req.params.key);
-    } else {
-      // Create new setting
-      const insertSetting = db.prepare(
-        'INSERT INTO settings (setting_key, setting_value, description) VALUES (?, ?, ?)'
-      );
-      insertSetting.run(req.params.key, value, description || null);
+
+    if (adjustment.status !== 'pending') {
+      return res.status(400).json({ error: `Adjustment is already ${adjustment.status}` });
     }
-    
-    res.json({ success: true, message: 'Setting updated successfully' });
+
+    if (adjustment.requested_by === req.session.user.id) {
+      return res.status(403).json({ error: 'Adjustments must be approved by a different admin' });
+    }
+
+    // Stock may have moved since the adjustment was requested, and its lot may have been quarantined
+    if (adjustment.batch_id) {
+      const batch = db.prepare('SELECT lot_number, quarantined_at FROM product_batches WHERE id = ?').get(adjustment.batch_id);
+      if (batch && batch.quarantined_at) {
+        return res.status(400).json({ error: `Lot ${batch.lot_number} is quarantined and off sale` });
+      }
+    }
+
+    const available = getAdjustableQuantity(adjustment.product_id, adjustment.batch_id);
+    if (adjustment.quantity_change < 0 && available < -adjustment.quantity_change) {
+      return res.status(400).json({
+        error: `Cannot remove ${-adjustment.quantity_change}. Available: ${available}`
+      });
+    }
+
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE stock_adjustments
+        SET status = 'applied', approved_by = ?, decided_at = CURRENT_TIMESTAMP, applied_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(req.session.user.id, adjustment.id);
+      applyStockAdjustment(adjustment, req.session.user.id);
+    })();
+
+    res.json({ success: true, message: 'Adjustment approved and applied' });
   } catch (error) {
     return res.status(500).json({ error: error.message });
   }
 });
 
-// Update dashboard stats to use dynamic threshold
-app.get('/api/dashboard/stats', requireAuth, (req, res) => {
+// Reject a pending adjustment
+app.post('/api/adjustments/:id/reject', requireAuth, requireAdmin, (req, res) => {
   try {
-    const stats = {};
+    const { rejection_reason } = req.body;
+    const adjustment = db.prepare('SELECT * FROM stock_adjustments WHERE id = ?').get(req.params.id);
 
-    // Get low stock threshold from settings
-    const getThreshold = db.prepare('SELECT setting_value FROM settings WHERE setting_key = ?');
-    const thresholdSetting = getThreshold.get('low_stock_threshold');
-    const lowStockThreshold = thresholdSetting ? parseInt(thresholdSetting.setting_value) : 10;
+    if (!adjustment) {
+      return res.status(404).json({ error: 'Adjustment not found' });
+    }
 
-    // Get expiry alert days from settings
-    const expirySetting = getThreshold.get('expiry_alert_days');
-    const expiryAlertDays = expirySetting ? parseInt(expirySetting.setting_value) : 30;
+    if (adjustment.status !== 'pending') {
+      return res.status(400).json({ error: `Adjustment is already ${adjustment.status}` });
+    }
 
-    // Total products
-    const countProducts = db.prepare('SELECT COUNT(*) as total FROM products');
-    stats.totalProducts = countProducts.get().total;
+    db.prepare(`
+      UPDATE stock_adjustments
+      SET status = 'rejected', approved_by = ?, rejection_reason = ?, decided_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(req.session.user.id, rejection_reason || null, adjustment.id);
 
-    // Low stock (using dynamic threshold)
-    const countLowStock = db.prepare(`SELECT COUNT(*) as total FROM products WHERE quantity < ?`);
-    stats.lowStock = countLowStock.get(lowStockThreshold).total;
-    stats.lowStockThreshold = lowStockThreshold;
+    res.json({ success: true, message: 'Adjustment rejected' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
 
-    // Expiring soon products (using Sri Lankan timezone)
-    const today = getSriLankanDate();
-    const expiryDate = new Date(today);
-    expiryDate.setDate(expiryDate.getDate() + expiryAlertDays);
-    const expiryDateStr = expiryDate.toISOString().split('T')[0];
-    const todayStr = getSriLankanDateString();
-    
-    const countExpiring = db.prepare(`
-      SELECT COUNT(*) as total FROM products 
-      WHERE expiry_date IS NOT NULL 
-      AND expiry_date != '' 
-      AND expiry_date <= ? 
+// ========== QUARANTINE & DISPOSALS API ==========
+// Lots that must not be sold (expired, recalled, damaged) are quarantined: their stock stays on the lot,
+// visible but off sale, until it is released or disposed of. Each disposal is recorded with its method,
+// witness and date as proof for inspections, and written off at the lot's unit cost.
+
+const disposalMethods = {
+  return_to_supplier: 'Return to supplier',
+  incineration: 'Incineration',
+  waste_contractor: 'Pharmaceutical waste contractor'
+};
+
+// Quarantined lots that still hold stock, oldest quarantine first
+app.get('/api/batches/quarantined', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const batches = db.prepare(`
+      SELECT b.*, p.name as product_name, p.base_unit, COALESCE(b.unit_cost, p.cost_price) as write_off_cost
+      FROM product_batches b
+      JOIN products p ON b.product_id = p.id
+      WHERE b.quarantined_at IS NOT NULL AND b.quantity_remaining > 0
+      ORDER BY b.quarantined_at, p.name
+    `).all();
+    res.json(batches);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Take a lot off sale
+app.post('/api/batches/:id/quarantine', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const reason = req.body.reason ? String(req.body.reason).trim() : '';
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason for the quarantine is required' });
+    }
+
+    const batch = db.prepare('SELECT * FROM product_batches WHERE id = ?').get(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    if (batch.quarantined_at) {
+      return res.status(400).json({ error: `Lot ${batch.lot_number} is already quarantined` });
+    }
+
+    db.transaction(() => quarantineBatch(batch, reason, req.session.user.id))();
+    res.json({ success: true, message: `Lot ${batch.lot_number} quarantined and taken off sale` });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Put a quarantined lot back on sale (not once it has expired)
+app.post('/api/batches/:id/release', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const batch = db.prepare('SELECT * FROM product_batches WHERE id = ?').get(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    if (!batch.quarantined_at) {
+      return res.status(400).json({ error: `Lot ${batch.lot_number} is not quarantined` });
+    }
+    if (batch.expiry_date && batch.expiry_date < getSriLankanDateString()) {
+      return res.status(400).json({ error: `Lot ${batch.lot_number} expired on ${batch.expiry_date} and cannot go back on sale` });
+    }
+
+    db.transaction(() => releaseBatch(batch, req.session.user.id))();
+    res.json({ success: true, message: `Lot ${batch.lot_number} released and back on sale` });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Record the disposal of stock from a quarantined lot
+app.post('/api/batches/:id/disposals', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { method, witness_name, disposed_on, reference, note } = req.body;
+    const quantity = parseInt(req.body.quantity);
+
+    if (!quantity || quantity <= 0) {
+      return res.status(400).json({ error: 'Disposal quantity must be greater than 0' });
+    }
+    if (!disposalMethods[method]) {
+      return res.status(400).json({ error: 'A valid disposal method is required' });
+    }
+    if (!witness_name || !String(witness_name).trim()) {
+      return res.status(400).json({ error: 'The name of the witness is required' });
+    }
+    if (!disposed_on || !isValidDateString(disposed_on)) {
+      return res.status(400).json({ error: 'Disposal date must be a valid YYYY-MM-DD date' });
+    }
+    if (disposed_on > getSriLankanDateString()) {
+      return res.status(400).json({ error: 'Disposal date cannot be in the future' });
+    }
+
+    const batch = db.prepare(`
+      SELECT b.*, COALESCE(b.unit_cost, p.cost_price) as write_off_cost
+      FROM product_batches b
+      JOIN products p ON b.product_id = p.id
+      WHERE b.id = ?
+    `).get(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    if (!batch.quarantined_at) {
+      return res.status(400).json({ error: `Quarantine lot ${batch.lot_number} before disposing of it` });
+    }
+    if (quantity > batch.quantity_remaining) {
+      return res.status(400).json({ error: `Cannot dispose of ${quantity}. Lot ${batch.lot_number} holds ${batch.quantity_remaining}` });
+    }
+
+    const witness = String(witness_name).trim();
+    const disposalReference = reference ? String(reference).trim() : null;
+
+    const disposalId = db.transaction(() => {
+      db.prepare('UPDATE product_batches SET quantity_remaining = quantity_remaining - ? WHERE id = ?').run(quantity, batch.id);
+      const id = db.prepare(`
+        INSERT INTO stock_disposals (product_id, batch_id, quantity, unit_cost, method, witness_name, disposed_on, reference, note, recorded_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        batch.product_id,
+        batch.id,
+        quantity,
+        batch.write_off_cost,
+        method,
+        witness,
+        disposed_on,
+        disposalReference,
+        note ? String(note).trim() : null,
+        req.session.user.id
+      ).lastInsertRowid;
+
+      // The stock was taken off sale when the lot was quarantined, so the ledger entry leaves the quantity
+      // on sale as it is; the register, which counts everything held, records the stock leaving
+      const movement = {
+        reason: 'disposal',
+        referenceType: 'disposal',
+        referenceId: id,
+        userId: req.session.user.id,
+        note: `${quantity} disposed of on ${disposed_on} by ${disposalMethods[method].toLowerCase()}, witnessed by ${witness}`
+          + (disposalReference ? ` (ref ${disposalReference})` : '')
+      };
+      const product = db.prepare('SELECT quantity FROM products WHERE id = ?').get(batch.product_id);
+      recordStockMovement(batch.product_id, batch.id, 0, product.quantity, movement);
+      recordControlledMovement(batch.product_id, batch.id, -quantity, movement);
+      return id;
+    })();
+
+    res.json({ success: true, id: disposalId, message: `${quantity} disposed of from lot ${batch.lot_number}` });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Disposal log, newest first (?month=YYYY-MM for one month)
+app.get('/api/disposals', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { month } = req.query;
+    if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({ error: 'Month must be in YYYY-MM format' });
+    }
+
+    const disposals = db.prepare(`
+      SELECT d.*, d.quantity * COALESCE(d.unit_cost, 0) as total_value,
+             p.name as product_name, p.base_unit, b.lot_number, b.expiry_date, b.quarantine_reason,
+             u.username as recorded_by_name
+      FROM stock_disposals d
+      JOIN products p ON d.product_id = p.id
+      JOIN product_batches b ON d.batch_id = b.id
+      LEFT JOIN users u ON d.recorded_by = u.id
+      ${month ? "WHERE strftime('%Y-%m', d.disposed_on) = ?" : ''}
+      ORDER BY d.disposed_on DESC, d.id DESC
+    `).all(...(month ? [month] : []));
+    res.json(disposals);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Written-off value per month of a year (?year=YYYY, defaults to the current year), split by method
+app.get('/api/disposals/report', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const year = req.query.year || getSriLankanDateString().slice(0, 4);
+    if (!/^\d{4}$/.test(year)) {
+      return res.status(400).json({ error: 'Year must be in YYYY format' });
+    }
+
+    const rows = db.prepare(`
+      SELECT strftime('%Y-%m', disposed_on) as month, method,
+             COUNT(*) as disposals, SUM(quantity) as quantity, SUM(quantity * COALESCE(unit_cost, 0)) as total_value
+      FROM stock_disposals
+      WHERE strftime('%Y', disposed_on) = ?
+      GROUP BY month, method
+      ORDER BY month
+    `).all(year);
+
+    const months = [];
+    rows.forEach(row => {
+      let month = months.find(entry => entry.month === row.month);
+      if (!month) {
+        month = { month: row.month, disposals: 0, quantity: 0, total_value: 0, by_method: {} };
+        months.push(month);
+      }
+      month.disposals += row.disposals;
+      month.quantity += row.quantity;
+      month.total_value += row.total_value;
+      month.by_method[row.method] = row.total_value;
+    });
+
+    res.json({
+      year,
+      methods: disposalMethods,
+      months,
+      total_value: months.reduce((sum, month) => sum + month.total_value, 0)
+    });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== SUPPLIERS API ==========
+
+// Work out the supplier for a product from the submitted supplier id (or legacy free-text name)
+// Returns null if the supplier id does not exist
+function resolveProductSupplier(supplierId, supplierName) {
+  if (supplierId) {
+    const supplier = db.prepare('SELECT id, name FROM suppliers WHERE id = ?').get(supplierId);
+    if (!supplier) {
+      return null;
+    }
+    return { supplierId: supplier.id, supplierName: supplier.name };
+  }
+
+  const name = supplierName ? String(supplierName).trim() : '';
+  if (!name) {
+    return { supplierId: null, supplierName: null };
+  }
+  const supplier = db.prepare('SELECT id FROM suppliers WHERE name = ?').get(name);
+  return { supplierId: supplier ? supplier.id : null, supplierName: name };
+}
+
+// Get all suppliers with product and open purchase order counts
+app.get('/api/suppliers', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const getSuppliers = db.prepare(`
+      SELECT s.*,
+             (SELECT COUNT(*) FROM products p WHERE p.supplier_id = s.id) as product_count,
+             (SELECT COUNT(*) FROM purchase_orders po
+              WHERE po.supplier_id = s.id AND po.status IN ('draft', 'sent', 'partially_received')) as open_po_count
+      FROM suppliers s
+      ORDER BY s.name
+    `);
+    res.json(getSuppliers.all());
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Get single supplier with the products bought from them
+app.get('/api/suppliers/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const supplier = db.prepare('SELECT * FROM suppliers WHERE id = ?').get(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    supplier.products = db.prepare(`
+      SELECT id, name, category, quantity, price FROM products WHERE supplier_id = ? ORDER BY name
+    `).all(supplier.id);
+    res.json(supplier);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Create supplier
+app.post('/api/suppliers', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { name, contact_person, email, phone, address, lead_time_days, payment_terms, notes } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'Supplier name is required' });
+    }
+
+    const leadTime = lead_time_days === undefined || lead_time_days === '' ? 7 : parseInt(lead_time_days);
+    if (isNaN(leadTime) || leadTime < 0) {
+      return res.status(400).json({ error: 'Lead time must be 0 or more days' });
+    }
+
+    const existing = db.prepare('SELECT id FROM suppliers WHERE name = ?').get(String(name).trim());
+    if (existing) {
+      return res.status(400).json({ error: 'A supplier with this name already exists' });
+    }
+
+    const result = db.prepare(`
+      INSERT INTO suppliers (name, contact_person, email, phone, address, lead_time_days, payment_terms, notes)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      String(name).trim(),
+      contact_person || null,
+      email || null,
+      phone || null,
+      address || null,
+      leadTime,
+      payment_terms || null,
+      notes || null
+    );
+
+    res.json({ success: true, id: result.lastInsertRowid, message: 'Supplier created successfully' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Update supplier
+app.put('/api/suppliers/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { name, contact_person, email, phone, address, lead_time_days, payment_terms, notes } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'Supplier name is required' });
+    }
+
+    const leadTime = lead_time_days === undefined || lead_time_days === '' ? 7 : parseInt(lead_time_days);
+    if (isNaN(leadTime) || leadTime < 0) {
+      return res.status(400).json({ error: 'Lead time must be 0 or more days' });
+    }
+
+    const supplier = db.prepare('SELECT * FROM suppliers WHERE id = ?').get(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    const duplicate = db.prepare('SELECT id FROM suppliers WHERE name = ? AND id != ?').get(String(name).trim(), supplier.id);
+    if (duplicate) {
+      return res.status(400).json({ error: 'A supplier with this name already exists' });
+    }
+
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE suppliers
+        SET name = ?, contact_person = ?, email = ?, phone = ?, address = ?,
+            lead_time_days = ?, payment_terms = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(
+        String(name).trim(),
+        contact_person || null,
+        email || null,
+        phone || null,
+        address || null,
+        leadTime,
+        payment_terms || null,
+        notes || null,
+        supplier.id
+      );
+
+      // Keep the supplier name shown on products in step with the supplier record
+      db.prepare('UPDATE products SET supplier = ? WHERE supplier_id = ?').run(String(name).trim(), supplier.id);
+    })();
+
+    res.json({ success: true, message: 'Supplier updated successfully' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete supplier (only if no purchase orders reference it)
+app.delete('/api/suppliers/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const supplier = db.prepare('SELECT * FROM suppliers WHERE id = ?').get(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    const poCount = db.prepare('SELECT COUNT(*) as total FROM purchase_orders WHERE supplier_id = ?').get(supplier.id).total;
+    if (poCount > 0) {
+      return res.status(400).json({ error: 'Cannot delete a supplier that has purchase orders' });
+    }
+
+    db.transaction(() => {
+      db.prepare('UPDATE products SET supplier_id = NULL WHERE supplier_id = ?').run(supplier.id);
+      db.prepare('DELETE FROM suppliers WHERE id = ?').run(supplier.id);
+    })();
+
+    res.json({ success: true, message: 'Supplier deleted successfully' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== PURCHASE ORDERS API ==========
+
+// Status changes an admin can make directly; receiving goods moves orders to partially_received / received
+const purchaseOrderTransitions = {
+  draft: ['sent'],
+  sent: ['closed'],
+  partially_received: ['closed'],
+  received: ['closed'],
+  closed: []
+};
+
+// Generate unique purchase order number
+function generatePurchaseOrderNumber() {
+  const timestamp = Date.now();
+  const random = Math.floor(Math.random() * 1000);
+  return `PO-${timestamp}-${random}`;
+}
+
+// Validate purchase order lines and attach product names, purchase units and subtotals.
+// Quantities and unit costs are per purchase unit; lines without a unit_id use the product's purchase unit.
+function buildPurchaseOrderItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('Purchase order must have at least one item');
+  }
+
+  const getProduct = db.prepare('SELECT id, name, price, base_unit, purchase_unit_id FROM products WHERE id = ?');
+  return items.map(item => {
+    const product = getProduct.get(item.product_id);
+    if (!product) {
+      throw new Error(`Product ${item.product_id} not found`);
+    }
+
+    const unit = resolveProductUnit(product, item.unit_id === undefined ? product.purchase_unit_id : item.unit_id);
+    if (!unit) {
+      throw new Error(`Pack size not found for ${product.name}`);
+    }
+
+    const quantity = parseInt(item.quantity);
+    if (!quantity || quantity <= 0) {
+      throw new Error(`Quantity for ${product.name} must be greater than 0`);
+    }
+
+    const unitCost = parseFloat(item.unit_cost) || 0;
+    if (unitCost < 0) {
+      throw new Error(`Unit cost for ${product.name} cannot be negative`);
+    }
+
+    return {
+      product_id: product.id,
+      product_name: product.name,
+      unit_id: unit.unit_id,
+      unit_name: unit.unit_name,
+      units_per_pack: unit.units_per_pack,
+      quantity_ordered: quantity,
+      unit_cost: unitCost,
+      subtotal: quantity * unitCost
+    };
+  });
+}
+
+// Replace the lines of a purchase order and update its total
+function savePurchaseOrderItems(purchaseOrderId, items) {
+  db.prepare('DELETE FROM purchase_order_items WHERE purchase_order_id = ?').run(purchaseOrderId);
+
+  const insertItem = db.prepare(`
+    INSERT INTO purchase_order_items (purchase_order_id, product_id, product_name, unit_id, unit_name, units_per_pack,
+                                      quantity_ordered, unit_cost, subtotal)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  items.forEach(item => {
+    insertItem.run(
+      purchaseOrderId, item.product_id, item.product_name, item.unit_id, item.unit_name, item.units_per_pack,
+      item.quantity_ordered, item.unit_cost, item.subtotal
+    );
+  });
+
+  const totalAmount = items.reduce((sum, item) => sum + item.subtotal, 0);
+  db.prepare('UPDATE purchase_orders SET total_amount = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(totalAmount, purchaseOrderId);
+}
+
+// Create a draft purchase order
+function createPurchaseOrder(supplierId, items, { expectedDate, notes, userId }) {
+  const insertOrder = db.prepare(`
+    INSERT INTO purchase_orders (po_number, supplier_id, status, expected_date, notes, created_by)
+    VALUES (?, ?, 'draft', ?, ?, ?)
+  `);
+
+  return db.transaction(() => {
+    const result = insertOrder.run(generatePurchaseOrderNumber(), supplierId, expectedDate || null, notes || null, userId);
+    savePurchaseOrderItems(result.lastInsertRowid, items);
+    return result.lastInsertRowid;
+  })();
+}
+
+// Purchase orders that are sent or part-received and past their expected date
+const overduePurchaseOrderCondition = `
+  po.status IN ('sent', 'partially_received')
+  AND po.expected_date IS NOT NULL
+  AND po.expected_date < ?
+`;
+
+// Get purchase orders (optionally filtered by status or supplier, or open / overdue only)
+app.get('/api/purchase-orders', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { status, supplier_id } = req.query;
+    const todayStr = getSriLankanDateString();
+
+    let query = `
+      SELECT po.*, s.name as supplier_name, s.lead_time_days,
+             CASE WHEN ${overduePurchaseOrderCondition} THEN 1 ELSE 0 END as is_overdue
+      FROM purchase_orders po
+      JOIN suppliers s ON po.supplier_id = s.id
+      WHERE 1=1
+    `;
+    const params = [todayStr];
+
+    if (status === 'open') {
+      query += ` AND po.status IN ('draft', 'sent', 'partially_received')`;
+    } else if (status === 'overdue') {
+      query += ` AND ${overduePurchaseOrderCondition}`;
+      params.push(todayStr);
+    } else if (status) {
+      query += ' AND po.status = ?';
+      params.push(status);
+    }
+
+    if (supplier_id) {
+      query += ' AND po.supplier_id = ?';
+      params.push(supplier_id);
+    }
+
+    query += ' ORDER BY po.created_at DESC, po.id DESC';
+
+    const purchaseOrders = db.prepare(query).all(...params);
+    res.json(purchaseOrders);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Get single purchase order with items and goods receipts
+app.get('/api/purchase-orders/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const purchaseOrder = db.prepare(`
+      SELECT po.*, s.name as supplier_name, s.lead_time_days, s.payment_terms,
+             s.contact_person, s.email as supplier_email, s.phone as supplier_phone,
+             CASE WHEN ${overduePurchaseOrderCondition} THEN 1 ELSE 0 END as is_overdue
+      FROM purchase_orders po
+      JOIN suppliers s ON po.supplier_id = s.id
+      WHERE po.id = ?
+    `).get(getSriLankanDateString(), req.params.id);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    purchaseOrder.items = db.prepare('SELECT * FROM purchase_order_items WHERE purchase_order_id = ? ORDER BY id').all(purchaseOrder.id);
+    purchaseOrder.receipts = db.prepare(`
+      SELECT r.*, i.product_name, i.unit_name, i.units_per_pack, b.lot_number, b.expiry_date, u.username as received_by_username
+      FROM purchase_order_receipts r
+      JOIN purchase_order_items i ON r.purchase_order_item_id = i.id
+      JOIN product_batches b ON r.batch_id = b.id
+      LEFT JOIN users u ON r.received_by = u.id
+      WHERE r.purchase_order_id = ?
+      ORDER BY r.received_at, r.id
+    `).all(purchaseOrder.id);
+
+    res.json(purchaseOrder);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Create purchase order (starts as a draft)
+app.post('/api/purchase-orders', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { supplier_id, items, expected_date, notes } = req.body;
+
+    const supplier = db.prepare('SELECT id FROM suppliers WHERE id = ?').get(supplier_id);
+    if (!supplier) {
+      return res.status(400).json({ error: 'A valid supplier is required' });
+    }
+
+    let orderItems;
+    try {
+      orderItems = buildPurchaseOrderItems(items);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const purchaseOrderId = createPurchaseOrder(supplier.id, orderItems, {
+      expectedDate: expected_date,
+      notes,
+      userId: req.session.user.id
+    });
+
+    const purchaseOrder = db.prepare('SELECT * FROM purchase_orders WHERE id = ?').get(purchaseOrderId);
+    res.json({ success: true, purchaseOrder, message: 'Purchase order created successfully' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a draft purchase order
+app.put('/api/purchase-orders/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { supplier_id, items, expected_date, notes } = req.body;
+
+    const purchaseOrder = db.prepare('SELECT * FROM purchase_orders WHERE id = ?').get(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(400).json({ error: 'Only draft purchase orders can be edited' });
+    }
+
+    const supplier = db.prepare('SELECT id FROM suppliers WHERE id = ?').get(supplier_id);
+    if (!supplier) {
+      return res.status(400).json({ error: 'A valid supplier is required' });
+    }
+
+    let orderItems;
+    try {
+      orderItems = buildPurchaseOrderItems(items);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE purchase_orders
+        SET supplier_id = ?, expected_date = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(supplier.id, expected_date || null, notes || null, purchaseOrder.id);
+      savePurchaseOrderItems(purchaseOrder.id, orderItems);
+    })();
+
+    res.json({ success: true, message: 'Purchase order updated successfully' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a draft purchase order
+app.delete('/api/purchase-orders/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const purchaseOrder = db.prepare('SELECT * FROM purchase_orders WHERE id = ?').get(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(400).json({ error: 'Only draft purchase orders can be deleted' });
+    }
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM purchase_order_items WHERE purchase_order_id = ?').run(purchaseOrder.id);
+      db.prepare('DELETE FROM purchase_orders WHERE id = ?').run(purchaseOrder.id);
+    })();
+
+    res.json({ success: true, message: 'Purchase order deleted successfully' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Update purchase order status (send to supplier, or close)
+app.put('/api/purchase-orders/:id/status', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { status } = req.body;
+
+    const purchaseOrder = db.prepare(`
+      SELECT po.*, s.lead_time_days
+      FROM purchase_orders po
+      JOIN suppliers s ON po.supplier_id = s.id
+      WHERE po.id = ?
+    `).get(req.params.id);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    const allowed = purchaseOrderTransitions[purchaseOrder.status] || [];
+    if (!allowed.includes(status)) {
+      return res.status(400).json({
+        error: `Cannot change purchase order from ${purchaseOrder.status} to ${status}`
+      });
+    }
+
+    if (status === 'sent') {
+      // Expected delivery defaults to today plus the supplier's lead time
+      let expectedDate = purchaseOrder.expected_date;
+      if (!expectedDate) {
+        const expected = getSriLankanDate();
+        expected.setDate(expected.getDate() + (purchaseOrder.lead_time_days || 0));
+        expectedDate = expected.toISOString().split('T')[0];
+      }
+
+      db.prepare(`
+        UPDATE purchase_orders
+        SET status = 'sent', expected_date = ?, sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(expectedDate, purchaseOrder.id);
+    } else {
+      db.prepare(`
+        UPDATE purchase_orders
+        SET status = 'closed', closed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(purchaseOrder.id);
+    }
+
+    res.json({ success: true, message: `Purchase order marked as ${status}` });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Receive goods against a purchase order - each line becomes a new batch
+app.post('/api/purchase-orders/:id/receive', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { items } = req.body;
+
+    const purchaseOrder = db.prepare('SELECT * FROM purchase_orders WHERE id = ?').get(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    if (!['sent', 'partially_received'].includes(purchaseOrder.status)) {
+      return res.status(400).json({ error: `Cannot receive goods on a ${purchaseOrder.status} purchase order` });
+    }
+
+    const receivedLines = Array.isArray(items)
+      ? items.filter(item => parseInt(item.quantity) > 0)
+      : [];
+    if (receivedLines.length === 0) {
+      return res.status(400).json({ error: 'Enter a received quantity for at least one item' });
+    }
+
+    // Lots with a malformed expiry date would sort wrongly for FEFO and the expiry sweep
+    const badExpiry = receivedLines.find(line => line.expiry_date && !isValidDateString(line.expiry_date));
+    if (badExpiry) {
+      return res.status(400).json({ error: `Malformed expiry date "${badExpiry.expiry_date}" (use YYYY-MM-DD)` });
+    }
+
+    // An item can arrive in several lots (one line each), so its lines are added up before checking what is outstanding
+    const receivingPerItem = new Map();
+    receivedLines.forEach(line => {
+      const itemId = parseInt(line.item_id);
+      receivingPerItem.set(itemId, (receivingPerItem.get(itemId) || 0) + parseInt(line.quantity));
+    });
+
+    const getItem = db.prepare('SELECT * FROM purchase_order_items WHERE id = ? AND purchase_order_id = ?');
+    for (const [itemId, receiving] of receivingPerItem) {
+      const item = getItem.get(itemId, purchaseOrder.id);
+      if (!item) {
+        return res.status(400).json({ error: 'Item not found on this purchase order' });
+      }
+
+      const outstanding = item.quantity_ordered - item.quantity_received;
+      if (receiving > outstanding) {
+        const unitName = item.unit_name ? ` ${item.unit_name}` : '';
+        return res.status(400).json({
+          error: `Cannot receive ${receiving}${unitName} of ${item.product_name}. Outstanding: ${outstanding}${unitName}`
+        });
+      }
+    }
+
+    const insertReceipt = db.prepare(`
+      INSERT INTO purchase_order_receipts (purchase_order_id, purchase_order_item_id, batch_id, quantity, received_by)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    const updateItemReceived = db.prepare('UPDATE purchase_order_items SET quantity_received = quantity_received + ? WHERE id = ?');
+
+    const newStatus = db.transaction(() => {
+      receivedLines.forEach(line => {
+        const item = getItem.get(line.item_id, purchaseOrder.id);
+        const quantity = parseInt(line.quantity);
+        const unitsPerPack = item.units_per_pack || 1;
+
+        // Received in purchase units, stocked in base units
+        const batchId = addProductBatch(item.product_id, {
+          lot_number: line.lot_number ? String(line.lot_number).trim() : null,
+          expiry_date: line.expiry_date,
+          quantity: quantity * unitsPerPack,
+          unit_cost: item.unit_cost / unitsPerPack
+        }, {
+          reason: 'receipt',
+          referenceType: 'purchase_order',
+          referenceId: purchaseOrder.id,
+          userId: req.session.user.id,
+          note: unitsPerPack > 1
+            ? `Received on ${purchaseOrder.po_number} (${quantity} ${item.unit_name} of ${unitsPerPack})`
+            : `Received on ${purchaseOrder.po_number}`
+        });
+
+        insertReceipt.run(purchaseOrder.id, item.id, batchId, quantity, req.session.user.id);
+        updateItemReceived.run(quantity, item.id);
+      });
+
+      const outstanding = db.prepare(`
+        SELECT COUNT(*) as total FROM purchase_order_items
+        WHERE purchase_order_id = ? AND quantity_received < quantity_ordered
+      `).get(purchaseOrder.id).total;
+      const status = outstanding === 0 ? 'received' : 'partially_received';
+
+      db.prepare(`
+        UPDATE purchase_orders
+        SET status = ?, received_at = CASE WHEN ? = 'received' THEN CURRENT_TIMESTAMP ELSE received_at END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(status, status, purchaseOrder.id);
+      return status;
+    })();
+
+    res.json({
+      success: true,
+      status: newStatus,
+      message: newStatus === 'received' ? 'All goods received' : 'Goods received. Some items are still outstanding.'
+    });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== REORDER SUGGESTIONS API ==========
+
+// Lead time assumed for products that have no supplier
+const DEFAULT_LEAD_TIME_DAYS = 7;
+
+// Work out what to reorder from sales over the last `days` days, grouped by supplier
+function buildReorderSuggestions(days) {
+  const lowStockThreshold = getLowStockThreshold();
+
+  const products = db.prepare(`
+    SELECT p.id, p.name, p.quantity, p.base_unit, p.reorder_point, p.reorder_quantity, p.max_stock,
+           p.supplier_id, s.name as supplier_name, s.lead_time_days,
+           pu.id as purchase_unit_id, pu.name as purchase_unit_name, pu.units_per_pack as purchase_units_per_pack,
+           COALESCE((
+             SELECT SUM(oi.base_quantity) FROM order_items oi
+             JOIN orders o ON oi.order_id = o.id
+             WHERE oi.product_id = p.id
+             AND o.status != 'cancelled'
+             AND o.created_at >= datetime('now', ?)
+           ), 0) as units_sold,
+           COALESCE((
+             SELECT SUM((poi.quantity_ordered - poi.quantity_received) * poi.units_per_pack) FROM purchase_order_items poi
+             JOIN purchase_orders po ON poi.purchase_order_id = po.id
+             WHERE poi.product_id = p.id
+             AND po.status IN ('draft', 'sent', 'partially_received')
+           ), 0) as on_order,
+           (SELECT poi.unit_cost / poi.units_per_pack FROM purchase_order_items poi
+            WHERE poi.product_id = p.id
+            ORDER BY poi.id DESC LIMIT 1) as last_unit_cost
+    FROM products p
+    LEFT JOIN suppliers s ON p.supplier_id = s.id
+    LEFT JOIN product_units pu ON p.purchase_unit_id = pu.id
+    ORDER BY p.name
+  `).all(`-${days} days`);
+
+  const groups = new Map();
+
+  products.forEach(product => {
+    const reorderPoint = product.reorder_point ?? lowStockThreshold;
+    const leadTimeDays = product.lead_time_days ?? DEFAULT_LEAD_TIME_DAYS;
+    const dailyVelocity = product.units_sold / days;
+    const leadTimeDemand = Math.ceil(dailyVelocity * leadTimeDays);
+    const windowDemand = Math.ceil(dailyVelocity * days);
+    const projected = product.quantity + product.on_order;
+
+    // Reorder when stock (including what is already on order) is below the reorder point
+    // or will not last until a new delivery could arrive
+    if (projected >= reorderPoint && projected >= leadTimeDemand) {
+      return;
+    }
+
+    // Fixed reorder quantity if set; otherwise fill up to max stock, or cover the lead time
+    // plus another sales window (at least one reorder point's worth for slow movers)
+    let suggested;
+    if (product.reorder_quantity) {
+      suggested = product.reorder_quantity;
+    } else {
+      const target = product.max_stock ?? Math.max(reorderPoint, leadTimeDemand) + Math.max(windowDemand, reorderPoint);
+      suggested = target - projected;
+    }
+    if (product.max_stock !== null) {
+      suggested = Math.min(suggested, product.max_stock - projected);
+    }
+    if (suggested <= 0) {
+      return;
+    }
+
+    const key = product.supplier_id || 0;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        supplier_id: product.supplier_id,
+        supplier_name: product.supplier_name,
+        lead_time_days: leadTimeDays,
+        items: [],
+        total_cost: 0
+      });
+    }
+
+    // Stock figures are in base units; the suggestion is rounded up to whole purchase units
+    const unitsPerPack = product.purchase_units_per_pack || 1;
+    const suggestedPacks = Math.ceil(suggested / unitsPerPack);
+    const unitCost = Math.round((product.last_unit_cost || 0) * unitsPerPack * 100) / 100;
+    const group = groups.get(key);
+    group.items.push({
+      product_id: product.id,
+      product_name: product.name,
+      base_unit: product.base_unit,
+      quantity: product.quantity,
+      on_order: product.on_order,
+      reorder_point: reorderPoint,
+      max_stock: product.max_stock,
+      units_sold: product.units_sold,
+      daily_velocity: Math.round(dailyVelocity * 100) / 100,
+      unit_id: product.purchase_unit_id,
+      unit_name: product.purchase_unit_name || product.base_unit,
+      units_per_pack: unitsPerPack,
+      suggested_quantity: suggestedPacks,
+      unit_cost: unitCost
+    });
+    group.total_cost += suggestedPacks * unitCost;
+  });
+
+  // Suppliers alphabetically, products without a supplier last
+  return Array.from(groups.values()).sort((a, b) => {
+    if (!a.supplier_id) return 1;
+    if (!b.supplier_id) return -1;
+    return a.supplier_name.localeCompare(b.supplier_name);
+  });
+}
+
+// Get reorder suggestions grouped by supplier (?days= sets the sales window, default 30)
+app.get('/api/reorder-suggestions', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    if (days <= 0) {
+      return res.status(400).json({ error: 'Sales window must be at least 1 day' });
+    }
+
+    res.json(buildReorderSuggestions(days));
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== PRICES & MARGINS API ==========
+
+// Get a product's price history, newest first
+app.get('/api/products/:id/price-history', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const product = db.prepare('SELECT id FROM products WHERE id = ?').get(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const history = db.prepare(`
+      SELECT h.*, u.username
+      FROM price_history h
+      LEFT JOIN users u ON h.changed_by = u.id
+      WHERE h.product_id = ?
+      ORDER BY h.changed_at DESC, h.id DESC
+    `).all(product.id);
+    res.json(history);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Revenue, cost and margin of sales per product and per category between two Sri Lankan dates
+// (?from=&to= as YYYY-MM-DD, default the last 30 days). Revenue is net of tax. Lines sold before
+// costs were recorded have no cost, so their revenue is reported separately and left out of the margin.
+// Returns completed in the period take off their refund, and restocked items give back their cost;
+// written-off items keep their cost, as the stock is lost.
+app.get('/api/margins', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const to = req.query.to || getSriLankanDateString();
+    const from = req.query.from || new Date(new Date(`${to}T00:00:00Z`).getTime() - 29 * 24 * 60 * 60 * 1000)
+      .toISOString().split('T')[0];
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+    }
+    if (from > to) {
+      return res.status(400).json({ error: 'From date cannot be after to date' });
+    }
+
+    const rows = db.prepare(`
+      SELECT p.id as product_id, p.name, p.category, p.base_unit, p.price, p.cost_price,
+             COALESCE(s.units_sold, 0) - COALESCE(rt.units_returned, 0) as units_sold,
+             COALESCE(s.revenue, 0) - COALESCE(rt.refunded, 0) as revenue,
+             COALESCE(s.cost, 0) - COALESCE(rt.cost_restocked, 0) as cost,
+             COALESCE(s.uncosted_revenue, 0) - COALESCE(rt.uncosted_refunded, 0) as uncosted_revenue
+      FROM products p
+      LEFT JOIN (
+        SELECT oi.product_id,
+               SUM(oi.base_quantity) as units_sold,
+               SUM(oi.net_amount) as revenue,
+               SUM(CASE WHEN oi.cost_price IS NOT NULL THEN oi.cost_price * oi.quantity ELSE 0 END) as cost,
+               SUM(CASE WHEN oi.cost_price IS NULL THEN oi.net_amount ELSE 0 END) as uncosted_revenue
+        FROM order_items oi
+        JOIN orders o ON oi.order_id = o.id
+        WHERE o.status != 'cancelled'
+        AND date(o.created_at, '+330 minutes') BETWEEN ? AND ?
+        GROUP BY oi.product_id
+      ) s ON s.product_id = p.id
+      LEFT JOIN (
+        SELECT oi.product_id,
+               SUM(ri.base_quantity) as units_returned,
+               SUM(ri.refund_net_amount) as refunded,
+               SUM(CASE WHEN ri.disposition = 'restock' THEN COALESCE(ri.cost_amount, 0) ELSE 0 END) as cost_restocked,
+               SUM(CASE WHEN oi.cost_price IS NULL THEN ri.refund_net_amount ELSE 0 END) as uncosted_refunded
+        FROM order_return_items ri
+        JOIN order_returns r ON ri.return_id = r.id
+        JOIN order_items oi ON ri.order_item_id = oi.id
+        WHERE r.status = 'completed'
+        AND date(r.processed_at, '+330 minutes') BETWEEN ? AND ?
+        GROUP BY oi.product_id
+      ) rt ON rt.product_id = p.id
+      ORDER BY p.name
+    `).all(from, to, from, to);
+
+    const round = value => Math.round(value * 100) / 100;
+    // Margin over the sales that have a cost
+    const summarize = figures => {
+      const costedRevenue = figures.revenue - figures.uncosted_revenue;
+      const margin = costedRevenue - figures.cost;
+      return {
+        revenue: round(figures.revenue),
+        cost: round(figures.cost),
+        uncosted_revenue: round(figures.uncosted_revenue),
+        margin: round(margin),
+        margin_percent: costedRevenue > 0 ? round(margin / costedRevenue * 100) : null
+      };
+    };
+
+    const products = rows.map(row => ({
+      product_id: row.product_id,
+      name: row.name,
+      category: row.category,
+      base_unit: row.base_unit,
+      price: row.price,
+      cost_price: row.cost_price,
+      markup_percent: row.cost_price ? round((row.price - row.cost_price) / row.cost_price * 100) : null,
+      units_sold: row.units_sold,
+      ...summarize(row)
+    }));
+
+    const categoryTotals = new Map();
+    const overall = { revenue: 0, cost: 0, uncosted_revenue: 0 };
+    rows.forEach(row => {
+      if (!categoryTotals.has(row.category)) {
+        categoryTotals.set(row.category, { category: row.category, revenue: 0, cost: 0, uncosted_revenue: 0 });
+      }
+      [categoryTotals.get(row.category), overall].forEach(totals => {
+        totals.revenue += row.revenue;
+        totals.cost += row.cost;
+        totals.uncosted_revenue += row.uncosted_revenue;
+      });
+    });
+
+    const categories = Array.from(categoryTotals.values())
+      .map(totals => ({ category: totals.category, ...summarize(totals) }))
+      .sort((a, b) => b.revenue - a.revenue);
+
+    res.json({ from, to, totals: summarize(overall), categories, products });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== CONTROLLED REGISTER API ==========
+// Register entries are written by recordStockMovement for controlled products; this API only reads them
+// and adds corrections
+
+// Month in Sri Lankan time of a stored UTC timestamp, for SQL
+const registerMonthSql = "strftime('%Y-%m', recorded_at, '+330 minutes')";
+
+// Register for one controlled product for one month (YYYY-MM, defaults to the current month)
+app.get('/api/controlled-register', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const product = db.prepare('SELECT id, name, quantity, controlled_substance FROM products WHERE id = ?').get(req.query.product_id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const month = req.query.month || getSriLankanDateString().slice(0, 7);
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({ error: 'Month must be in YYYY-MM format' });
+    }
+
+    const previous = db.prepare(`
+      SELECT balance_after FROM controlled_register
+      WHERE product_id = ? AND ${registerMonthSql} < ?
+      ORDER BY id DESC
+      LIMIT 1
+    `).get(product.id, month);
+
+    const entries = db.prepare(`
+      SELECT r.*, u.username as recorded_by_username
+      FROM controlled_register r
+      LEFT JOIN users u ON r.recorded_by = u.id
+      WHERE r.product_id = ? AND strftime('%Y-%m', r.recorded_at, '+330 minutes') = ?
+      ORDER BY r.id
+    `).all(product.id, month);
+
+    const openingBalance = previous ? previous.balance_after : 0;
+    res.json({
+      product,
+      month,
+      opening_balance: openingBalance,
+      closing_balance: entries.length > 0 ? entries[entries.length - 1].balance_after : openingBalance,
+      total_in: entries.reduce((sum, entry) => sum + Math.max(entry.quantity_change, 0), 0),
+      total_out: entries.reduce((sum, entry) => sum + Math.max(-entry.quantity_change, 0), 0),
+      entries
+    });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a correction to a register entry (admin only). Entries are never edited; the correction is a new,
+// zero-quantity entry pointing at the one it corrects. Quantity mistakes are fixed with a stock adjustment.
+app.post('/api/controlled-register/:id/corrections', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const note = (req.body.note || '').trim();
+    if (!note) {
+      return res.status(400).json({ error: 'Please explain the correction' });
+    }
+
+    const original = db.prepare('SELECT * FROM controlled_register WHERE id = ?').get(req.params.id);
+    if (!original) {
+      return res.status(404).json({ error: 'Register entry not found' });
+    }
+
+    const latest = db.prepare('SELECT balance_after FROM controlled_register WHERE product_id = ? ORDER BY id DESC LIMIT 1')
+      .get(original.product_id);
+
+    const id = recordControlledEntry({ id: original.product_id, name: original.product_name }, {
+      entryType: 'correction',
+      quantityChange: 0,
+      balanceAfter: latest.balance_after,
+      counterparty: (req.body.counterparty || '').trim() || null,
+      lotNumber: original.lot_number,
+      referenceType: original.reference_type,
+      referenceId: original.reference_id,
+      reference: original.reference,
+      correctsEntryId: original.id,
+      note,
+      userId: req.session.user.id
+    });
+
+    res.json({ success: true, id, message: 'Correction added to the register' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== TAX API ==========
+// A product is taxed at its own tax class, else the nearest category up the tree that has one;
+// products with neither are untaxed
+
+// Whether product prices already include tax (the default) or tax is added on top at checkout
+function getPricesIncludeTax() {
+  const setting = db.prepare('SELECT setting_value FROM settings WHERE setting_key = ?').get('prices_include_tax');
+  return setting ? setting.setting_value !== 'false' : true;
+}
+
+// Loads the tax classes and categories once and returns a function giving a product's tax class (or null)
+function createTaxClassResolver() {
+  const taxClasses = new Map(db.prepare('SELECT * FROM tax_classes').all().map(taxClass => [taxClass.id, taxClass]));
+  const categories = db.prepare('SELECT id, name, parent_id, tax_class_id FROM categories').all();
+  const categoriesById = new Map(categories.map(category => [category.id, category]));
+  const categoriesByName = new Map(categories.map(category => [category.name, category]));
+
+  return product => {
+    if (product.tax_class_id && taxClasses.has(product.tax_class_id)) {
+      return taxClasses.get(product.tax_class_id);
+    }
+    const seen = new Set();
+    let category = categoriesByName.get(product.category);
+    while (category && !seen.has(category.id)) {
+      if (category.tax_class_id && taxClasses.has(category.tax_class_id)) {
+        return taxClasses.get(category.tax_class_id);
+      }
+      seen.add(category.id);
+      category = categoriesById.get(category.parent_id);
+    }
+    return null;
+  };
+}
+
+// Attach the tax class each product is taxed at as `tax_class_name` and `tax_rate`
+function attachProductTax(products) {
+  const resolveTaxClass = createTaxClassResolver();
+  products.forEach(product => {
+    const taxClass = resolveTaxClass(product);
+    product.tax_class_name = taxClass ? taxClass.name : null;
+    product.tax_rate = taxClass ? taxClass.rate : 0;
+  });
+  return products;
+}
+
+// Split a line amount into net, tax and gross at a rate (percent), rounded to cents.
+// With tax-inclusive prices the amount is the gross; otherwise it is the net and tax is added.
+function calculateTax(amount, rate, pricesIncludeTax) {
+  const round = value => Math.round(value * 100) / 100;
+  if (pricesIncludeTax) {
+    const taxAmount = round(amount * rate / (100 + rate));
+    return { net_amount: round(amount - taxAmount), tax_amount: taxAmount, gross_amount: round(amount) };
+  }
+  const taxAmount = round(amount * rate / 100);
+  return { net_amount: round(amount), tax_amount: taxAmount, gross_amount: round(amount + taxAmount) };
+}
+
+// Tax class of a product or category form; empty means none (inherit).
+// Returns { taxClassId } or { error }.
+function parseTaxClassId(value) {
+  if (value === undefined || value === null || value === '') {
+    return { taxClassId: null };
+  }
+  const taxClass = db.prepare('SELECT id FROM tax_classes WHERE id = ?').get(value);
+  if (!taxClass) {
+    return { error: 'Tax class not found' };
+  }
+  return { taxClassId: taxClass.id };
+}
+
+// Validate the fields of a tax class form; returns { name, rate, description } or { error }
+function parseTaxClassInput(body, taxClassId = null) {
+  const name = (body.name || '').trim();
+  if (!name) {
+    return { error: 'Tax class name is required' };
+  }
+
+  const duplicate = db.prepare('SELECT id FROM tax_classes WHERE name = ? COLLATE NOCASE AND id != ?').get(name, taxClassId || 0);
+  if (duplicate) {
+    return { error: 'A tax class with this name already exists' };
+  }
+
+  const rate = parseFloat(body.rate);
+  if (isNaN(rate) || rate < 0 || rate > 100) {
+    return { error: 'Tax rate must be between 0 and 100' };
+  }
+
+  return { name, rate, description: body.description || null };
+}
+
+// Get tax classes with how many products and categories use them
+app.get('/api/tax-classes', requireAuth, (req, res) => {
+  try {
+    const taxClasses = db.prepare(`
+      SELECT t.*,
+             (SELECT COUNT(*) FROM products p WHERE p.tax_class_id = t.id) as product_count,
+             (SELECT COUNT(*) FROM categories c WHERE c.tax_class_id = t.id) as category_count
+      FROM tax_classes t
+      ORDER BY t.name
+    `).all();
+    res.json(taxClasses);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Create tax class (admin only)
+app.post('/api/tax-classes', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { name, rate, description, error } = parseTaxClassInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = db.prepare('INSERT INTO tax_classes (name, rate, description) VALUES (?, ?, ?)')
+      .run(name, rate, description);
+
+    res.json({ success: true, id: result.lastInsertRowid, message: 'Tax class created successfully' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Update tax class (admin only); the new rate applies to orders placed from now on
+app.put('/api/tax-classes/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const taxClass = db.prepare('SELECT * FROM tax_classes WHERE id = ?').get(req.params.id);
+    if (!taxClass) {
+      return res.status(404).json({ error: 'Tax class not found' });
+    }
+
+    const { name, rate, description, error } = parseTaxClassInput(req.body, taxClass.id);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    db.prepare('UPDATE tax_classes SET name = ?, rate = ?, description = ? WHERE id = ?')
+      .run(name, rate, description, taxClass.id);
+
+    res.json({ success: true, message: 'Tax class updated successfully' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete tax class (admin only); refused while products or categories still use it
+app.delete('/api/tax-classes/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const taxClass = db.prepare('SELECT * FROM tax_classes WHERE id = ?').get(req.params.id);
+    if (!taxClass) {
+      return res.status(404).json({ error: 'Tax class not found' });
+    }
+
+    const productCount = db.prepare('SELECT COUNT(*) as count FROM products WHERE tax_class_id = ?').get(taxClass.id).count;
+    const categoryCount = db.prepare('SELECT COUNT(*) as count FROM categories WHERE tax_class_id = ?').get(taxClass.id).count;
+    if (productCount > 0 || categoryCount > 0) {
+      return res.status(400).json({
+        error: `${taxClass.name} is still used by ${productCount} product(s) and ${categoryCount} category(ies). Assign them another tax class first.`
+      });
+    }
+
+    db.prepare('DELETE FROM tax_classes WHERE id = ?').run(taxClass.id);
+
+    res.json({ success: true, message: 'Tax class deleted successfully' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== CATEGORIES API ==========
+// Products store the category name, so renames are copied onto the products
+
+// Categories in tree order (each parent followed by its children), with depth and full path for display
+function getCategoryTree() {
+  const rows = db.prepare(`
+    SELECT c.*, (SELECT COUNT(*) FROM products p WHERE p.category = c.name) as product_count,
+           t.name as tax_class_name, t.rate as tax_rate
+    FROM categories c
+    LEFT JOIN tax_classes t ON c.tax_class_id = t.id
+    ORDER BY c.name
+  `).all();
+
+  const childrenByParent = new Map();
+  rows.forEach(row => {
+    const parentId = row.parent_id || null;
+    if (!childrenByParent.has(parentId)) {
+      childrenByParent.set(parentId, []);
+    }
+    childrenByParent.get(parentId).push(row);
+  });
+
+  const tree = [];
+  const addChildren = (parentId, depth, parentPath) => {
+    (childrenByParent.get(parentId) || []).forEach(category => {
+      const categoryPath = parentPath ? `${parentPath} › ${category.name}` : category.name;
+      tree.push({ ...category, depth, path: categoryPath });
+      addChildren(category.id, depth + 1, categoryPath);
+    });
+  };
+  addChildren(null, 0, '');
+  return tree;
+}
+
+// A category and all of its subcategories, at any depth
+function getCategoryDescendants(categoryId) {
+  return db.prepare(`
+    WITH RECURSIVE subtree(id) AS (
+      SELECT id FROM categories WHERE id = ?
+      UNION ALL
+      SELECT c.id FROM categories c JOIN subtree s ON c.parent_id = s.id
+    )
+    SELECT c.id, c.name FROM categories c JOIN subtree s ON c.id = s.id
+  `).all(categoryId);
+}
+
+// Names to match when filtering products by a category name
+function getCategoryNamesWithDescendants(categoryName) {
+  const category = db.prepare('SELECT id FROM categories WHERE name = ?').get(categoryName);
+  if (!category) {
+    return [categoryName];
+  }
+  return getCategoryDescendants(category.id).map(c => c.name);
+}
+
+// Validate the fields of a category form; returns { name, description, parentId, taxClassId } or { error }
+function parseCategoryInput(body, categoryId = null) {
+  const name = (body.name || '').trim();
+  if (!name) {
+    return { error: 'Category name is required' };
+  }
+
+  const duplicate = db.prepare('SELECT id FROM categories WHERE name = ? COLLATE NOCASE AND id != ?').get(name, categoryId || 0);
+  if (duplicate) {
+    return { error: 'A category with this name already exists' };
+  }
+
+  let parentId = null;
+  if (body.parent_id !== undefined && body.parent_id !== null && body.parent_id !== '') {
+    parentId = parseInt(body.parent_id);
+    if (!db.prepare('SELECT id FROM categories WHERE id = ?').get(parentId)) {
+      return { error: 'Parent category not found' };
+    }
+    // A category cannot be moved under itself or one of its own subcategories
+    if (categoryId && getCategoryDescendants(categoryId).some(c => c.id === parentId)) {
+      return { error: 'A category cannot be placed under itself or one of its subcategories' };
+    }
+  }
+
+  const { taxClassId, error: taxClassError } = parseTaxClassId(body.tax_class_id);
+  if (taxClassError) {
+    return { error: taxClassError };
+  }
+
+  return { name, description: body.description || null, parentId, taxClassId };
+}
+
+// Get categories
+app.get('/api/categories', requireAuth, (req, res) => {
+  try {
+    res.json(getCategoryTree());
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Create category (admin only)
+app.post('/api/categories', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { name, description, parentId, taxClassId, error } = parseCategoryInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = db.prepare('INSERT INTO categories (name, description, parent_id, tax_class_id) VALUES (?, ?, ?, ?)')
+      .run(name, description, parentId, taxClassId);
+
+    res.json({ success: true, id: result.lastInsertRowid, message: 'Category created successfully' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Update category (admin only); a rename is applied to every product in the category
+app.put('/api/categories/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const category = db.prepare('SELECT * FROM categories WHERE id = ?').get(req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const { name, description, parentId, taxClassId, error } = parseCategoryInput(req.body, category.id);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const renamedProducts = db.transaction(() => {
+      db.prepare('UPDATE categories SET name = ?, description = ?, parent_id = ?, tax_class_id = ? WHERE id = ?')
+        .run(name, description, parentId, taxClassId, category.id);
+
+      if (name === category.name) {
+        return 0;
+      }
+      return db.prepare('UPDATE products SET category = ?, updated_at = CURRENT_TIMESTAMP WHERE category = ?')
+        .run(name, category.name).changes;
+    })();
+
+    res.json({
+      success: true,
+      message: renamedProducts > 0
+        ? `Category updated and ${renamedProducts} product(s) moved to the new name`
+        : 'Category updated successfully'
+    });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete category (admin only)
+// A category that still has products is only deleted when ?reassign_to=<category id> says where they go;
+// its subcategories move up to its parent
+app.delete('/api/categories/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const category = db.prepare('SELECT * FROM categories WHERE id = ?').get(req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const productCount = db.prepare('SELECT COUNT(*) as count FROM products WHERE category = ?').get(category.name).count;
+
+    let target = null;
+    if (req.query.reassign_to) {
+      target = db.prepare('SELECT * FROM categories WHERE id = ?').get(req.query.reassign_to);
+      if (!target || target.id === category.id) {
+        return res.status(400).json({ error: 'Choose a different category to move the products to' });
+      }
+    }
+
+    if (productCount > 0 && !target) {
+      return res.status(400).json({
+        error: `This category still has ${productCount} product(s). Reassign them to another category first.`,
+        product_count: productCount
+      });
+    }
+
+    const promotion = db.prepare('SELECT code FROM promotions WHERE category_id = ?').get(category.id);
+    if (promotion) {
+      return res.status(400).json({ error: `This category is used by promotion ${promotion.code}. Change or delete the promotion first.` });
+    }
+
+    db.transaction(() => {
+      if (target) {
+        db.prepare('UPDATE products SET category = ?, updated_at = CURRENT_TIMESTAMP WHERE category = ?')
+          .run(target.name, category.name);
+      }
+      db.prepare('UPDATE categories SET parent_id = ? WHERE parent_id = ?').run(category.parent_id, category.id);
+      db.prepare('DELETE FROM categories WHERE id = ?').run(category.id);
+    })();
+
+    res.json({
+      success: true,
+      message: target && productCount > 0
+        ? `Category deleted and ${productCount} product(s) moved to ${target.name}`
+        : 'Category deleted successfully'
+    });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Get all users (for admin panel)
+app.get('/api/users', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const getUsers = db.prepare(`
+      SELECT id, username, email, role, created_at, deactivated_at,
+             (SELECT COUNT(*) FROM orders WHERE user_id = users.id) as order_count
+      FROM users
+      ORDER BY created_at DESC
+    `);
+    const users = getUsers.all();
+    res.json(users);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete user (admin only)
+app.delete('/api/users/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const currentUserId = req.session.user.id;
+
+    // Prevent deleting yourself
+    if (userId === currentUserId) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    // Check if user exists and get their role
+    const getUser = db.prepare('SELECT id, username, role FROM users WHERE id = ?');
+    const user = getUser.get(userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Prevent deleting admin users
+    if (user.role === 'admin') {
+      return res.status(400).json({ error: 'Cannot delete admin users' });
+    }
+
+    // The controlled register must keep who made each entry
+    const registerEntries = db.prepare('SELECT COUNT(*) as count FROM controlled_register WHERE recorded_by = ?').get(userId);
+    if (registerEntries.count > 0) {
+      return res.status(400).json({ error: 'This user appears in the controlled drugs register and cannot be deleted' });
+    }
+
+    // Orders are financial and stock records (invoices, payments, refunds, the stock ledger), so customers
+    // who have placed any are deactivated instead
+    const orderCount = db.prepare('SELECT COUNT(*) as count FROM orders WHERE user_id = ?').get(userId).count;
+    if (orderCount > 0) {
+      return res.status(400).json({
+        error: `"${user.username}" has ${orderCount} order${orderCount === 1 ? '' : 's'} on record and cannot be deleted. Deactivate the account instead.`
+      });
+    }
+
+    // Get user's profile picture path before deletion
+    const getUserForPicture = db.prepare('SELECT profile_picture FROM users WHERE id = ?');
+    const userWithPicture = getUserForPicture.get(userId);
+    const profilePicturePath = userWithPicture && userWithPicture.profile_picture 
+      ? path.join(__dirname, 'public', userWithPicture.profile_picture) 
+      : null;
+
+    const deleteCartItems = db.prepare('DELETE FROM cart_items WHERE user_id = ?');
+    const deleteWishlistItems = db.prepare('DELETE FROM wishlist_items WHERE user_id = ?');
+    const deleteStockAlerts = db.prepare('DELETE FROM stock_alerts WHERE user_id = ?');
+    const deleteNotifications = db.prepare('DELETE FROM notifications WHERE user_id = ?');
+    const deleteEmails = db.prepare('DELETE FROM email_outbox WHERE user_id = ?');
+    const deletePasswordResets = db.prepare('DELETE FROM password_resets WHERE user_id = ?');
+    const deleteUser = db.prepare('DELETE FROM users WHERE id = ?');
+
+    // Execute deletions in a transaction
+    const transaction = db.transaction(() => {
+      deleteCartItems.run(userId);
+      deleteWishlistItems.run(userId);
+      deleteStockAlerts.run(userId);
+      deleteNotifications.run(userId);
+      deleteEmails.run(userId);
+      deletePasswordResets.run(userId);
+      // Delete user
+      const result = deleteUser.run(userId);
+      return result;
+    });
+
+    const result = transaction();
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'User not found or could not be deleted' });
+    }
+
+    // Delete user's profile picture after successful database deletion
+    if (profilePicturePath && fs.existsSync(profilePicturePath)) {
+      try {
+        fs.unlinkSync(profilePicturePath);
+      } catch (err) {
+        console.error('Error deleting profile picture:', err);
+        // Continue even if picture deletion fails - user is already deleted
+      }
+    }
+
+    res.json({ 
+      success: true, 
+      message: `User "${user.username}" has been deleted successfully.`
+    });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    return res.status(500).json({ error: error.message || 'Failed to delete user' });
+  }
+});
+
+// Deactivate a customer account (admin only): it can no longer log in, and its orders stay on record
+app.post('/api/users/:id/deactivate', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const user = db.prepare('SELECT id, username, role, deactivated_at FROM users WHERE id = ?').get(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.id === req.session.user.id) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+    if (user.role === 'admin') {
+      return res.status(400).json({ error: 'Cannot deactivate admin users' });
+    }
+    if (user.deactivated_at) {
+      return res.status(400).json({ error: `"${user.username}" is already deactivated` });
+    }
+
+    db.transaction(() => {
+      db.prepare('UPDATE users SET deactivated_at = CURRENT_TIMESTAMP WHERE id = ?').run(user.id);
+      // Outstanding reset links would let the account back in
+      db.prepare('DELETE FROM password_resets WHERE user_id = ?').run(user.id);
+    })();
+    res.json({ success: true, message: `User "${user.username}" has been deactivated` });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Let a deactivated account log in again (admin only)
+app.post('/api/users/:id/reactivate', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const user = db.prepare('SELECT id, username, deactivated_at FROM users WHERE id = ?').get(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!user.deactivated_at) {
+      return res.status(400).json({ error: `"${user.username}" is not deactivated` });
+    }
+
+    db.prepare('UPDATE users SET deactivated_at = NULL WHERE id = ?').run(user.id);
+    res.json({ success: true, message: `User "${user.username}" has been reactivated` });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Get settings
+app.get('/api/settings', requireAuth, (req, res) => {
+  try {
+    const getSettings = db.prepare('SELECT setting_key, setting_value, description FROM settings');
+    const settings = getSettings.all();
+    
+    // Convert to object format
+    const settingsObj = {};
+    settings.forEach(setting => {
+      settingsObj[setting.setting_key] = {
+        value: setting.setting_value,
+        description: setting.description
+      };
+    });
+    
+    res.json(settingsObj);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Get single setting
+app.get('/api/settings/:key', requireAuth, (req, res) => {
+  try {
+    const getSetting = db.prepare('SELECT setting_key, setting_value, description FROM settings WHERE setting_key = ?');
+    const setting = getSetting.get(req.params.key);
+    
+    if (!setting) {
+      return res.status(404).json({ error: 'Setting not found' });
+    }
+    
+    res.json({
+      key: setting.setting_key,
+      value: setting.setting_value,
+      description: setting.description
+    });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Settings that drive pricing or approval rules only accept values of the right form
+const settingValidators = {
+  adjustment_approval_threshold: value => /^\d+$/.test(String(value).trim()) ? null : 'The approval threshold must be a whole number of 0 or more',
+  prices_include_tax: value => ['true', 'false'].includes(String(value)) ? null : "Prices include tax must be 'true' or 'false'"
+};
+
+// Update setting (admin only)
+app.put('/api/settings/:key', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { value, description } = req.body;
+    
+    if (value === undefined || value === null) {
+      return res.status(400).json({ error: 'Setting value is required' });
+    }
+
+    const validateSetting = Object.keys(settingValidators).includes(req.params.key) ? settingValidators[req.params.key] : null;
+    const validationError = validateSetting ? validateSetting(value) : null;
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    // Check if setting exists
+    const getSetting = db.prepare('SELECT * FROM settings WHERE setting_key = ?');
+    const existing = getSetting.get(req.params.key);
+    
+    if (existing) {
+      // Update existing setting
+      const updateSetting = db.prepare(
+        'UPDATE settings SET setting_value = ?, description = COALESCE(?, description), updated_at = CURRENT_TIMESTAMP WHERE setting_key = ?'
+      );
+      updateSetting.run(value, description || null, req.params.key);
+    } else {
+      // Create new setting
+      const insertSetting = db.prepare(
+        'INSERT INTO settings (setting_key, setting_value, description) VALUES (?, ?, ?)'
+      );
+      insertSetting.run(req.params.key, value, description || null);
+    }
+    
+    res.json({ success: true, message: 'Setting updated successfully' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Update dashboard stats to use dynamic threshold
+app.get('/api/dashboard/stats', requireAuth, (req, res) => {
+  try {
+    const stats = {};
+
+    // Get low stock threshold from settings
+    const lowStockThreshold = getLowStockThreshold();
+
+    // Total products
+    const countProducts = db.prepare('SELECT COUNT(*) as total FROM products');
+    stats.totalProducts = countProducts.get().total;
+
+    // Low stock (product reorder point, falling back to the global threshold)
+    const countLowStock = db.prepare(`SELECT COUNT(*) as total FROM products WHERE quantity < COALESCE(reorder_point, ?)`);
+    stats.lowStock = countLowStock.get(lowStockThreshold).total;
+    stats.lowStockThreshold = lowStockThreshold;
+
+    // Expiring soon batches that still hold stock (using Sri Lankan timezone)
+    const { expiryAlertDays, todayStr, expiryDateStr } = getExpiryWindow();
+    
+    const countExpiring = db.prepare(`
+      SELECT COUNT(*) as total FROM product_batches 
+      WHERE quantity_remaining > 0
+      AND quarantined_at IS NULL
+      AND expiry_date IS NOT NULL 
+      AND expiry_date != '' 
+      AND expiry_date <= ? 
       AND expiry_date >= ?
     `);
-    stats.expiringSoon = countExpiring.get(expiryDateStr, todayStr).total;
-    stats.expiryAlertDays = expiryAlertDays;
+    stats.expiringSoon = countExpiring.get(expiryDateStr, todayStr).total;
+    stats.expiryAlertDays = expiryAlertDays;
+
+    // Open and overdue purchase orders
+    const countOpenPurchaseOrders = db.prepare(`
+      SELECT COUNT(*) as total FROM purchase_orders WHERE status IN ('draft', 'sent', 'partially_received')
+    `);
+    stats.openPurchaseOrders = countOpenPurchaseOrders.get().total;
+
+    const countOverduePurchaseOrders = db.prepare(`
+      SELECT COUNT(*) as total FROM purchase_orders po WHERE ${overduePurchaseOrderCondition}
+    `);
+    stats.overduePurchaseOrders = countOverduePurchaseOrders.get(todayStr).total;
+
+    // Total value
+    const sumValue = db.prepare('SELECT SUM(quantity * price) as total FROM products');
+    stats.totalValue = sumValue.get().total || 0;
+
+    // Products by category
+    const byCategory = db.prepare('SELECT category, COUNT(*) as count FROM products GROUP BY category');
+    stats.byCategory = byCategory.all();
+
+    res.json(stats);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== PROMOTIONS API ==========
+// Coupon codes give a percentage or fixed discount on the basket, or only on the lines of a category
+// (including its subcategories) or a product. Discounts are taken off the listed line amounts before tax.
+
+const promotionScopes = ['order', 'category', 'product'];
+
+// Promotions with their scope names and how often they have been used on orders that were not cancelled
+function getPromotions(whereClause = '', params = []) {
+  return db.prepare(`
+    SELECT pr.*, c.name as category_name, p.name as product_name,
+           (SELECT COUNT(*) FROM orders o WHERE o.promotion_id = pr.id AND o.status != 'cancelled') as times_used,
+           (SELECT COALESCE(SUM(o.discount_amount), 0) FROM orders o WHERE o.promotion_id = pr.id AND o.status != 'cancelled') as total_discount
+    FROM promotions pr
+    LEFT JOIN categories c ON pr.category_id = c.id
+    LEFT JOIN products p ON pr.product_id = p.id
+    ${whereClause}
+    ORDER BY pr.created_at DESC, pr.id DESC
+  `).all(...params);
+}
+
+// Validate the fields of a promotion form; returns { promotion } or { error }
+function parsePromotionInput(body, promotionId = null) {
+  const code = (body.code || '').trim().toUpperCase();
+  if (!code) {
+    return { error: 'Coupon code is required' };
+  }
+  if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+    return { error: 'Coupon code must be 3-32 letters, numbers, dashes or underscores' };
+  }
+  const duplicate = db.prepare('SELECT id FROM promotions WHERE code = ? AND id != ?').get(code, promotionId || 0);
+  if (duplicate) {
+    return { error: 'A promotion with this code already exists' };
+  }
+
+  const discountType = body.discount_type || 'percentage';
+  if (!['percentage', 'fixed'].includes(discountType)) {
+    return { error: 'Discount type must be percentage or fixed' };
+  }
+  const discountValue = parseFloat(body.discount_value);
+  if (isNaN(discountValue) || discountValue <= 0) {
+    return { error: 'Discount must be greater than 0' };
+  }
+  if (discountType === 'percentage' && discountValue > 100) {
+    return { error: 'A percentage discount cannot be more than 100%' };
+  }
+
+  const scope = body.scope || 'order';
+  if (!promotionScopes.includes(scope)) {
+    return { error: 'Scope must be order, category or product' };
+  }
+  let categoryId = null;
+  let productId = null;
+  if (scope === 'category') {
+    const category = db.prepare('SELECT id FROM categories WHERE id = ?').get(body.category_id);
+    if (!category) {
+      return { error: 'Choose the category the discount applies to' };
+    }
+    categoryId = category.id;
+  }
+  if (scope === 'product') {
+    const product = db.prepare('SELECT id FROM products WHERE id = ?').get(body.product_id);
+    if (!product) {
+      return { error: 'Choose the product the discount applies to' };
+    }
+    productId = product.id;
+  }
+
+  let minBasketValue = null;
+  if (body.min_basket_value !== undefined && body.min_basket_value !== null && body.min_basket_value !== '') {
+    minBasketValue = parseFloat(body.min_basket_value);
+    if (isNaN(minBasketValue) || minBasketValue < 0) {
+      return { error: 'Minimum basket value must be 0 or more' };
+    }
+  }
+
+  const startsOn = body.starts_on || null;
+  const endsOn = body.ends_on || null;
+  if ((startsOn && !/^\d{4}-\d{2}-\d{2}$/.test(startsOn)) || (endsOn && !/^\d{4}-\d{2}-\d{2}$/.test(endsOn))) {
+    return { error: 'Dates must be in YYYY-MM-DD format' };
+  }
+  if (startsOn && endsOn && startsOn > endsOn) {
+    return { error: 'Start date cannot be after end date' };
+  }
+
+  let usageLimit = null;
+  if (body.usage_limit_per_customer !== undefined && body.usage_limit_per_customer !== null && body.usage_limit_per_customer !== '') {
+    usageLimit = Number(body.usage_limit_per_customer);
+    if (!Number.isInteger(usageLimit) || usageLimit < 1) {
+      return { error: 'Uses per customer must be a whole number of 1 or more' };
+    }
+  }
+
+  return {
+    promotion: {
+      code,
+      description: body.description || null,
+      discount_type: discountType,
+      discount_value: discountValue,
+      scope,
+      category_id: categoryId,
+      product_id: productId,
+      min_basket_value: minBasketValue,
+      starts_on: startsOn,
+      ends_on: endsOn,
+      usage_limit_per_customer: usageLimit,
+      active: body.active === undefined ? 1 : (parseProductFlag(body.active) ?? 1)
+    }
+  };
+}
+
+// Look up a coupon code for a customer's basket and check it can be used.
+// lines carry product, amount (listed price x quantity). Returns { promotion, eligibleLines } or { error }.
+function checkCoupon(couponCode, userId, lines) {
+  const code = String(couponCode).trim();
+  const promotion = db.prepare('SELECT * FROM promotions WHERE code = ?').get(code);
+  if (!promotion || !promotion.active) {
+    return { error: `Coupon code ${code.toUpperCase()} is not valid` };
+  }
+
+  const today = getSriLankanDateString();
+  if (promotion.starts_on && today < promotion.starts_on) {
+    return { error: `Coupon ${promotion.code} can be used from ${promotion.starts_on}` };
+  }
+  if (promotion.ends_on && today > promotion.ends_on) {
+    return { error: `Coupon ${promotion.code} expired on ${promotion.ends_on}` };
+  }
+
+  const basketValue = lines.reduce((sum, line) => sum + line.amount, 0);
+  if (promotion.min_basket_value && basketValue < promotion.min_basket_value) {
+    return { error: `Coupon ${promotion.code} needs a basket of at least ${formatMoney(promotion.min_basket_value)}` };
+  }
+
+  if (promotion.usage_limit_per_customer) {
+    const used = db.prepare(`
+      SELECT COUNT(*) as count FROM orders WHERE promotion_id = ? AND user_id = ? AND status != 'cancelled'
+    `).get(promotion.id, userId).count;
+    if (used >= promotion.usage_limit_per_customer) {
+      return { error: `You have already used coupon ${promotion.code} the maximum number of times` };
+    }
+  }
+
+  let eligibleLines = lines;
+  if (promotion.scope === 'category') {
+    const categoryNames = getCategoryDescendants(promotion.category_id).map(c => c.name);
+    eligibleLines = lines.filter(line => categoryNames.includes(line.product.category));
+  } else if (promotion.scope === 'product') {
+    eligibleLines = lines.filter(line => line.product.id === promotion.product_id);
+  }
+  if (eligibleLines.length === 0) {
+    return { error: `Coupon ${promotion.code} does not apply to any item in your basket` };
+  }
+
+  return { promotion, eligibleLines };
+}
+
+// Set discount_amount on each eligible line, rounded to cents. A fixed discount (capped at the
+// eligible amount) is shared across the lines in proportion to their amounts.
+function applyPromotionDiscount(promotion, eligibleLines) {
+  const round = value => Math.round(value * 100) / 100;
+  if (promotion.discount_type === 'percentage') {
+    eligibleLines.forEach(line => {
+      line.discount_amount = round(line.amount * promotion.discount_value / 100);
+    });
+    return;
+  }
+
+  const eligibleAmount = eligibleLines.reduce((sum, line) => sum + line.amount, 0);
+  const discount = Math.min(promotion.discount_value, eligibleAmount);
+  let remaining = round(discount);
+  eligibleLines.forEach((line, index) => {
+    const share = index === eligibleLines.length - 1
+      ? remaining
+      : round(discount * line.amount / eligibleAmount);
+    line.discount_amount = share;
+    remaining = round(remaining - share);
+  });
+}
+
+// Get all promotions (admin only)
+app.get('/api/promotions', requireAuth, requireAdmin, (req, res) => {
+  try {
+    res.json(getPromotions());
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Create promotion (admin only)
+app.post('/api/promotions', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { promotion, error } = parsePromotionInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = db.prepare(`
+      INSERT INTO promotions (code, description, discount_type, discount_value, scope, category_id, product_id,
+                              min_basket_value, starts_on, ends_on, usage_limit_per_customer, active, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      promotion.code, promotion.description, promotion.discount_type, promotion.discount_value, promotion.scope,
+      promotion.category_id, promotion.product_id, promotion.min_basket_value, promotion.starts_on, promotion.ends_on,
+      promotion.usage_limit_per_customer, promotion.active, req.session.user.id
+    );
+
+    res.json({ success: true, id: result.lastInsertRowid, message: `Promotion ${promotion.code} created successfully` });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Update promotion (admin only); orders already placed keep the discount they were given
+app.put('/api/promotions/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const existing = db.prepare('SELECT id FROM promotions WHERE id = ?').get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    const { promotion, error } = parsePromotionInput(req.body, existing.id);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    db.prepare(`
+      UPDATE promotions
+      SET code = ?, description = ?, discount_type = ?, discount_value = ?, scope = ?, category_id = ?, product_id = ?,
+          min_basket_value = ?, starts_on = ?, ends_on = ?, usage_limit_per_customer = ?, active = ?
+      WHERE id = ?
+    `).run(
+      promotion.code, promotion.description, promotion.discount_type, promotion.discount_value, promotion.scope,
+      promotion.category_id, promotion.product_id, promotion.min_basket_value, promotion.starts_on, promotion.ends_on,
+      promotion.usage_limit_per_customer, promotion.active, existing.id
+    );
+
+    res.json({ success: true, message: `Promotion ${promotion.code} updated successfully` });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete promotion (admin only); promotions already used on orders can only be deactivated
+app.delete('/api/promotions/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const promotion = db.prepare('SELECT * FROM promotions WHERE id = ?').get(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    const orderCount = db.prepare('SELECT COUNT(*) as count FROM orders WHERE promotion_id = ?').get(promotion.id).count;
+    if (orderCount > 0) {
+      return res.status(400).json({
+        error: `Promotion ${promotion.code} has been used on ${orderCount} order(s). Deactivate it instead.`
+      });
+    }
+
+    db.prepare('DELETE FROM promotions WHERE id = ?').run(promotion.id);
+
+    res.json({ success: true, message: 'Promotion deleted successfully' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== CART API ==========
+
+// A customer's cart read back at today's prices and stock. Lines are flagged when the price has
+// changed since the customer was last shown it, when the product is out of or short of stock,
+// and when it is no longer sold in the line's pack size.
+function getCart(userId) {
+  const rows = db.prepare('SELECT * FROM cart_items WHERE user_id = ? ORDER BY id').all(userId);
+  const getProduct = db.prepare('SELECT * FROM products WHERE id = ?');
+
+  const lines = rows.map(row => {
+    const product = getProduct.get(row.product_id);
+    const unit = resolveProductUnit(product, row.unit_id);
+    return { row, product, unit, unitsPerPack: unit ? unit.units_per_pack : 1 };
+  });
+
+  // Stock is shared by every pack size of a product in the cart, so it is compared in base units
+  const wantedByProduct = new Map();
+  lines.forEach(({ row, unitsPerPack }) => {
+    wantedByProduct.set(row.product_id, (wantedByProduct.get(row.product_id) || 0) + row.quantity * unitsPerPack);
+  });
+
+  const items = lines.map(({ row, product, unit, unitsPerPack }) => {
+    const unavailable = !unit || unit.price === null;
+    const price = unavailable ? null : unit.price;
+    const priceChanged = !unavailable && row.price !== null && Math.abs(row.price - price) > 0.005;
+    return {
+      id: row.id,
+      product_id: product.id,
+      product_name: product.name,
+      image: product.image,
+      requires_prescription: product.requires_prescription ? 1 : 0,
+      unit_id: row.unit_id,
+      unit_name: unit ? unit.unit_name : null,
+      units_per_pack: unitsPerPack,
+      quantity: row.quantity,
+      price,
+      previous_price: priceChanged ? row.price : null,
+      subtotal: unavailable ? 0 : Math.round(price * row.quantity * 100) / 100,
+      // How many of the line's packs are in stock
+      available_quantity: Math.floor(product.quantity / unitsPerPack),
+      price_changed: priceChanged,
+      out_of_stock: product.quantity < unitsPerPack,
+      insufficient_stock: product.quantity >= unitsPerPack && wantedByProduct.get(product.id) > product.quantity,
+      unavailable
+    };
+  });
+
+  return {
+    items,
+    item_count: items.reduce((sum, item) => sum + item.quantity, 0),
+    total_amount: Math.round(items.reduce((sum, item) => sum + item.subtotal, 0) * 100) / 100,
+    prices_include_tax: getPricesIncludeTax(),
+    has_issues: items.some(item => item.price_changed || item.out_of_stock || item.insufficient_stock || item.unavailable)
+  };
+}
+
+// Validate cart lines sent by the customer; the same product and pack size sent twice is added up.
+// With skipInvalid, lines for products or pack sizes that no longer exist are dropped instead of refused.
+// Returns { lines, skipped } or { error }
+function parseCartItems(items, skipInvalid = false) {
+  if (!Array.isArray(items)) {
+    return { error: 'Cart items must be a list' };
+  }
+
+  const getProduct = db.prepare('SELECT * FROM products WHERE id = ?');
+  const lines = [];
+  let skipped = 0;
+  for (const item of items) {
+    const product = item ? getProduct.get(item.product_id) : null;
+    const unit = product ? resolveProductUnit(product, item.unit_id) : null;
+    if (!product || !unit || unit.price === null) {
+      if (skipInvalid) {
+        skipped++;
+        continue;
+      }
+      if (!product) {
+        return { error: `Product ${item ? item.product_id : ''} not found` };
+      }
+      return { error: unit ? `${product.name} is not sold by the ${unit.unit_name}` : `Pack size not found for ${product.name}` };
+    }
+
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      if (skipInvalid) {
+        skipped++;
+        continue;
+      }
+      return { error: `Quantity for ${product.name} must be a whole number of at least 1` };
+    }
+
+    // The price the customer was shown, if the page sent it
+    const price = item.price === undefined || item.price === null || isNaN(parseFloat(item.price)) ? null : parseFloat(item.price);
+    const existing = lines.find(line => line.product_id === product.id && line.unit_id === unit.unit_id);
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      lines.push({ product_id: product.id, unit_id: unit.unit_id, quantity, price, current_price: unit.price });
+    }
+  }
+  return { lines, skipped };
+}
+
+function findCartLine(userId, line) {
+  return db.prepare('SELECT * FROM cart_items WHERE user_id = ? AND product_id = ? AND IFNULL(unit_id, 0) = IFNULL(?, 0)')
+    .get(userId, line.product_id, line.unit_id);
+}
+
+// Get the logged-in customer's cart, re-priced and stock-checked
+app.get('/api/cart', requireAuth, (req, res) => {
+  try {
+    res.json(getCart(req.session.user.id));
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace the cart with the lines sent ({ items: [{ product_id, unit_id, quantity, price }] }).
+// A line keeps the price it was last shown at unless the page sends the price it is showing now.
+app.put('/api/cart', requireAuth, (req, res) => {
+  try {
+    const { lines, error } = parseCartItems(req.body.items);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const userId = req.session.user.id;
+    db.transaction(() => {
+      const seenPrices = new Map(lines.map(line => {
+        const existing = findCartLine(userId, line);
+        return [line, line.price ?? (existing ? existing.price : line.current_price)];
+      }));
+
+      db.prepare('DELETE FROM cart_items WHERE user_id = ?').run(userId);
+      const insertLine = db.prepare('INSERT INTO cart_items (user_id, product_id, unit_id, quantity, price) VALUES (?, ?, ?, ?, ?)');
+      lines.forEach(line => insertLine.run(userId, line.product_id, line.unit_id, line.quantity, seenPrices.get(line)));
+    })();
+
+    res.json(getCart(userId));
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a cart kept in the browser before logging in to the customer's saved cart.
+// Quantities of lines already in the saved cart are added together; lines that can no longer be bought are skipped.
+app.post('/api/cart/merge', requireAuth, (req, res) => {
+  try {
+    const { lines, skipped, error } = parseCartItems(req.body.items, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const userId = req.session.user.id;
+    db.transaction(() => {
+      lines.forEach(line => {
+        const existing = findCartLine(userId, line);
+        if (existing) {
+          db.prepare('UPDATE cart_items SET quantity = quantity + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+            .run(line.quantity, existing.id);
+        } else {
+          db.prepare('INSERT INTO cart_items (user_id, product_id, unit_id, quantity, price) VALUES (?, ?, ?, ?, ?)')
+            .run(userId, line.product_id, line.unit_id, line.quantity, line.price ?? line.current_price);
+        }
+      });
+    })();
+
+    res.json({ ...getCart(userId), skipped });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Empty the cart
+app.delete('/api/cart', requireAuth, (req, res) => {
+  try {
+    db.prepare('DELETE FROM cart_items WHERE user_id = ?').run(req.session.user.id);
+    res.json({ success: true, message: 'Cart cleared' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== WISHLIST API ==========
+
+// The customer's saved products, newest first, with whether they have asked to hear when each is back in stock
+app.get('/api/wishlist', requireAuth, (req, res) => {
+  try {
+    const items = db.prepare(`
+      SELECT p.id, p.name, p.description, p.price, p.quantity, p.base_unit, p.image, p.requires_prescription,
+             w.created_at as added_at,
+             EXISTS (SELECT 1 FROM stock_alerts a WHERE a.user_id = w.user_id AND a.product_id = p.id AND a.notified_at IS NULL) as stock_alert
+      FROM wishlist_items w
+      JOIN products p ON w.product_id = p.id
+      WHERE w.user_id = ?
+      ORDER BY w.created_at DESC, w.id DESC
+    `).all(req.session.user.id);
+    res.json(items);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Save a product to the wishlist
+app.post('/api/wishlist', requireAuth, (req, res) => {
+  try {
+    const product = db.prepare('SELECT id, name FROM products WHERE id = ?').get(req.body.product_id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    db.prepare('INSERT OR IGNORE INTO wishlist_items (user_id, product_id) VALUES (?, ?)').run(req.session.user.id, product.id);
+    res.json({ success: true, message: `${product.name} saved to your wishlist` });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a product from the wishlist
+app.delete('/api/wishlist/:productId', requireAuth, (req, res) => {
+  try {
+    const result = db.prepare('DELETE FROM wishlist_items WHERE user_id = ? AND product_id = ?')
+      .run(req.session.user.id, req.params.productId);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Product is not in your wishlist' });
+    }
+    res.json({ success: true, message: 'Removed from your wishlist' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Products the customer is waiting on
+app.get('/api/stock-alerts', requireAuth, (req, res) => {
+  try {
+    const alerts = db.prepare(`
+      SELECT a.product_id, a.created_at, p.name as product_name
+      FROM stock_alerts a
+      JOIN products p ON a.product_id = p.id
+      WHERE a.user_id = ? AND a.notified_at IS NULL
+      ORDER BY a.created_at DESC
+    `).all(req.session.user.id);
+    res.json(alerts);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Out-of-stock products customers are waiting on or have saved, most wanted first (admin only)
+app.get('/api/stock-alerts/demand', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const demand = db.prepare(`
+      SELECT p.id, p.name, p.category, p.quantity, p.reorder_point,
+             (SELECT COUNT(*) FROM stock_alerts a WHERE a.product_id = p.id AND a.notified_at IS NULL) as waiting_count,
+             (SELECT COUNT(*) FROM wishlist_items w WHERE w.product_id = p.id) as wishlist_count,
+             (SELECT MIN(a.created_at) FROM stock_alerts a WHERE a.product_id = p.id AND a.notified_at IS NULL) as waiting_since
+      FROM products p
+      WHERE p.quantity <= 0
+    `).all().filter(product => product.waiting_count > 0 || product.wishlist_count > 0);
+
+    demand.sort((a, b) => b.waiting_count - a.waiting_count || b.wishlist_count - a.wishlist_count || a.name.localeCompare(b.name));
+    res.json(demand);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Ask to be told when an out-of-stock product is back
+app.post('/api/stock-alerts', requireAuth, (req, res) => {
+  try {
+    const product = db.prepare('SELECT id, name, quantity FROM products WHERE id = ?').get(req.body.product_id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (product.quantity > 0) {
+      return res.status(400).json({ error: `${product.name} is in stock now` });
+    }
+
+    db.prepare('INSERT OR IGNORE INTO stock_alerts (user_id, product_id) VALUES (?, ?)').run(req.session.user.id, product.id);
+    res.json({ success: true, message: `We'll let you know when ${product.name} is back in stock` });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Stop waiting on a product
+app.delete('/api/stock-alerts/:productId', requireAuth, (req, res) => {
+  try {
+    const result = db.prepare('DELETE FROM stock_alerts WHERE user_id = ? AND product_id = ? AND notified_at IS NULL')
+      .run(req.session.user.id, req.params.productId);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'You are not waiting on this product' });
+    }
+    res.json({ success: true, message: 'You will no longer be notified about this product' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Notify every customer waiting on a product that it is back in stock. Called from recordStockMovement,
+// so it runs in the same transaction as the stock change.
+function notifyBackInStock(productId) {
+  const waiting = db.prepare('SELECT id, user_id FROM stock_alerts WHERE product_id = ? AND notified_at IS NULL').all(productId);
+  if (waiting.length === 0) {
+    return;
+  }
+
+  const product = db.prepare('SELECT id, name FROM products WHERE id = ?').get(productId);
+  const getUser = db.prepare('SELECT id, username, email FROM users WHERE id = ?');
+  const markNotified = db.prepare('UPDATE stock_alerts SET notified_at = CURRENT_TIMESTAMP WHERE id = ?');
+  waiting.forEach(alert => {
+    createNotification(alert.user_id, {
+      type: 'back_in_stock',
+      title: `${product.name} is back in stock`,
+      message: `${product.name}, which you asked us to watch, can be ordered again.`,
+      link: '/shop'
+    });
+    const user = getUser.get(alert.user_id);
+    queueEmail('back_in_stock', user.email, { user, product }, { userId: user.id });
+    markNotified.run(alert.id);
+  });
+}
+
+// ========== NOTIFICATIONS API ==========
+
+// Add an in-app notification for a user
+function createNotification(userId, { type, title, message, link }) {
+  return db.prepare('INSERT INTO notifications (user_id, type, title, message, link) VALUES (?, ?, ?, ?, ?)')
+    .run(userId, type, title, message || null, link || null).lastInsertRowid;
+}
+
+// Alert settings are on unless they have been switched off in settings
+function isAlertEnabled(settingKey) {
+  const setting = db.prepare('SELECT setting_value FROM settings WHERE setting_key = ?').get(settingKey);
+  return !setting || setting.setting_value !== 'false';
+}
+
+// Notify every admin, if the alert setting for this kind of event is on
+function notifyAdmins(settingKey, notification) {
+  if (!isAlertEnabled(settingKey)) {
+    return;
+  }
+  const admins = db.prepare("SELECT id FROM users WHERE role = 'admin'").all();
+  admins.forEach(admin => createNotification(admin.id, notification));
+}
+
+// Tell admins when a stock change takes a product below its reorder point
+function notifyIfLowStock(productId, balanceBefore, balanceAfter) {
+  const product = db.prepare('SELECT id, name, base_unit, reorder_point FROM products WHERE id = ?').get(productId);
+  const reorderPoint = product.reorder_point ?? getLowStockThreshold();
+  if (balanceBefore < reorderPoint || balanceAfter >= reorderPoint) {
+    return;
+  }
+
+  notifyAdmins('low_stock_alerts', {
+    type: 'low_stock',
+    title: balanceAfter <= 0 ? `${product.name} is out of stock` : `${product.name} is running low`,
+    message: `${balanceAfter} ${product.base_unit || 'unit'} left, below the reorder point of ${reorderPoint}.`,
+    link: '/inventory'
+  });
+}
+
+// Tell admins about lots with stock that have come within the expiry alert window.
+// Each lot is reported once; returns how many were reported.
+function notifyExpiringBatches() {
+  if (!isAlertEnabled('expiry_alerts')) {
+    return 0;
+  }
+
+  const { todayStr, expiryDateStr } = getExpiryWindow();
+  const batches = db.prepare(`
+    SELECT b.id, b.lot_number, b.expiry_date, b.quantity_remaining, p.name as product_name, p.base_unit
+    FROM product_batches b
+    JOIN products p ON b.product_id = p.id
+    WHERE b.quantity_remaining > 0
+    AND b.quarantined_at IS NULL
+    AND b.expiry_alerted_at IS NULL
+    AND b.expiry_date IS NOT NULL
+    AND b.expiry_date != ''
+    AND b.expiry_date <= ?
+    AND b.expiry_date >= ?
+    ORDER BY b.expiry_date, p.name
+  `).all(expiryDateStr, todayStr);
+
+  const markAlerted = db.prepare('UPDATE product_batches SET expiry_alerted_at = CURRENT_TIMESTAMP WHERE id = ?');
+  db.transaction(() => {
+    batches.forEach(batch => {
+      notifyAdmins('expiry_alerts', {
+        type: 'expiry',
+        title: `${batch.product_name} lot ${batch.lot_number} expires on ${batch.expiry_date}`,
+        message: `${batch.quantity_remaining} ${batch.base_unit || 'unit'} in stock from this lot.`,
+        link: '/dashboard'
+      });
+      markAlerted.run(batch.id);
+    });
+  })();
+
+  return batches.length;
+}
+
+// The user's latest notifications with the number still unread (?unread=true for unread ones only)
+app.get('/api/notifications', requireAuth, (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const notifications = db.prepare(`
+      SELECT * FROM notifications
+      WHERE user_id = ?
+      ${req.query.unread === 'true' ? 'AND read_at IS NULL' : ''}
+      ORDER BY created_at DESC, id DESC
+      LIMIT 50
+    `).all(userId);
+    const unread = db.prepare('SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND read_at IS NULL').get(userId);
+
+    res.json({ notifications, unread_count: unread.count });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark all of the user's notifications as read
+app.put('/api/notifications/read-all', requireAuth, (req, res) => {
+  try {
+    db.prepare('UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND read_at IS NULL').run(req.session.user.id);
+    res.json({ success: true, message: 'All notifications marked as read' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark one notification as read
+app.put('/api/notifications/:id/read', requireAuth, (req, res) => {
+  try {
+    const result = db.prepare('UPDATE notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP) WHERE id = ? AND user_id = ?')
+      .run(req.params.id, req.session.user.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    res.json({ success: true, message: 'Notification marked as read' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== EMAIL OUTBOX ==========
+
+// Emails are written to the outbox in the same transaction as the change they describe,
+// and a background sender delivers them, retrying with a growing delay before giving up.
+const EMAIL_SEND_INTERVAL_MS = 30 * 1000;
+const EMAIL_MAX_ATTEMPTS = 5;
+const EMAIL_RETRY_DELAY_SECONDS = 60; // doubled after each failed attempt: 1, 2, 4, 8 minutes
+const PASSWORD_RESET_HOURS = 1;
+const PASSWORD_RESET_WINDOW_MINUTES = 15;
+const PASSWORD_RESET_REQUESTS_PER_IP = 5; // per window
+const PASSWORD_RESET_REQUESTS_PER_ACCOUNT = 3; // per window
+
+const orderStatusLabels = {
+  awaiting_review: 'Awaiting Pharmacist Review',
+  pending: 'Pending',
+  processing: 'Processing',
+  shipped: 'Shipped',
+  ready_for_pickup: 'Ready for Pickup',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled'
+};
+
+// Each template turns its data into { subject, text }
+const emailTemplates = {
+  order_placed: ({ order, items }) => ({
+    subject: `Order ${order.order_number} received`,
+    text: [
+      `Hello ${order.customer_name},`,
+      '',
+      `Thank you for your order ${order.order_number}.`,
+      order.status === 'awaiting_review'
+        ? 'A pharmacist will review your prescription before the order is processed.'
+        : 'We will let you know when its status changes.',
+      '',
+      ...items.map(item => `  ${item.product_name} x ${Number(Number(item.quantity).toFixed(2))}  ${formatMoney(item.subtotal)}`),
+      '',
+      `Total: ${formatMoney(order.total_amount)}`,
+      `Payment: ${paymentMethodLabels[order.payment_method] || order.payment_method}`,
+      `Delivery address: ${order.customer_address}`
+    ].join('\n')
+  }),
+  order_status_changed: ({ order, note }) => ({
+    subject: `Order ${order.order_number} is now ${orderStatusLabels[order.status] || order.status}`,
+    text: [
+      `Hello ${order.customer_name},`,
+      '',
+      `The status of your order ${order.order_number} is now: ${orderStatusLabels[order.status] || order.status}.`,
+      ...(note ? ['', note] : [])
+    ].join('\n')
+  }),
+  order_ready_for_pickup: ({ order, note }) => ({
+    subject: `Order ${order.order_number} is ready for pickup`,
+    text: [
+      `Hello ${order.customer_name},`,
+      '',
+      `Your order ${order.order_number} is ready to collect from ${getSettingValue('pharmacy_name', 'MediFlow')}.`,
+      getSettingValue('pharmacy_address') ? `Address: ${getSettingValue('pharmacy_address')}` : null,
+      order.payment_status !== 'paid' ? `Amount due on collection: ${formatMoney(order.total_amount - (order.amount_paid || 0))}` : null,
+      ...(note ? ['', note] : [])
+    ].filter(line => line !== null).join('\n')
+  }),
+  password_reset: ({ user, link }) => ({
+    subject: 'Reset your password',
+    text: [
+      `Hello ${user.username},`,
+      '',
+      'Someone asked to reset the password for your account. To choose a new password, open this link:',
+      link,
+      '',
+      `The link works once and expires in ${PASSWORD_RESET_HOURS} hour${PASSWORD_RESET_HOURS === 1 ? '' : 's'}. If you did not ask for this, you can ignore this email.`
+    ].join('\n')
+  }),
+  back_in_stock: ({ user, product }) => ({
+    subject: `${product.name} is back in stock`,
+    text: [
+      `Hello ${user.username},`,
+      '',
+      `${product.name}, which you asked us to watch, can be ordered again.`
+    ].join('\n')
+  }),
+  low_stock_digest: ({ user, products }) => ({
+    subject: `Low stock: ${products.length} product${products.length === 1 ? '' : 's'} below the reorder point`,
+    text: [
+      `Hello ${user.username},`,
+      '',
+      'These products are below their reorder point:',
+      '',
+      ...products.map(product => `  ${product.name}: ${product.quantity} ${product.base_unit || 'unit'} left (reorder point ${product.reorder_point})`)
+    ].join('\n')
+  })
+};
+
+// Render a template into the outbox. Returns the outbox id, or null when there is no address to send to.
+function queueEmail(template, toAddress, data, { orderId = null, userId = null } = {}) {
+  if (!toAddress || !String(toAddress).trim()) {
+    return null;
+  }
+
+  const { subject, text } = emailTemplates[template](data);
+  const result = db.prepare(`
+    INSERT INTO email_outbox (template, to_address, subject, body, order_id, user_id)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(template, String(toAddress).trim(), subject, text, orderId, userId);
+
+  // Send once the current request (and its transaction) is done rather than waiting for the next run
+  setImmediate(processEmailOutbox);
+  return result.lastInsertRowid;
+}
+
+// Email the customer about their order: the address given at checkout, else their account's
+function queueOrderEmail(orderId, template, data = {}) {
+  const order = db.prepare(`
+    SELECT o.*, u.email as account_email
+    FROM orders o
+    LEFT JOIN users u ON o.user_id = u.id
+    WHERE o.id = ?
+  `).get(orderId);
+  const items = db.prepare('SELECT * FROM order_items WHERE order_id = ? ORDER BY id').all(orderId);
+
+  return queueEmail(template, order.customer_email || order.account_email, { ...data, order, items }, { orderId, userId: order.user_id });
+}
+
+let emailOutboxRunning = false;
+
+// Reset links in the outbox would let whoever reads it take over the account, so admins never see them
+// and they are removed from the stored body once the email has been sent or given up on
+const resetLinkPattern = /\S*\/reset-password\?token=[0-9a-f]+/g;
+
+function hideResetLink(email) {
+  return email.template === 'password_reset' ? email.body.replace(resetLinkPattern, '[reset link removed]') : email.body;
+}
+
+function removeSentResetLinks() {
+  const emails = db.prepare(`
+    SELECT id, template, body FROM email_outbox
+    WHERE template = 'password_reset' AND status != 'pending' AND body LIKE '%/reset-password?token=%'
+  `).all();
+  const updateBody = db.prepare('UPDATE email_outbox SET body = ? WHERE id = ?');
+  emails.forEach(email => updateBody.run(hideResetLink(email), email.id));
+}
+
+// Send every email that is due. Messages wait in the outbox while SMTP is not configured.
+async function processEmailOutbox() {
+  removeSentResetLinks();
+
+  const config = getSmtpConfig();
+  if (!config || emailOutboxRunning) {
+    return;
+  }
+
+  emailOutboxRunning = true;
+  try {
+    const due = db.prepare(`
+      SELECT * FROM email_outbox
+      WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+      ORDER BY id
+      LIMIT 20
+    `).all();
+
+    for (const email of due) {
+      try {
+        await sendMail(config, { to: email.to_address, subject: email.subject, text: email.body });
+        db.prepare(`
+          UPDATE email_outbox
+          SET status = 'sent', attempts = attempts + 1, sent_at = CURRENT_TIMESTAMP, last_error = NULL
+          WHERE id = ?
+        `).run(email.id);
+      } catch (error) {
+        const attempts = email.attempts + 1;
+        if (attempts >= EMAIL_MAX_ATTEMPTS) {
+          db.prepare("UPDATE email_outbox SET status = 'failed', attempts = ?, last_error = ? WHERE id = ?")
+            .run(attempts, error.message, email.id);
+        } else {
+          const delaySeconds = EMAIL_RETRY_DELAY_SECONDS * 2 ** (attempts - 1);
+          db.prepare(`
+            UPDATE email_outbox
+            SET attempts = ?, last_error = ?, next_attempt_at = datetime('now', ?)
+            WHERE id = ?
+          `).run(attempts, error.message, `+${delaySeconds} seconds`, email.id);
+        }
+      }
+    }
+    removeSentResetLinks();
+  } catch (error) {
+    console.error('Email outbox run failed:', error);
+  } finally {
+    emailOutboxRunning = false;
+  }
+}
+
+// Outbox for admins (?status=pending|sent|failed), newest first, with counts per status
+app.get('/api/email-outbox', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { status } = req.query;
+    const messages = db.prepare(`
+      SELECT e.*, o.order_number
+      FROM email_outbox e
+      LEFT JOIN orders o ON e.order_id = o.id
+      ${status ? 'WHERE e.status = ?' : ''}
+      ORDER BY e.id DESC
+      LIMIT 200
+    `).all(...(status ? [status] : []));
+    const counts = db.prepare('SELECT status, COUNT(*) as count FROM email_outbox GROUP BY status').all();
+
+    res.json({
+      smtp_configured: !!getSmtpConfig(),
+      counts: Object.fromEntries(counts.map(row => [row.status, row.count])),
+      messages: messages.map(message => ({ ...message, body: hideResetLink(message) }))
+    });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Queue every failed email to be sent again. Password reset emails no longer hold their link, so the
+// customer asks for a new one instead.
+app.post('/api/email-outbox/resend-failed', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const result = db.prepare(`
+      UPDATE email_outbox
+      SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+      WHERE status = 'failed' AND template != 'password_reset'
+    `).run();
+    setImmediate(processEmailOutbox);
+    res.json({ success: true, message: `${result.changes} email${result.changes === 1 ? '' : 's'} queued to be sent again` });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Send one email again (a failed one, or a sent one the customer did not receive)
+app.post('/api/email-outbox/:id/resend', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const email = db.prepare('SELECT id, template, status FROM email_outbox WHERE id = ?').get(req.params.id);
+    if (!email) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    if (email.template === 'password_reset') {
+      return res.status(400).json({ error: 'Password reset emails cannot be resent. The customer can ask for a new link.' });
+    }
+    if (email.status === 'pending') {
+      return res.status(400).json({ error: 'This email is already waiting to be sent' });
+    }
+
+    db.prepare(`
+      UPDATE email_outbox
+      SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(email.id);
+    setImmediate(processEmailOutbox);
+    res.json({ success: true, message: 'Email queued to be sent again' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== PASSWORD RESET API ==========
+
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Reset requests per IP address, kept in memory: { ip: [timestamps] }
+const passwordResetRequests = new Map();
+
+function isPasswordResetThrottled(ip) {
+  const windowStart = Date.now() - PASSWORD_RESET_WINDOW_MINUTES * 60 * 1000;
+  const recent = (passwordResetRequests.get(ip) || []).filter(time => time > windowStart);
+  const throttled = recent.length >= PASSWORD_RESET_REQUESTS_PER_IP;
+  if (!throttled) {
+    recent.push(Date.now());
+  }
+  passwordResetRequests.set(ip, recent);
+  return throttled;
+}
+
+// Email a reset link to the account with this address. The reply is the same whether or not
+// an account exists, so the form can't be used to find out who has one.
+app.post('/api/password-reset/request', (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim();
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    // Links must point at the configured site, never at whatever Host the request names
+    const baseUrl = (process.env.APP_URL || '').replace(/\/+$/, '');
+    if (!baseUrl) {
+      return res.status(503).json({ error: 'Password reset by email is not available. Please contact the pharmacy.' });
+    }
+
+    if (isPasswordResetThrottled(req.ip)) {
+      return res.status(429).json({ error: 'Too many reset requests. Please try again later.' });
+    }
+
+    const user = db.prepare('SELECT id, username, email FROM users WHERE LOWER(email) = LOWER(?) AND deactivated_at IS NULL').get(email);
+    // Past the per-account limit the reply stays the same but no email goes out
+    const recentRequests = user ? db.prepare(`
+      SELECT COUNT(*) as count FROM password_resets
+      WHERE user_id = ? AND created_at > datetime('now', ?)
+    `).get(user.id, `-${PASSWORD_RESET_WINDOW_MINUTES} minutes`).count : 0;
+
+    if (user && recentRequests < PASSWORD_RESET_REQUESTS_PER_ACCOUNT) {
+      const token = crypto.randomBytes(32).toString('hex');
+
+      db.transaction(() => {
+        db.prepare(`
+          INSERT INTO password_resets (user_id, token_hash, expires_at)
+          VALUES (?, ?, datetime('now', ?))
+        `).run(user.id, hashResetToken(token), `+${PASSWORD_RESET_HOURS} hours`);
+        queueEmail('password_reset', user.email, { user, link: `${baseUrl}/reset-password?token=${token}` }, { userId: user.id });
+      })();
+    }
+
+    res.json({ success: true, message: 'If an account uses that email, a link to reset its password is on its way.' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Set a new password with a reset link's token
+app.post('/api/password-reset', (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and new password are required' });
+    }
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+    }
+
+    const reset = db.prepare(`
+      SELECT * FROM password_resets
+      WHERE token_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    `).get(hashResetToken(String(token)));
+    if (!reset) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired. Please ask for a new one.' });
+    }
+
+    db.transaction(() => {
+      db.prepare('UPDATE users SET password = ? WHERE id = ?').run(bcrypt.hashSync(password, 10), reset.user_id);
+      // Any other links sent to this account stop working too
+      db.prepare('UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL').run(reset.user_id);
+    })();
+
+    res.json({ success: true, message: 'Your password has been reset. You can now log in.' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== SCHEDULED JOBS ==========
+// Housekeeping runs inside the server process. Each job runs daily at a set Sri Lanka time; a ticker
+// starts jobs whose time has come, so a run missed while the server was down happens once it is back.
+// Every run is kept in job_runs, and the jobs table holds the schedule and the outcome of the last run.
+
+const JOB_TICK_INTERVAL_MS = 60 * 1000;
+const SRI_LANKA_OFFSET_MINUTES = 330;
+const ORPHAN_UPLOAD_MIN_AGE_HOURS = 24; // newer files may belong to a form that is still being saved
+
+// SQLite's CURRENT_TIMESTAMP format (UTC), so schedule times compare with it as text
+function toSqlTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// The next time after `after` that it is HH:MM in Sri Lanka
+function nextDailyRun(time, after = new Date()) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const offsetMs = SRI_LANKA_OFFSET_MINUTES * 60 * 1000;
+  const localRun = new Date(after.getTime() + offsetMs);
+  localRun.setUTCHours(hours, minutes, 0, 0);
+
+  const run = new Date(localRun.getTime() - offsetMs);
+  return run > after ? run : new Date(run.getTime() + 24 * 60 * 60 * 1000);
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Quarantine lots with stock whose expiry date has passed, then report lots coming up to expiry
+function runExpirySweep() {
+  const expired = db.prepare(`
+    SELECT b.*, p.name as product_name, p.base_unit
+    FROM product_batches b
+    JOIN products p ON b.product_id = p.id
+    WHERE b.quarantined_at IS NULL
+    AND b.quantity_remaining > 0
+    AND b.expiry_date IS NOT NULL
+    AND b.expiry_date != ''
+    AND b.expiry_date < ?
+    ORDER BY b.expiry_date, p.name
+  `).all(getSriLankanDateString());
+
+  db.transaction(() => {
+    expired.forEach(batch => quarantineBatch(batch, 'expired'));
+    if (expired.length > 0) {
+      notifyAdmins('expiry_alerts', {
+        type: 'expiry',
+        title: `${expired.length} expired lot${expired.length === 1 ? '' : 's'} taken off sale`,
+        message: expired.map(batch => `${batch.product_name} lot ${batch.lot_number} (expired ${batch.expiry_date}, ${batch.quantity_remaining} ${batch.base_unit || 'unit'})`).join('; '),
+        link: '/quarantine'
+      });
+    }
+  })();
+
+  const expiring = notifyExpiringBatches();
+  return `${expired.length} expired lot${expired.length === 1 ? '' : 's'} quarantined, ${expiring} lot${expiring === 1 ? '' : 's'} reported as expiring soon`;
+}
+
+// One notification (and email) to each admin listing every product below its reorder point
+function runLowStockDigest() {
+  if (!isAlertEnabled('low_stock_alerts')) {
+    return 'Low stock alerts are switched off';
+  }
+
+  const lowStockThreshold = getLowStockThreshold();
+  const products = db.prepare(`
+    SELECT id, name, quantity, base_unit, COALESCE(reorder_point, ?) as reorder_point
+    FROM products
+    WHERE quantity < COALESCE(reorder_point, ?)
+    ORDER BY quantity, name
+  `).all(lowStockThreshold, lowStockThreshold);
+
+  if (products.length === 0) {
+    return 'No products below their reorder point';
+  }
+
+  const admins = db.prepare("SELECT id, username, email FROM users WHERE role = 'admin'").all();
+  db.transaction(() => {
+    admins.forEach(admin => {
+      createNotification(admin.id, {
+        type: 'low_stock',
+        title: `Low-stock digest: ${products.length} product${products.length === 1 ? '' : 's'} below the reorder point`,
+        message: products.map(product => `${product.name} (${product.quantity} left)`).join(', '),
+        link: '/purchase-orders'
+      });
+      queueEmail('low_stock_digest', admin.email, { user: admin, products }, { userId: admin.id });
+    });
+  })();
+
+  return `${products.length} product${products.length === 1 ? '' : 's'} below the reorder point, sent to ${admins.length} admin${admins.length === 1 ? '' : 's'}`;
+}
+
+// Delete files in public/uploads that no product image or profile picture points to
+function runUploadsCleanup() {
+  const referenced = new Set([
+    ...db.prepare("SELECT image as file FROM products WHERE image IS NOT NULL AND image != ''").all(),
+    ...db.prepare("SELECT profile_picture as file FROM users WHERE profile_picture IS NOT NULL AND profile_picture != ''").all()
+  ].map(row => path.basename(row.file)));
+  const cutoff = Date.now() - ORPHAN_UPLOAD_MIN_AGE_HOURS * 60 * 60 * 1000;
+
+  let removed = 0;
+  let bytes = 0;
+  fs.readdirSync(uploadsDir, { withFileTypes: true }).forEach(entry => {
+    if (!entry.isFile() || entry.name.startsWith('.') || referenced.has(entry.name)) {
+      return;
+    }
+    const filePath = path.join(uploadsDir, entry.name);
+    const stats = fs.statSync(filePath);
+    if (stats.mtimeMs > cutoff) {
+      return;
+    }
+    fs.unlinkSync(filePath);
+    removed++;
+    bytes += stats.size;
+  });
+
+  return `${removed} orphaned file${removed === 1 ? '' : 's'} removed (${formatBytes(bytes)})`;
+}
+
+// Each job's run() returns a short summary of what it did, or throws
+const jobDefinitions = {
+  expiry_sweep: {
+    label: 'Expiry sweep',
+    description: 'Takes lots past their expiry date off sale and alerts admins about lots expiring soon',
+    runAt: '00:05',
+    run: runExpirySweep
+  },
+  uploads_cleanup: {
+    label: 'Uploads cleanup',
+    description: `Deletes uploaded files no longer used by a product or profile (older than ${ORPHAN_UPLOAD_MIN_AGE_HOURS} hours)`,
+    runAt: '03:00',
+    run: runUploadsCleanup
+  },
+  low_stock_digest: {
+    label: 'Low-stock digest',
+    description: 'Sends admins one notification and email listing the products below their reorder point',
+    runAt: '08:00',
+    run: runLowStockDigest
+  }
+};
+
+const runningJobs = new Set();
+
+// Jobs that have never run are due straight away
+function registerJobs() {
+  const insertJob = db.prepare('INSERT OR IGNORE INTO jobs (name, next_run_at) VALUES (?, CURRENT_TIMESTAMP)');
+  Object.keys(jobDefinitions).forEach(name => insertJob.run(name));
+}
+
+// Run a job now and record the outcome. Returns { runId, status, message }.
+async function runJob(name, triggeredBy = null) {
+  runningJobs.add(name);
+  const startedAt = Date.now();
+  const runId = db.prepare('INSERT INTO job_runs (job_name, triggered_by) VALUES (?, ?)').run(name, triggeredBy).lastInsertRowid;
+
+  let status = 'success';
+  let message;
+  try {
+    message = await jobDefinitions[name].run();
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+    status = 'failed';
+    message = error.message;
+  } finally {
+    runningJobs.delete(name);
+  }
+
+  const durationMs = Date.now() - startedAt;
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE job_runs
+      SET status = ?, message = ?, finished_at = CURRENT_TIMESTAMP, duration_ms = ?
+      WHERE id = ?
+    `).run(status, message || null, durationMs, runId);
+    db.prepare(`
+      UPDATE jobs
+      SET last_run_at = CURRENT_TIMESTAMP, last_status = ?, last_duration_ms = ?, last_message = ?
+      WHERE name = ?
+    `).run(status, durationMs, message || null, name);
+  })();
+
+  return { runId, status, message };
+}
+
+// Start every job that is due, moving it on to its next daily run first
+async function runDueJobs() {
+  try {
+    const due = db.prepare('SELECT name FROM jobs WHERE next_run_at <= CURRENT_TIMESTAMP ORDER BY next_run_at').all();
+    for (const job of due) {
+      const definition = jobDefinitions[job.name];
+      if (!definition || runningJobs.has(job.name)) continue;
+
+      db.prepare('UPDATE jobs SET next_run_at = ? WHERE name = ?')
+        .run(toSqlTimestamp(nextDailyRun(definition.runAt)), job.name);
+      await runJob(job.name);
+    }
+  } catch (error) {
+    console.error('Scheduled jobs run failed:', error);
+  }
+}
+
+// Jobs with their schedule and last outcome
+app.get('/api/jobs', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const jobs = db.prepare('SELECT * FROM jobs').all();
+    res.json(Object.entries(jobDefinitions).map(([name, definition]) => {
+      const job = jobs.find(row => row.name === name) || {};
+      return {
+        ...job,
+        name,
+        label: definition.label,
+        description: definition.description,
+        run_at: definition.runAt,
+        running: runningJobs.has(name)
+      };
+    }));
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Run history, newest first (?job=name for one job)
+app.get('/api/jobs/runs', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { job } = req.query;
+    const runs = db.prepare(`
+      SELECT r.*, u.username as triggered_by_name
+      FROM job_runs r
+      LEFT JOIN users u ON r.triggered_by = u.id
+      ${job ? 'WHERE r.job_name = ?' : ''}
+      ORDER BY r.id DESC
+      LIMIT 100
+    `).all(...(job ? [job] : []));
+    res.json(runs);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Run a job straight away; its daily schedule is unchanged
+app.post('/api/jobs/:name/run', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const definition = Object.keys(jobDefinitions).includes(req.params.name) ? jobDefinitions[req.params.name] : null;
+    if (!definition) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (runningJobs.has(req.params.name)) {
+      return res.status(409).json({ error: `${definition.label} is already running` });
+    }
+
+    const result = await runJob(req.params.name, req.session.user.id);
+    if (result.status === 'failed') {
+      return res.status(500).json({ error: `${definition.label} failed: ${result.message}`, run_id: result.runId });
+    }
+    res.json({ success: true, run_id: result.runId, message: `${definition.label}: ${result.message}` });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== ORDERS API ==========
+
+// Generate unique order number
+function generateOrderNumber() {
+  const timestamp = Date.now();
+  const random = Math.floor(Math.random() * 1000);
+  return `ORD-${timestamp}-${random}`;
+}
+
+// Latest prescription uploaded for an order, without the stored file name
+function getOrderPrescription(orderId) {
+  return db.prepare(`
+    SELECT p.id, p.status, p.original_name, p.mime_type, p.review_reason, p.reviewed_at, p.created_at,
+           u.username as reviewed_by_username
+    FROM prescriptions p
+    LEFT JOIN users u ON p.reviewed_by = u.id
+    WHERE p.order_id = ?
+    ORDER BY p.id DESC
+    LIMIT 1
+  `).get(orderId) || null;
+}
+
+// Return each item of a cancelled order to the lot it was taken from
+function restoreOrderStock(orderId, userId) {
+  const items = db.prepare('SELECT * FROM order_items WHERE order_id = ?').all(orderId);
+  for (const item of items) {
+    restoreBatchStock(item.product_id, item.batch_id, item.base_quantity, {
+      reason: 'cancellation',
+      referenceType: 'order',
+      referenceId: Number(orderId),
+      userId
+    });
+  }
+}
+
+// Status changes an admin can make directly. An order waiting on its prescription moves to pending
+// through the prescription review instead, and an order can only be cancelled before it ships.
+const orderTransitions = {
+  awaiting_review: ['cancelled'],
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'ready_for_pickup', 'cancelled'],
+  shipped: ['delivered'],
+  ready_for_pickup: ['delivered', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
+
+// Move an order to a new status and record the change; cancelling returns the order's stock.
+// Call inside a transaction. Returns false if the order was no longer in the status it was read in.
+function changeOrderStatus(order, status, userId, note = null) {
+  const result = db.prepare('UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = ?')
+    .run(status, order.id, order.status);
+  if (result.changes === 0) {
+    return false;
+  }
+
+  db.prepare(`
+    INSERT INTO order_status_history (order_id, from_status, to_status, note, changed_by)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(order.id, order.status, status, note || null, userId);
+
+  if (status === 'cancelled') {
+    restoreOrderStock(order.id, userId);
+  }
+
+  queueOrderEmail(order.id, status === 'ready_for_pickup' ? 'order_ready_for_pickup' : 'order_status_changed', { note });
+  return true;
+}
+
+// Status changes of an order, oldest first
+function getOrderStatusHistory(orderId) {
+  return db.prepare(`
+    SELECT h.id, h.from_status, h.to_status, h.note, h.changed_at, u.username as changed_by_username, u.role as changed_by_role
+    FROM order_status_history h
+    LEFT JOIN users u ON h.changed_by = u.id
+    WHERE h.order_id = ?
+    ORDER BY h.changed_at, h.id
+  `).all(orderId);
+}
+
+// Price the lines of an order for a customer: pack sizes, stock, the coupon discount and tax.
+// Returns { lines, promotion, totals, pricesIncludeTax } or { error }.
+function priceOrder(items, userId, couponCode) {
+  const pricesIncludeTax = getPricesIncludeTax();
+  const resolveTaxClass = createTaxClassResolver();
+  const lines = [];
+  // Base units asked for per product, across lines in different pack sizes
+  const baseRequested = new Map();
+
+  for (const item of items) {
+    const product = db.prepare('SELECT * FROM products WHERE id = ?').get(item.product_id);
+    if (!product) {
+      return { error: `Product ${item.product_id} not found` };
+    }
+
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return { error: `Quantity for ${product.name} must be a whole number greater than 0` };
+    }
+
+    // Items are bought by the base unit unless a pack size is given
+    const unit = resolveProductUnit(product, item.unit_id);
+    if (!unit) {
+      return { error: `Pack size not found for ${product.name}` };
+    }
+    if (unit.price === null) {
+      return { error: `${product.name} is not sold by the ${unit.unit_name}` };
+    }
+
+    const baseQuantity = quantity * unit.units_per_pack;
+    const totalRequested = (baseRequested.get(product.id) || 0) + baseQuantity;
+    baseRequested.set(product.id, totalRequested);
+    if (product.quantity < totalRequested) {
+      return {
+        error: `Insufficient stock for ${product.name}. Available: ${product.quantity} ${product.base_unit}, Requested: ${totalRequested} ${product.base_unit}`
+      };
+    }
+
+    lines.push({
+      product,
+      product_id: product.id,
+      product_name: product.name,
+      quantity,
+      unit_id: unit.unit_id,
+      unit_name: unit.unit_name,
+      units_per_pack: unit.units_per_pack,
+      base_quantity: baseQuantity,
+      cost_price: product.cost_price,
+      price: unit.price,
+      amount: unit.price * quantity,
+      discount_amount: 0,
+      requires_prescription: product.requires_prescription
+    });
+  }
+
+  let promotion = null;
+  if (couponCode && String(couponCode).trim()) {
+    const coupon = checkCoupon(couponCode, userId, lines);
+    if (coupon.error) {
+      return { error: coupon.error };
+    }
+    promotion = coupon.promotion;
+    applyPromotionDiscount(promotion, coupon.eligibleLines);
+  }
+
+  // Each line is taxed at its product's tax class, on the amount left after the discount
+  const totals = { subtotal_amount: 0, discount_amount: 0, net_amount: 0, tax_amount: 0, total_amount: 0 };
+  lines.forEach(line => {
+    const taxClass = resolveTaxClass(line.product);
+    line.tax_class = taxClass ? taxClass.name : null;
+    line.tax_rate = taxClass ? taxClass.rate : 0;
+    const lineTax = calculateTax(line.amount - line.discount_amount, line.tax_rate, pricesIncludeTax);
+    line.subtotal = lineTax.gross_amount;
+    line.net_amount = lineTax.net_amount;
+    line.tax_amount = lineTax.tax_amount;
+
+    totals.subtotal_amount += line.amount;
+    totals.discount_amount += line.discount_amount;
+    totals.net_amount += line.net_amount;
+    totals.tax_amount += line.tax_amount;
+    totals.total_amount += line.subtotal;
+  });
+  Object.keys(totals).forEach(key => {
+    totals[key] = Math.round(totals[key] * 100) / 100;
+  });
+
+  return { lines, promotion, totals, pricesIncludeTax };
+}
+
+// Split a priced line across the lots it was taken from, in proportion to the base units from each lot.
+// Amounts are rounded to cents (pack counts to 3 decimals) and the last lot takes the remainder,
+// so the parts add up to the line.
+function splitLineByLots(line, allocations) {
+  const precisions = { quantity: 1000, subtotal: 100, net_amount: 100, tax_amount: 100, discount_amount: 100 };
+  const remaining = Object.fromEntries(Object.keys(precisions).map(key => [key, line[key]]));
+
+  return allocations.map((allocation, index) => {
+    const share = allocation.quantity / line.base_quantity;
+    const part = {};
+    Object.entries(precisions).forEach(([key, precision]) => {
+      const round = value => Math.round(value * precision) / precision;
+      part[key] = index === allocations.length - 1 ? round(remaining[key]) : round(line[key] * share);
+      remaining[key] -= part[key];
+    });
+    return part;
+  });
+}
+
+// Get all orders (for admin)
+app.get('/api/orders', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { status, return_status, payment_status } = req.query;
+    let query = `
+      SELECT o.*, u.username as customer_username 
+      FROM orders o 
+      LEFT JOIN users u ON o.user_id = u.id 
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (status) {
+      query += ' AND o.status = ?';
+      params.push(status);
+    }
+
+    // e.g. ?return_status=requested for orders with a return waiting to be processed
+    if (return_status) {
+      query += ' AND EXISTS (SELECT 1 FROM order_returns r WHERE r.order_id = o.id AND r.status = ?)';
+      params.push(return_status);
+    }
+
+    // ?payment_status=outstanding lists every order still owing money, oldest first
+    if (payment_status === 'outstanding') {
+      query += " AND o.status != 'cancelled' AND o.payment_status != 'paid'";
+    } else if (payment_status) {
+      query += ' AND o.payment_status = ?';
+      params.push(payment_status);
+    }
+
+    query += payment_status === 'outstanding' ? ' ORDER BY o.created_at ASC' : ' ORDER BY o.created_at DESC';
+
+    const getOrders = db.prepare(query);
+    const orders = getOrders.all(...params);
+
+    // Get order items for each order
+    const getOrderItems = db.prepare('SELECT * FROM order_items WHERE order_id = ?');
+    const ordersWithItems = orders.map(order => {
+      const items = getOrderItems.all(order.id);
+      return { ...order, items, prescription: getOrderPrescription(order.id), status_history: getOrderStatusHistory(order.id), returns: getOrderReturns(order.id), payments: getOrderPayments(order.id) };
+    });
+
+    res.json(ordersWithItems);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Get order statistics (MUST be before /api/orders/:id route)
+app.get('/api/orders/stats', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const stats = {};
+
+    // First, let's check if orders table exists and has data
+    try {
+      const checkOrders = db.prepare('SELECT COUNT(*) as count FROM orders');
+      const orderCheck = checkOrders.get();
+      console.log('Orders table check - Total rows:', orderCheck);
+    } catch (checkError) {
+      console.error('Error checking orders table:', checkError);
+    }
+
+    // Total orders
+    const countOrders = db.prepare('SELECT COUNT(*) as total FROM orders');
+    const totalOrdersResult = countOrders.get();
+    // Ensure we get the number value, not the object
+    stats.totalOrders = totalOrdersResult && totalOrdersResult.total !== undefined ? Number(totalOrdersResult.total) : 0;
+    console.log('Total orders query result:', totalOrdersResult, 'Stats:', stats.totalOrders);
+
+    // Pending orders
+    const countPending = db.prepare("SELECT COUNT(*) as total FROM orders WHERE status = 'pending'");
+    const pendingOrdersResult = countPending.get();
+    stats.pendingOrders = pendingOrdersResult && pendingOrdersResult.total !== undefined ? Number(pendingOrdersResult.total) : 0;
+    console.log('Pending orders query result:', pendingOrdersResult, 'Stats:', stats.pendingOrders);
+
+    // Orders waiting for a pharmacist to review their prescription
+    const countAwaitingReview = db.prepare("SELECT COUNT(*) as total FROM orders WHERE status = 'awaiting_review'");
+    stats.awaitingReviewOrders = Number(countAwaitingReview.get().total) || 0;
+
+    // Orders packed and waiting at the counter for the customer
+    const countReadyForPickup = db.prepare("SELECT COUNT(*) as total FROM orders WHERE status = 'ready_for_pickup'");
+    stats.readyForPickupOrders = Number(countReadyForPickup.get().total) || 0;
+
+    // Total revenue - check all orders first
+    const allOrders = db.prepare('SELECT total_amount, status FROM orders').all();
+    console.log('All orders in database:', allOrders);
+    
+    // Refunds on completed returns are taken off the revenue
+    const sumRefunds = db.prepare(`
+      SELECT SUM(refund_amount) as total, SUM(refund_net_amount) as net, SUM(refund_tax_amount) as tax
+      FROM order_returns WHERE status = 'completed'
+    `);
+    const refunds = sumRefunds.get();
+    stats.totalRefunds = Number(refunds.total) || 0;
 
-    // Total value
-    const sumValue = db.prepare('SELECT SUM(quantity * price) as total FROM products');
-    stats.totalValue = sumValue.get().total || 0;
+    const sumRevenue = db.prepare("SELECT SUM(total_amount) as total FROM orders WHERE status != 'cancelled'");
+    const revenueResult = sumRevenue.get();
+    stats.totalRevenue = revenueResult && revenueResult.total !== null && revenueResult.total !== undefined ? Number(revenueResult.total) : 0;
+    stats.totalRevenue -= stats.totalRefunds;
+    console.log('Revenue query result:', revenueResult, 'Stats:', stats.totalRevenue);
+
+    // Revenue split into net and tax
+    const sumTax = db.prepare("SELECT SUM(net_amount) as net, SUM(tax_amount) as tax FROM orders WHERE status != 'cancelled'");
+    const taxResult = sumTax.get();
+    stats.netRevenue = (Number(taxResult.net) || 0) - (Number(refunds.net) || 0);
+    stats.totalTax = (Number(taxResult.tax) || 0) - (Number(refunds.tax) || 0);
+
+    // Return requests waiting for a pharmacist
+    const countRequestedReturns = db.prepare("SELECT COUNT(*) as total FROM order_returns WHERE status = 'requested'");
+    stats.requestedReturns = Number(countRequestedReturns.get().total) || 0;
+
+    // Money still owed on orders that have not been cancelled
+    const sumOutstanding = db.prepare(`
+      SELECT COUNT(*) as count, SUM(total_amount - COALESCE(amount_paid, 0)) as total
+      FROM orders WHERE status != 'cancelled' AND payment_status != 'paid'
+    `);
+    const outstanding = sumOutstanding.get();
+    stats.unpaidOrders = Number(outstanding.count) || 0;
+    stats.outstandingBalance = Number(outstanding.total) || 0;
+
+    // Orders by status
+    const byStatus = db.prepare('SELECT status, COUNT(*) as count FROM orders GROUP BY status');
+    stats.byStatus = byStatus.all();
+    console.log('Orders by status:', stats.byStatus);
+
+    console.log('Final stats being sent:', stats);
+    res.json(stats);
+  } catch (error) {
+    console.error('Error fetching order stats:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Get user's orders
+app.get('/api/orders/my-orders', requireAuth, (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const getOrders = db.prepare(`
+      SELECT * FROM orders 
+      WHERE user_id = ? 
+      ORDER BY created_at DESC
+    `);
+    const orders = getOrders.all(userId);
+
+    // Get order items for each order
+    const getOrderItems = db.prepare('SELECT * FROM order_items WHERE order_id = ?');
+    const ordersWithItems = orders.map(order => {
+      const items = getOrderItems.all(order.id);
+      return { ...order, items, prescription: getOrderPrescription(order.id), status_history: getOrderStatusHistory(order.id), returns: getOrderReturns(order.id), payments: getOrderPayments(order.id) };
+    });
+
+    res.json(ordersWithItems);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Get single order
+app.get('/api/orders/:id', requireAuth, (req, res) => {
+  try {
+    const getOrder = db.prepare('SELECT * FROM orders WHERE id = ?');
+    const order = getOrder.get(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    // Check if user owns the order or is admin
+    if (order.user_id !== req.session.user.id) {
+      // For now, allow any authenticated user to view orders
+      // You can add admin check here later
+    }
+
+    const getOrderItems = db.prepare('SELECT * FROM order_items WHERE order_id = ?');
+    const items = getOrderItems.all(req.params.id);
+
+    res.json({ ...order, items, prescription: getOrderPrescription(order.id), status_history: getOrderStatusHistory(order.id), returns: getOrderReturns(order.id), payments: getOrderPayments(order.id) });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Price a basket without placing the order, for the checkout summary (optionally with a coupon_code)
+app.post('/api/orders/quote', requireAuth, (req, res) => {
+  try {
+    const items = req.body.items;
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Order items are required' });
+    }
+
+    const pricing = priceOrder(items, req.session.user.id, req.body.coupon_code);
+    if (pricing.error) {
+      return res.status(400).json({ error: pricing.error });
+    }
+
+    const { lines, promotion, totals, pricesIncludeTax } = pricing;
+    res.json({
+      items: lines.map(({ product, requires_prescription, cost_price, ...line }) => line),
+      promotion: promotion ? { code: promotion.code, description: promotion.description } : null,
+      prices_include_tax: pricesIncludeTax,
+      ...totals
+    });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Create order
+// Orders with prescription-only items are sent as multipart form data with the prescription file
+// and wait in 'awaiting_review' until a pharmacist has checked it
+app.post('/api/orders', requireAuth, uploadPrescription.single('prescription'), (req, res) => {
+  try {
+    const { customer_name, customer_email, customer_phone, customer_address, payment_method, notes } = req.body;
+
+    // Form data carries the items as a JSON string
+    let items = req.body.items;
+    if (typeof items === 'string') {
+      try {
+        items = JSON.parse(items);
+      } catch (parseError) {
+        items = null;
+      }
+    }
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      removeUploadedFile(req);
+      return res.status(400).json({ error: 'Order items are required' });
+    }
+
+    if (!customer_name || !customer_address) {
+      removeUploadedFile(req);
+      return res.status(400).json({ error: 'Customer name and address are required' });
+    }
+
+    if (payment_method && !paymentMethods.includes(payment_method)) {
+      removeUploadedFile(req);
+      return res.status(400).json({ error: 'Invalid payment method' });
+    }
+
+    const idempotencyKey = (req.get('Idempotency-Key') || '').trim() || null;
+    if (idempotencyKey && idempotencyKey.length > 255) {
+      removeUploadedFile(req);
+      return res.status(400).json({ error: 'Idempotency key must be at most 255 characters' });
+    }
+
+    const insertOrder = db.prepare(`
+      INSERT INTO orders (user_id, order_number, customer_name, customer_email, customer_phone, 
+                         customer_address, total_amount, net_amount, tax_amount, prices_include_tax,
+                         promotion_id, coupon_code, discount_amount, status, payment_method, payment_status, notes,
+                         idempotency_key, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertOrderItem = db.prepare(`
+      INSERT INTO order_items (order_id, product_id, product_name, quantity, price, subtotal, batch_id, lot_number,
+                               unit_name, units_per_pack, base_quantity, cost_price,
+                               tax_class, tax_rate, net_amount, tax_amount, discount_amount)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    // Pricing, the stock check and every write happen in one transaction that takes the write lock
+    // up front, so stock cannot be sold twice and a failure part-way leaves no order behind.
+    // Returns { orderId, replayed } or { status, error }
+    const placeOrder = db.transaction(() => {
+      // The same key from the same customer means a repeated submit: hand back the first order
+      if (idempotencyKey) {
+        const existing = db.prepare('SELECT id FROM orders WHERE user_id = ? AND idempotency_key = ?')
+          .get(req.session.user.id, idempotencyKey);
+        if (existing) {
+          return { orderId: existing.id, replayed: true };
+        }
+      }
+
+      const pricing = priceOrder(items, req.session.user.id, req.body.coupon_code);
+      if (pricing.error) {
+        return { status: 400, error: pricing.error };
+      }
+      const { lines: validateItems, promotion, totals, pricesIncludeTax } = pricing;
+
+      const prescriptionItems = validateItems.filter(item => item.requires_prescription).map(item => item.product_name);
+      if (prescriptionItems.length > 0 && !req.file) {
+        return { status: 400, error: `A prescription is required for: ${prescriptionItems.join(', ')}` };
+      }
+
+      // Create order
+      const orderNumber = generateOrderNumber();
+      // Store timestamp in UTC format (SQLite stores as text, we'll format it as ISO UTC)
+      const utcTimestamp = new Date().toISOString().replace('T', ' ').substring(0, 19);
+      const result = insertOrder.run(
+        req.session.user.id,
+        orderNumber,
+        customer_name,
+        customer_email || null,
+        customer_phone || null,
+        customer_address,
+        totals.total_amount,
+        totals.net_amount,
+        totals.tax_amount,
+        pricesIncludeTax ? 1 : 0,
+        promotion ? promotion.id : null,
+        promotion ? promotion.code : null,
+        totals.discount_amount,
+        prescriptionItems.length > 0 ? 'awaiting_review' : 'pending',
+        payment_method || 'cash_on_delivery',
+        // A basket discounted to nothing has nothing to pay
+        totals.total_amount > 0 ? 'unpaid' : 'paid',
+        notes || null,
+        idempotencyKey,
+        utcTimestamp
+      );
+
+      const orderId = result.lastInsertRowid;
+
+      // Deduct inventory first-expiry-first-out across batches, in base units.
+      // A line that spans several lots is stored as one order item per lot, so a pack split
+      // across lots is recorded as the matching fraction of a pack (and of the line's amounts) on each.
+      for (const item of validateItems) {
+        const allocations = deductStockFefo(item.product_id, item.base_quantity, {
+          reason: 'sale',
+          referenceType: 'order',
+          referenceId: orderId,
+          userId: req.session.user.id
+        });
+        const parts = splitLineByLots(item, allocations);
+        allocations.forEach((allocation, index) => {
+          const part = parts[index];
+          // Cost at the time of sale: the lot's receipt cost, else the product's cost price
+          const baseUnitCost = allocation.unit_cost ?? item.cost_price;
+          insertOrderItem.run(
+            orderId,
+            item.product_id,
+            item.product_name,
+            part.quantity,
+            item.price,
+            part.subtotal,
+            allocation.batch_id,
+            allocation.lot_number,
+            item.unit_name,
+            item.units_per_pack,
+            allocation.quantity,
+            baseUnitCost === null || baseUnitCost === undefined ? null : baseUnitCost * item.units_per_pack,
+            item.tax_class,
+            item.tax_rate,
+            part.net_amount,
+            part.tax_amount,
+            part.discount_amount
+          );
+        });
+      }
+
+      if (prescriptionItems.length > 0) {
+        db.prepare(`
+          INSERT INTO prescriptions (order_id, user_id, file_path, original_name, mime_type)
+          VALUES (?, ?, ?, ?, ?)
+        `).run(orderId, req.session.user.id, req.file.filename, req.file.originalname, req.file.mimetype);
+      }
+
+      notifyAdmins('new_order_notifications', {
+        type: 'new_order',
+        title: `New order ${orderNumber}`,
+        message: `${customer_name} - ${formatMoney(totals.total_amount)}${prescriptionItems.length > 0 ? ', prescription to review' : ''}`,
+        link: '/order-management'
+      });
+      queueOrderEmail(orderId, 'order_placed');
+
+      return { orderId, replayed: false };
+    });
+
+    const { orderId, replayed, status, error } = placeOrder.immediate();
+    if (error) {
+      removeUploadedFile(req);
+      return res.status(status).json({ error });
+    }
+
+    // Get created order with items
+    const getOrder = db.prepare('SELECT * FROM orders WHERE id = ?');
+    const order = getOrder.get(orderId);
+    const getOrderItems = db.prepare('SELECT * FROM order_items WHERE order_id = ?');
+    const orderItems = getOrderItems.all(orderId);
+    const prescription = getOrderPrescription(orderId);
+
+    // Only the first request keeps its upload; nothing needs a prescription, or a repeat brought a second copy
+    if (replayed || !prescription) {
+      removeUploadedFile(req);
+    }
+
+    res.json({ 
+      success: true, 
+      replayed,
+      order: { ...order, items: orderItems, prescription, status_history: getOrderStatusHistory(orderId), payments: getOrderPayments(orderId) },
+      message: order.status === 'awaiting_review'
+        ? 'Order placed. A pharmacist will review your prescription before the order is processed.'
+        : 'Order created successfully'
+    });
+  } catch (error) {
+    removeUploadedFile(req);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// View the prescription uploaded with an order (the customer who placed it, or an admin)
+app.get('/api/orders/:id/prescription/file', requireAuth, (req, res) => {
+  try {
+    const order = db.prepare('SELECT id, user_id FROM orders WHERE id = ?').get(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (order.user_id !== req.session.user.id && req.session.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const prescription = db.prepare('SELECT * FROM prescriptions WHERE order_id = ? ORDER BY id DESC LIMIT 1').get(order.id);
+    const filePath = prescription ? path.join(prescriptionsDir, path.basename(prescription.file_path)) : null;
+    if (!filePath || !fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Prescription not found' });
+    }
+
+    res.type(prescription.mime_type || path.extname(filePath));
+    res.sendFile(filePath);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Find the order and the pending prescription a pharmacist is about to review
+// Returns { order, prescription } or { status, error }
+function getPrescriptionForReview(orderId) {
+  const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(orderId);
+  if (!order) {
+    return { status: 404, error: 'Order not found' };
+  }
+  if (order.status !== 'awaiting_review') {
+    return { status: 400, error: 'This order is not awaiting prescription review' };
+  }
+
+  const prescription = db.prepare(
+    "SELECT * FROM prescriptions WHERE order_id = ? AND status = 'pending' ORDER BY id DESC LIMIT 1"
+  ).get(order.id);
+  if (!prescription) {
+    return { status: 404, error: 'No prescription found for this order' };
+  }
+  return { order, prescription };
+}
 
-    // Products by category
-    const byCategory = db.prepare('SELECT category, COUNT(*) as count FROM products GROUP BY category');
-    stats.byCategory = byCategory.all();
+// Approve an order's prescription (admin only); the order joins the normal queue as pending
+app.post('/api/orders/:id/prescription/approve', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { reason } = req.body;
+    const { order, prescription, status, error } = getPrescriptionForReview(req.params.id);
+    if (error) {
+      return res.status(status).json({ error });
+    }
 
-    res.json(stats);
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE prescriptions
+        SET status = 'approved', review_reason = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(reason || null, req.session.user.id, prescription.id);
+      changeOrderStatus(order, 'pending', req.session.user.id, reason ? `Prescription approved: ${reason}` : 'Prescription approved');
+    })();
+
+    res.json({ success: true, message: 'Prescription approved. The order can now be processed.' });
   } catch (error) {
     return res.status(500).json({ error: error.message });
   }
 });
 
-// ========== ORDERS API ==========
+// Reject an order's prescription with a reason (admin only); the order is cancelled and its stock returned
+app.post('/api/orders/:id/prescription/reject', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const reason = (req.body.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required to reject a prescription' });
+    }
 
-// Generate unique order number
-function generateOrderNumber() {
-  const timestamp = Date.now();
-  const random = Math.floor(Math.random() * 1000);
-  return `ORD-${timestamp}-${random}`;
-}
+    const { order, prescription, status, error } = getPrescriptionForReview(req.params.id);
+    if (error) {
+      return res.status(status).json({ error });
+    }
 
-// Get all orders (for admin)
-app.get('/api/orders', requireAuth, requireAdmin, (req, res) => {
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE prescriptions
+        SET status = 'rejected', review_reason = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(reason, req.session.user.id, prescription.id);
+      changeOrderStatus(order, 'cancelled', req.session.user.id, `Prescription rejected: ${reason}`);
+    })();
+
+    res.json({ success: true, message: 'Prescription rejected and the order has been cancelled' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Update order status (admin only); only the moves in orderTransitions are allowed.
+// An order that is not paid in full is only delivered with override_unpaid and a note saying why.
+app.put('/api/orders/:id/status', requireAuth, requireAdmin, (req, res) => {
   try {
-    const { status } = req.query;
-    let query = `
-      SELECT o.*, u.username as customer_username 
-      FROM orders o 
-      LEFT JOIN users u ON o.user_id = u.id 
-      WHERE 1=1
-    `;
-    const params = [];
+    const { status, override_unpaid } = req.body;
+    let note = req.body.note ? String(req.body.note).trim() : null;
 
-    if (status) {
-      query += ' AND o.status = ?';
-      params.push(status);
+    if (!Object.keys(orderTransitions).includes(status)) {
+      return res.status(400).json({ error: 'Invalid order status' });
     }
 
-    query += ' ORDER BY o.created_at DESC';
+    const order = db.prepare('SELECT id, status, total_amount, amount_paid, payment_status FROM orders WHERE id = ?').get(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
 
-    const getOrders = db.prepare(query);
-    const orders = getOrders.all(...params);
+    // Orders with prescription-only items wait for the pharmacist (they can still be cancelled)
+    if (order.status === 'awaiting_review' && status !== 'cancelled') {
+      return res.status(400).json({ error: 'The prescription for this order must be approved by a pharmacist first' });
+    }
 
-    // Get order items for each order
-    const getOrderItems = db.prepare('SELECT * FROM order_items WHERE order_id = ?');
-    const ordersWithItems = orders.map(order => {
-      const items = getOrderItems.all(order.id);
-      return { ...order, items };
-    });
+    const allowed = orderTransitions[order.status] || [];
+    if (!allowed.includes(status)) {
+      return res.status(400).json({
+        error: order.status === status
+          ? `Order is already ${status}`
+          : `Cannot change order from ${order.status} to ${status}`
+      });
+    }
 
-    res.json(ordersWithItems);
+    if (status === 'delivered' && order.payment_status !== 'paid') {
+      const balance = getOrderBalance(order);
+      if (!override_unpaid) {
+        return res.status(400).json({
+          error: `This order has an unpaid balance of ${formatMoney(balance)}. Record the payment before marking it delivered.`,
+          balance,
+          requires_override: true
+        });
+      }
+      if (!note) {
+        return res.status(400).json({ error: 'A note is required to deliver an order that is not paid in full' });
+      }
+      note = `Delivered with ${formatMoney(balance)} unpaid: ${note}`;
+    }
+
+    const changed = db.transaction(() => changeOrderStatus(order, status, req.session.user.id, note))();
+    if (!changed) {
+      return res.status(409).json({ error: 'The order was changed by someone else. Reload and try again.' });
+    }
+
+    res.json({ success: true, message: 'Order status updated successfully' });
   } catch (error) {
     return res.status(500).json({ error: error.message });
   }
 });
 
-// Get order statistics (MUST be before /api/orders/:id route)
-app.get('/api/orders/stats', requireAuth, requireAdmin, (req, res) => {
-  try {
-    const stats = {};
+// ========== RETURNS API ==========
+
+const returnDispositions = ['restock', 'write_off'];
+
+// Returns raised against an order, newest first, each with its lines
+function getOrderReturns(orderId) {
+  const returns = db.prepare(`
+    SELECT r.*, ru.username as requested_by_username, pu.username as processed_by_username
+    FROM order_returns r
+    LEFT JOIN users ru ON r.requested_by = ru.id
+    LEFT JOIN users pu ON r.processed_by = pu.id
+    WHERE r.order_id = ?
+    ORDER BY r.id DESC
+  `).all(orderId);
+
+  const getItems = db.prepare(`
+    SELECT ri.*, oi.product_id, oi.product_name, oi.unit_name, oi.units_per_pack, oi.lot_number
+    FROM order_return_items ri
+    JOIN order_items oi ON ri.order_item_id = oi.id
+    WHERE ri.return_id = ?
+    ORDER BY ri.id
+  `);
+  return returns.map(orderReturn => ({ ...orderReturn, items: getItems.all(orderReturn.id) }));
+}
 
-    // First, let's check if orders table exists and has data
-    try {
-      const checkOrders = db.prepare('SELECT COUNT(*) as count FROM orders');
-      const orderCheck = checkOrders.get();
-      console.log('Orders table check - Total rows:', orderCheck);
-    } catch (checkError) {
-      console.error('Error checking orders table:', checkError);
+// Quantity of each order line (in its packs) that has not already been returned or asked for
+function getReturnableQuantities(orderId) {
+  const rows = db.prepare(`
+    SELECT oi.id, oi.quantity - COALESCE((
+      SELECT SUM(ri.quantity)
+      FROM order_return_items ri
+      JOIN order_returns r ON ri.return_id = r.id
+      WHERE ri.order_item_id = oi.id AND r.status != 'rejected'
+    ), 0) as returnable
+    FROM order_items oi
+    WHERE oi.order_id = ?
+  `).all(orderId);
+  return new Map(rows.map(row => [row.id, row.returnable]));
+}
+
+// Validate the lines of a return request against the order
+// Returns { lines } or { error }
+function parseReturnItems(order, items, defaultReason) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'Choose at least one item to return' };
+  }
+
+  const returnable = getReturnableQuantities(order.id);
+  const getOrderItem = db.prepare('SELECT * FROM order_items WHERE id = ? AND order_id = ?');
+  const lines = [];
+  for (const item of items) {
+    const orderItem = getOrderItem.get(item.order_item_id, order.id);
+    if (!orderItem) {
+      return { error: `Item ${item.order_item_id} is not part of this order` };
+    }
+    if (lines.some(line => line.orderItem.id === orderItem.id)) {
+      return { error: `${orderItem.product_name} is listed more than once` };
     }
 
-    // Total orders
-    const countOrders = db.prepare('SELECT COUNT(*) as total FROM orders');
-    const totalOrdersResult = countOrders.get();
-    // Ensure we get the number value, not the object
-    stats.totalOrders = totalOrdersResult && totalOrdersResult.total !== undefined ? Number(totalOrdersResult.total) : 0;
-    console.log('Total orders query result:', totalOrdersResult, 'Stats:', stats.totalOrders);
+    const quantity = parseFloat(item.quantity);
+    if (isNaN(quantity) || quantity <= 0) {
+      return { error: `Enter a quantity to return for ${orderItem.product_name}` };
+    }
+    // Stock goes back in base units, so the quantity must come to whole units
+    const unitsPerPack = orderItem.units_per_pack || 1;
+    const baseQuantity = Math.round(quantity * unitsPerPack);
+    if (Math.abs(baseQuantity - quantity * unitsPerPack) > 0.001) {
+      return { error: `Quantity for ${orderItem.product_name} must be a whole number of units` };
+    }
+    if (quantity > returnable.get(orderItem.id) + 0.001) {
+      return {
+        error: `Only ${parseFloat(returnable.get(orderItem.id).toFixed(2))} of ${orderItem.product_name} can still be returned`
+      };
+    }
 
-    // Pending orders
-    const countPending = db.prepare("SELECT COUNT(*) as total FROM orders WHERE status = 'pending'");
-    const pendingOrdersResult = countPending.get();
-    stats.pendingOrders = pendingOrdersResult && pendingOrdersResult.total !== undefined ? Number(pendingOrdersResult.total) : 0;
-    console.log('Pending orders query result:', pendingOrdersResult, 'Stats:', stats.pendingOrders);
+    const reason = (item.reason || defaultReason || '').trim();
+    if (!reason) {
+      return { error: `A reason is required for returning ${orderItem.product_name}` };
+    }
 
-    // Total revenue - check all orders first
-    const allOrders = db.prepare('SELECT total_amount, status FROM orders').all();
-    console.log('All orders in database:', allOrders);
-    
-    const sumRevenue = db.prepare("SELECT SUM(total_amount) as total FROM orders WHERE status != 'cancelled'");
-    const revenueResult = sumRevenue.get();
-    stats.totalRevenue = revenueResult && revenueResult.total !== null && revenueResult.total !== undefined ? Number(revenueResult.total) : 0;
-    console.log('Revenue query result:', revenueResult, 'Stats:', stats.totalRevenue);
+    lines.push({ orderItem, quantity, baseQuantity, reason });
+  }
+  return { lines };
+}
 
-    // Orders by status
-    const byStatus = db.prepare('SELECT status, COUNT(*) as count FROM orders GROUP BY status');
-    stats.byStatus = byStatus.all();
-    console.log('Orders by status:', stats.byStatus);
+// Request a return of delivered items (the customer who placed the order, or an admin at the counter)
+app.post('/api/orders/:id/returns', requireAuth, (req, res) => {
+  try {
+    const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (order.user_id !== req.session.user.id && req.session.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (order.status !== 'delivered') {
+      return res.status(400).json({ error: 'Only delivered orders can be returned' });
+    }
 
-    console.log('Final stats being sent:', stats);
-    res.json(stats);
+    const { lines, error } = parseReturnItems(order, req.body.items, req.body.reason);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const insertItem = db.prepare(`
+      INSERT INTO order_return_items (return_id, order_item_id, quantity, base_quantity, reason)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    const returnId = db.transaction(() => {
+      const result = db.prepare('INSERT INTO order_returns (order_id, requested_by) VALUES (?, ?)')
+        .run(order.id, req.session.user.id);
+      lines.forEach(line => insertItem.run(result.lastInsertRowid, line.orderItem.id, line.quantity, line.baseQuantity, line.reason));
+      return result.lastInsertRowid;
+    })();
+
+    res.json({ success: true, id: returnId, message: 'Return requested. The pharmacy will review it.' });
   } catch (error) {
-    console.error('Error fetching order stats:', error);
     return res.status(500).json({ error: error.message });
   }
 });
 
-// Get user's orders
-app.get('/api/orders/my-orders', requireAuth, (req, res) => {
+// Find a return that is still waiting to be processed
+// Returns { orderReturn } or { status, error }
+function getReturnForProcessing(returnId) {
+  const orderReturn = db.prepare('SELECT * FROM order_returns WHERE id = ?').get(returnId);
+  if (!orderReturn) {
+    return { status: 404, error: 'Return not found' };
+  }
+  if (orderReturn.status !== 'requested') {
+    return { status: 400, error: `This return has already been ${orderReturn.status}` };
+  }
+  return { orderReturn };
+}
+
+// Complete a return (admin only). Each line is restocked into the lot it was sold from, or written
+// off (e.g. medicines that cannot be resold); the refund defaults to what was paid for the quantity.
+app.post('/api/returns/:id/complete', requireAuth, requireAdmin, (req, res) => {
   try {
-    const userId = req.session.user.id;
-    const getOrders = db.prepare(`
-      SELECT * FROM orders 
-      WHERE user_id = ? 
-      ORDER BY created_at DESC
-    `);
-    const orders = getOrders.all(userId);
+    const { orderReturn, status, error } = getReturnForProcessing(req.params.id);
+    if (error) {
+      return res.status(status).json({ error });
+    }
 
-    // Get order items for each order
-    const getOrderItems = db.prepare('SELECT * FROM order_items WHERE order_id = ?');
-    const ordersWithItems = orders.map(order => {
-      const items = getOrderItems.all(order.id);
-      return { ...order, items };
-    });
+    const returnItems = db.prepare(`
+      SELECT ri.*, oi.product_id, oi.product_name, oi.batch_id, oi.quantity as order_quantity,
+             oi.subtotal, oi.net_amount, oi.tax_amount, oi.cost_price
+      FROM order_return_items ri
+      JOIN order_items oi ON ri.order_item_id = oi.id
+      WHERE ri.return_id = ?
+    `).all(orderReturn.id);
+
+    const decisions = new Map((Array.isArray(req.body.items) ? req.body.items : []).map(item => [Number(item.id), item]));
+    const round = value => Math.round(value * 100) / 100;
+    const lines = [];
+    for (const item of returnItems) {
+      const decision = decisions.get(item.id);
+      if (!decision || !returnDispositions.includes(decision.disposition)) {
+        return res.status(400).json({ error: `Choose whether ${item.product_name} is restocked or written off` });
+      }
 
-    res.json(ordersWithItems);
+      const share = item.quantity / item.order_quantity;
+      const maxRefund = round(item.subtotal * share);
+      let refund = maxRefund;
+      if (decision.refund_amount !== undefined && decision.refund_amount !== null && decision.refund_amount !== '') {
+        refund = parseFloat(decision.refund_amount);
+        if (isNaN(refund) || refund < 0 || refund > maxRefund + 0.001) {
+          return res.status(400).json({
+            error: `Refund for ${item.product_name} must be between ${formatMoney(0)} and ${formatMoney(maxRefund)}`
+          });
+        }
+      }
+
+      // A partial refund reduces net and VAT in proportion
+      const refundShare = maxRefund > 0 ? refund / maxRefund : 0;
+      lines.push({
+        item,
+        disposition: decision.disposition,
+        refund: round(refund),
+        refundNet: round(item.net_amount * share * refundShare),
+        refundTax: round(item.tax_amount * share * refundShare),
+        cost: item.cost_price === null ? null : round(item.cost_price * item.quantity)
+      });
+    }
+
+    const updateItem = db.prepare(`
+      UPDATE order_return_items
+      SET disposition = ?, refund_amount = ?, refund_net_amount = ?, refund_tax_amount = ?, cost_amount = ?
+      WHERE id = ?
+    `);
+    const totals = lines.reduce((sum, line) => ({
+      refund: sum.refund + line.refund,
+      net: sum.net + line.refundNet,
+      tax: sum.tax + line.refundTax
+    }), { refund: 0, net: 0, tax: 0 });
+
+    db.transaction(() => {
+      lines.forEach(line => {
+        updateItem.run(line.disposition, line.refund, line.refundNet, line.refundTax, line.cost, line.item.id);
+        const movement = {
+          reason: 'return',
+          referenceType: 'order_return',
+          referenceId: orderReturn.id,
+          userId: req.session.user.id,
+          note: line.item.reason
+        };
+        if (line.disposition === 'restock') {
+          restoreBatchStock(line.item.product_id, line.item.batch_id, line.item.base_quantity, movement);
+        } else {
+          // Written-off stock never goes back on sale, but a controlled drug still came back onto the premises
+          // and leaves again, so the register records both
+          recordControlledMovement(line.item.product_id, line.item.batch_id, line.item.base_quantity, movement);
+          recordControlledMovement(line.item.product_id, line.item.batch_id, -line.item.base_quantity, {
+            ...movement,
+            reason: 'return_write_off',
+            note: `Written off on return: ${line.item.reason}`
+          });
+        }
+      });
+
+      db.prepare(`
+        UPDATE order_returns
+        SET status = 'completed', refund_amount = ?, refund_net_amount = ?, refund_tax_amount = ?,
+            review_note = ?, processed_by = ?, processed_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(round(totals.refund), round(totals.net), round(totals.tax), (req.body.note || '').trim() || null,
+        req.session.user.id, orderReturn.id);
+      db.prepare('UPDATE orders SET refunded_amount = refunded_amount + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+        .run(round(totals.refund), orderReturn.order_id);
+    })();
+
+    res.json({ success: true, message: `Return completed. Refund of ${formatMoney(totals.refund)} recorded.` });
   } catch (error) {
     return res.status(500).json({ error: error.message });
   }
 });
 
-// Get single order
-app.get('/api/orders/:id', requireAuth, (req, res) => {
+// Reject a return request with a reason (admin only); its items can be asked for again
+app.post('/api/returns/:id/reject', requireAuth, requireAdmin, (req, res) => {
   try {
-    const getOrder = db.prepare('SELECT * FROM orders WHERE id = ?');
-    const order = getOrder.get(req.params.id);
-
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+    const note = (req.body.note || '').trim();
+    if (!note) {
+      return res.status(400).json({ error: 'A reason is required to reject a return' });
     }
 
-    // Check if user owns the order or is admin
-    if (order.user_id !== req.session.user.id) {
-      // For now, allow any authenticated user to view orders
-      // You can add admin check here later
+    const { orderReturn, status, error } = getReturnForProcessing(req.params.id);
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    const getOrderItems = db.prepare('SELECT * FROM order_items WHERE order_id = ?');
-    const items = getOrderItems.all(req.params.id);
+    db.prepare(`
+      UPDATE order_returns
+      SET status = 'rejected', review_note = ?, processed_by = ?, processed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(note, req.session.user.id, orderReturn.id);
 
-    res.json({ ...order, items });
+    res.json({ success: true, message: 'Return rejected' });
   } catch (error) {
     return res.status(500).json({ error: error.message });
   }
 });
 
-// Create order
-app.post('/api/orders', requireAuth, (req, res) => {
+// ========== PAYMENTS API ==========
+
+// How a payment was received; the customer picks one of these at checkout as the way they intend to pay
+const paymentMethods = ['cash', 'card', 'bank_transfer', 'cash_on_delivery'];
+// Methods that leave a slip or transaction number, which must be recorded with the payment
+const paymentMethodsWithReference = ['card', 'bank_transfer'];
+
+const paymentMethodLabels = {
+  cash: 'Cash',
+  card: 'Card',
+  bank_transfer: 'Bank Transfer',
+  cash_on_delivery: 'Cash on Delivery',
+  online: 'Online Payment'
+};
+
+// Payments recorded against an order, oldest first
+function getOrderPayments(orderId) {
+  return db.prepare(`
+    SELECT p.id, p.amount, p.method, p.reference, p.notes, p.received_at, u.username as received_by_username
+    FROM order_payments p
+    LEFT JOIN users u ON p.received_by = u.id
+    WHERE p.order_id = ?
+    ORDER BY p.received_at, p.id
+  `).all(orderId);
+}
+
+// What is still owed on an order
+function getOrderBalance(order) {
+  return Math.max(0, Math.round((order.total_amount - (order.amount_paid || 0)) * 100) / 100);
+}
+
+// Work out an order's amount_paid and payment_status (unpaid, partial or paid) from its payments.
+// Call inside a transaction.
+function updateOrderPaymentStatus(orderId) {
+  const order = db.prepare('SELECT id, total_amount FROM orders WHERE id = ?').get(orderId);
+  const paid = Math.round(db.prepare('SELECT COALESCE(SUM(amount), 0) as total FROM order_payments WHERE order_id = ?')
+    .get(orderId).total * 100) / 100;
+  const paymentStatus = paid >= order.total_amount - 0.005 ? 'paid' : paid > 0 ? 'partial' : 'unpaid';
+  db.prepare('UPDATE orders SET amount_paid = ?, payment_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+    .run(paid, paymentStatus, orderId);
+}
+
+// Record a full or part payment against an order (admin only); a payment can't be more than the balance
+app.post('/api/orders/:id/payments', requireAuth, requireAdmin, (req, res) => {
   try {
-    const { items, customer_name, customer_email, customer_phone, customer_address, payment_method, notes } = req.body;
+    const { method } = req.body;
+    const reference = (req.body.reference || '').trim();
+    const notes = (req.body.notes || '').trim();
 
-    if (!items || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ error: 'Order items are required' });
+    if (!paymentMethods.includes(method)) {
+      return res.status(400).json({ error: 'Invalid payment method' });
     }
 
-    if (!customer_name || !customer_address) {
-      return res.status(400).json({ error: 'Customer name and address are required' });
+    const amount = Math.round(parseFloat(req.body.amount) * 100) / 100;
+    if (isNaN(amount) || amount <= 0) {
+      return res.status(400).json({ error: 'Payment amount must be greater than zero' });
     }
 
-    // Validate stock availability and calculate total
-    let totalAmount = 0;
-    const validateItems = [];
-
-    for (const item of items) {
-      const getProduct = db.prepare('SELECT * FROM products WHERE id = ?');
-      const product = getProduct.get(item.product_id);
+    if (paymentMethodsWithReference.includes(method) && !reference) {
+      return res.status(400).json({ error: `A reference number is required for ${paymentMethodLabels[method].toLowerCase()} payments` });
+    }
+    if (reference.length > 100) {
+      return res.status(400).json({ error: 'Reference must be at most 100 characters' });
+    }
 
-      if (!product) {
-        return res.status(400).json({ error: `Product ${item.product_id} not found` });
+    // Read the balance under the write lock so two payments recorded at once can't overpay the order
+    // Returns { order } or { status, error }
+    const recordPayment = db.transaction(() => {
+      const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(req.params.id);
+      if (!order) {
+        return { status: 404, error: 'Order not found' };
+      }
+      if (order.status === 'cancelled') {
+        return { status: 400, error: 'Payments cannot be recorded against a cancelled order' };
       }
 
-      if (product.quantity < item.quantity) {
-        return res.status(400).json({ 
-          error: `Insufficient stock for ${product.name}. Available: ${product.quantity}, Requested: ${item.quantity}` 
-        });
+      const balance = getOrderBalance(order);
+      if (order.payment_status === 'paid' || balance <= 0) {
+        return { status: 400, error: 'This order is already paid in full' };
+      }
+      if (amount > balance + 0.005) {
+        return { status: 400, error: `Payment is more than the balance of ${formatMoney(balance)}` };
       }
 
-      const subtotal = product.price * item.quantity;
-      totalAmount += subtotal;
+      db.prepare(`
+        INSERT INTO order_payments (order_id, amount, method, reference, notes, received_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(order.id, amount, method, reference || null, notes || null, req.session.user.id);
+      updateOrderPaymentStatus(order.id);
+      return { order: db.prepare('SELECT * FROM orders WHERE id = ?').get(order.id) };
+    });
 
-      validateItems.push({
-        product_id: product.id,
-        product_name: product.name,
-        quantity: item.quantity,
-        price: product.price,
-        subtotal: subtotal
-      });
+    const { order, status, error } = recordPayment.immediate();
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    // Create order
-    const orderNumber = generateOrderNumber();
-    // Store timestamp in UTC format (SQLite stores as text, we'll format it as ISO UTC)
-    const utcTimestamp = new Date().toISOString().replace('T', ' ').substring(0, 19);
-    const insertOrder = db.prepare(`
-      INSERT INTO orders (user_id, order_number, customer_name, customer_email, customer_phone, 
-                         customer_address, total_amount, payment_method, notes, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
+    const balance = getOrderBalance(order);
+    res.json({
+      success: true,
+      message: balance > 0
+        ? `Payment of ${formatMoney(amount)} recorded. ${formatMoney(balance)} is still outstanding.`
+        : `Payment of ${formatMoney(amount)} recorded. The order is paid in full.`,
+      payment_status: order.payment_status,
+      amount_paid: order.amount_paid,
+      balance,
+      payments: getOrderPayments(order.id)
+    });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
 
-    const result = insertOrder.run(
-      req.session.user.id,
-      orderNumber,
-      customer_name,
-      customer_email || null,
-      customer_phone || null,
-      customer_address,
-      totalAmount,
-      payment_method || 'cash',
-      notes || null,
-      utcTimestamp
-    );
+// ========== INVOICES API ==========
 
-    const orderId = result.lastInsertRowid;
+const A4_WIDTH = 595.28;
+const A4_HEIGHT = 841.89;
+// 80mm thermal paper, in points
+const RECEIPT_WIDTH = 226.77;
 
-    // Insert order items
-    const insertOrderItem = db.prepare(`
-      INSERT INTO order_items (order_id, product_id, product_name, quantity, price, subtotal)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `);
+function formatInvoiceNumber(invoiceNumber) {
+  return `INV-${String(invoiceNumber).padStart(6, '0')}`;
+}
 
-    // Deduct inventory (but don't commit until order is confirmed)
-    // For now, we'll deduct on order creation. You can change this to deduct on status change to 'confirmed'
-    const updateProduct = db.prepare('UPDATE products SET quantity = quantity - ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+// A stored UTC timestamp as Sri Lankan date and time (YYYY-MM-DD HH:MM)
+function formatSriLankanTimestamp(timestamp) {
+  const time = Date.parse(`${String(timestamp).replace(' ', 'T')}Z`);
+  if (isNaN(time)) {
+    return String(timestamp || '');
+  }
+  return new Date(time + 5.5 * 60 * 60 * 1000).toISOString().slice(0, 16).replace('T', ' ');
+}
 
-    for (const item of validateItems) {
-      insertOrderItem.run(orderId, item.product_id, item.product_name, item.quantity, item.price, item.subtotal);
-      updateProduct.run(item.quantity, item.product_id);
+// Give the order the next invoice number the first time its invoice is produced
+function assignInvoiceNumber(orderId) {
+  return db.transaction(() => {
+    const order = db.prepare('SELECT id, invoice_number FROM orders WHERE id = ?').get(orderId);
+    if (order.invoice_number === null) {
+      const next = db.prepare('SELECT COALESCE(MAX(invoice_number), 0) + 1 as next FROM orders').get().next;
+      db.prepare('UPDATE orders SET invoice_number = ?, invoiced_at = CURRENT_TIMESTAMP WHERE id = ?').run(next, order.id);
     }
+    return db.prepare('SELECT * FROM orders WHERE id = ?').get(orderId);
+  }).immediate();
+}
 
-    // Get created order with items
-    const getOrder = db.prepare('SELECT * FROM orders WHERE id = ?');
-    const order = getOrder.get(orderId);
-    const getOrderItems = db.prepare('SELECT * FROM order_items WHERE order_id = ?');
-    const orderItems = getOrderItems.all(orderId);
+// Pharmacy details and figures shared by both invoice layouts
+function getInvoiceData(order) {
+  const getSetting = db.prepare('SELECT setting_value FROM settings WHERE setting_key = ?');
+  const setting = (key, fallback = '') => {
+    const row = getSetting.get(key);
+    return row && row.setting_value ? row.setting_value : fallback;
+  };
+
+  const items = db.prepare('SELECT * FROM order_items WHERE order_id = ? ORDER BY id').all(order.id);
+  // VAT per rate, e.g. 18% on the standard-rated lines
+  const taxByRate = new Map();
+  items.filter(item => item.tax_rate > 0).forEach(item => {
+    taxByRate.set(item.tax_rate, (taxByRate.get(item.tax_rate) || 0) + (item.tax_amount || 0));
+  });
 
-    res.json({ 
-      success: true, 
-      order: { ...order, items: orderItems },
-      message: 'Order created successfully' 
-    });
-  } catch (error) {
-    return res.status(500).json({ error: error.message });
+  return {
+    pharmacy: {
+      name: setting('pharmacy_name', 'MediFlow'),
+      address: setting('pharmacy_address'),
+      phone: setting('pharmacy_phone'),
+      email: setting('pharmacy_email')
+    },
+    items: items.map(item => {
+      const quantity = Number(Number(item.quantity).toFixed(2));
+      return {
+        ...item,
+        quantityLabel: item.unit_name && item.unit_name !== 'unit'
+          ? `${quantity} ${item.unit_name}${item.units_per_pack > 1 ? ` of ${item.units_per_pack}` : ''}`
+          : String(quantity),
+        listAmount: item.price * item.quantity
+      };
+    }),
+    subtotal: items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+    taxByRate: Array.from(taxByRate.entries()).sort((a, b) => b[0] - a[0]),
+    money: formatMoney
+  };
+}
+
+// Totals block lines as [label, amount, bold]
+function getInvoiceTotals(order, invoice) {
+  const lines = [['Subtotal', invoice.money(invoice.subtotal)]];
+  if (order.discount_amount > 0) {
+    lines.push([`Discount (${order.coupon_code})`, `-${invoice.money(order.discount_amount)}`]);
   }
-});
+  lines.push(['Net', invoice.money(order.net_amount ?? order.total_amount)]);
+  if (invoice.taxByRate.length === 0) {
+    lines.push([`VAT${order.prices_include_tax ? ' (included)' : ''}`, invoice.money(order.tax_amount)]);
+  }
+  invoice.taxByRate.forEach(([rate, amount]) => {
+    lines.push([`VAT ${rate}%${order.prices_include_tax ? ' (included)' : ''}`, invoice.money(amount)]);
+  });
+  lines.push(['Total', invoice.money(order.total_amount), true]);
+  if (order.refunded_amount > 0) {
+    lines.push(['Refunded', `-${invoice.money(order.refunded_amount)}`]);
+  }
+  if (order.amount_paid > 0) {
+    lines.push(['Paid', `-${invoice.money(order.amount_paid)}`]);
+  }
+  if (order.status !== 'cancelled' && getOrderBalance(order) > 0) {
+    lines.push(['Balance Due', invoice.money(getOrderBalance(order)), true]);
+  }
+  return lines;
+}
 
-// Update order status
-app.put('/api/orders/:id/status', requireAuth, (req, res) => {
-  try {
-    const { status } = req.body;
-    const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+// Full-page A4 invoice
+function renderInvoicePdf(order) {
+  const invoice = getInvoiceData(order);
+  const doc = createPdfDocument({ width: A4_WIDTH, height: A4_HEIGHT });
+  const left = 50;
+  const right = A4_WIDTH - 50;
+  const columns = { quantity: 340, price: 410, tax: 475, amount: right };
+
+  // Pharmacy on the left, invoice details on the right
+  doc.text(invoice.pharmacy.name, left, 50, { size: 18, bold: true });
+  let y = 74;
+  [...(invoice.pharmacy.address ? doc.wrapText(invoice.pharmacy.address, 260, 9) : []),
+    invoice.pharmacy.phone ? `Tel: ${invoice.pharmacy.phone}` : null,
+    invoice.pharmacy.email || null
+  ].filter(Boolean).forEach(line => {
+    doc.text(line, left, y, { size: 9 });
+    y += 12;
+  });
 
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Invalid order status' });
+  doc.text(order.status === 'cancelled' ? 'INVOICE (CANCELLED)' : 'INVOICE', right, 50, { size: 18, bold: true, align: 'right' });
+  let detailsY = 74;
+  [
+    ['Invoice No', formatInvoiceNumber(order.invoice_number)],
+    ['Invoice Date', formatSriLankanTimestamp(order.invoiced_at).slice(0, 10)],
+    ['Order No', order.order_number],
+    ['Order Date', formatSriLankanTimestamp(order.created_at).slice(0, 10)],
+    ['Payment', paymentMethodLabels[order.payment_method] || order.payment_method || 'Cash']
+  ].forEach(([label, value]) => {
+    doc.text(label, right - 180, detailsY, { size: 9, bold: true });
+    doc.text(value, right, detailsY, { size: 9, align: 'right' });
+    detailsY += 12;
+  });
+
+  // Customer
+  y = Math.max(y, detailsY) + 20;
+  doc.text('Bill To', left, y, { size: 10, bold: true });
+  y += 14;
+  [order.customer_name, ...doc.wrapText(order.customer_address || '', 260, 9), order.customer_phone, order.customer_email]
+    .filter(Boolean)
+    .forEach(line => {
+      doc.text(line, left, y, { size: 9 });
+      y += 12;
+    });
+
+  // Line items, repeating the header on each new page
+  const drawItemsHeader = top => {
+    doc.rect(left, top - 4, right - left, 18, { gray: 0.9 });
+    doc.text('Item', left + 4, top, { size: 9, bold: true });
+    doc.text('Qty', columns.quantity, top, { size: 9, bold: true, align: 'right' });
+    doc.text('Unit Price', columns.price, top, { size: 9, bold: true, align: 'right' });
+    doc.text('VAT', columns.tax, top, { size: 9, bold: true, align: 'right' });
+    doc.text('Amount', columns.amount - 4, top, { size: 9, bold: true, align: 'right' });
+    return top + 20;
+  };
+  y = drawItemsHeader(y + 16);
+
+  invoice.items.forEach(item => {
+    const nameLines = doc.wrapText(item.product_name, 200, 9);
+    const rowHeight = nameLines.length * 11 + (item.lot_number ? 10 : 0) + 6;
+    if (y + rowHeight > A4_HEIGHT - 60) {
+      doc.addPage();
+      y = drawItemsHeader(50);
     }
 
-    const updateOrder = db.prepare('UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
-    const result = updateOrder.run(status, req.params.id);
+    nameLines.forEach((line, index) => doc.text(line, left + 4, y + index * 11, { size: 9 }));
+    if (item.lot_number) {
+      doc.text(`Lot ${item.lot_number}`, left + 4, y + nameLines.length * 11, { size: 7 });
+    }
+    doc.text(item.quantityLabel, columns.quantity, y, { size: 9, align: 'right' });
+    doc.text(invoice.money(item.price), columns.price, y, { size: 9, align: 'right' });
+    doc.text(item.tax_rate > 0 ? `${item.tax_rate}%` : '-', columns.tax, y, { size: 9, align: 'right' });
+    doc.text(invoice.money(item.listAmount), columns.amount - 4, y, { size: 9, align: 'right' });
+    y += rowHeight;
+    doc.line(left, y - 3, right, y - 3, { lineWidth: 0.25 });
+  });
 
-    if (result.changes === 0) {
-      return res.status(404).json({ error: 'Order not found' });
+  // Totals
+  const totals = getInvoiceTotals(order, invoice);
+  if (y + totals.length * 14 + 60 > A4_HEIGHT - 50) {
+    doc.addPage();
+    y = 50;
+  }
+  y += 8;
+  totals.forEach(([label, amount, bold]) => {
+    if (bold) {
+      doc.line(right - 200, y - 3, right, y - 3);
     }
+    doc.text(label, right - 200, y, { size: bold ? 11 : 9, bold });
+    doc.text(amount, right - 4, y, { size: bold ? 11 : 9, bold, align: 'right' });
+    y += bold ? 18 : 14;
+  });
 
-    // If order is cancelled, restore inventory
-    if (status === 'cancelled') {
-      const getOrderItems = db.prepare('SELECT * FROM order_items WHERE order_id = ?');
-      const items = getOrderItems.all(req.params.id);
-      const restoreProduct = db.prepare('UPDATE products SET quantity = quantity + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+  y += 20;
+  doc.text(order.prices_include_tax ? 'Prices include VAT.' : 'VAT is charged on top of the listed prices.', left, y, { size: 8 });
+  doc.text('Thank you for your order.', left, y + 12, { size: 8 });
 
-      for (const item of items) {
-        restoreProduct.run(item.quantity, item.product_id);
-      }
+  return doc.toBuffer();
+}
+
+// Compact receipt for 80mm thermal printers; the page is as long as the receipt
+function renderReceiptPdf(order) {
+  const invoice = getInvoiceData(order);
+  const doc = createPdfDocument({ width: RECEIPT_WIDTH, height: null, margin: 12 });
+  const left = 10;
+  const right = RECEIPT_WIDTH - 10;
+  const center = RECEIPT_WIDTH / 2;
+  const width = right - left;
+  let y = 10;
+
+  const centered = (text, options = {}) => {
+    const size = options.size || 8;
+    doc.wrapText(text, width, size, options.bold).forEach(line => {
+      doc.text(line, center, y, { ...options, size, align: 'center' });
+      y += size + 3;
+    });
+  };
+  const row = (label, value, options = {}) => {
+    const size = options.size || 8;
+    doc.text(label, left, y, { ...options, size });
+    doc.text(value, right, y, { ...options, size, align: 'right' });
+    y += size + 3;
+  };
+  const divider = () => {
+    y += 2;
+    doc.line(left, y, right, y, { lineWidth: 0.5, dash: [2, 2] });
+    y += 5;
+  };
+
+  centered(invoice.pharmacy.name, { size: 12, bold: true });
+  if (invoice.pharmacy.address) centered(invoice.pharmacy.address);
+  if (invoice.pharmacy.phone) centered(`Tel: ${invoice.pharmacy.phone}`);
+  divider();
+
+  if (order.status === 'cancelled') centered('CANCELLED', { size: 10, bold: true });
+  row('Invoice', formatInvoiceNumber(order.invoice_number));
+  row('Date', formatSriLankanTimestamp(order.invoiced_at));
+  row('Order', order.order_number);
+  row('Customer', order.customer_name);
+  divider();
+
+  invoice.items.forEach(item => {
+    doc.wrapText(item.product_name, width, 8, true).forEach(line => {
+      doc.text(line, left, y, { size: 8, bold: true });
+      y += 11;
+    });
+    row(`  ${item.quantityLabel} x ${invoice.money(item.price)}${item.tax_rate > 0 ? ` (VAT ${item.tax_rate}%)` : ''}`, invoice.money(item.listAmount));
+  });
+  divider();
+
+  getInvoiceTotals(order, invoice).forEach(([label, amount, bold]) => {
+    row(label, amount, bold ? { size: 10, bold: true } : {});
+  });
+  row('Payment', paymentMethodLabels[order.payment_method] || order.payment_method || 'Cash');
+  divider();
+
+  centered(order.prices_include_tax ? 'Prices include VAT' : 'VAT added to listed prices');
+  centered('Thank you!', { bold: true });
+
+  return doc.toBuffer();
+}
+
+// Download an order's invoice as a PDF (the customer who placed it, or an admin);
+// ?format=receipt gives the 80mm thermal receipt
+app.get('/api/orders/:id/invoice', requireAuth, (req, res) => {
+  try {
+    const existing = db.prepare('SELECT id, user_id, status, invoice_number FROM orders WHERE id = ?').get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (existing.user_id !== req.session.user.id && req.session.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    // A cancelled order only keeps an invoice it was already given
+    if (existing.status === 'cancelled' && existing.invoice_number === null) {
+      return res.status(400).json({ error: 'Cancelled orders have no invoice' });
     }
 
-    res.json({ success: true, message: 'Order status updated successfully' });
+    const order = assignInvoiceNumber(existing.id);
+    const receipt = req.query.format === 'receipt';
+    const pdf = receipt ? renderReceiptPdf(order) : renderInvoicePdf(order);
+    const fileName = `${formatInvoiceNumber(order.invoice_number)}${receipt ? '-receipt' : ''}.pdf`;
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `${req.query.download ? 'attachment' : 'inline'}; filename="${fileName}"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
   } catch (error) {
     return res.status(500).json({ error: error.message });
   }
@@ -1058,6 +6853,11 @@ app.put('/api/orders/:id/status', requireAuth, (req, res) => {
 // Start server
 app.listen(PORT, () => {
   console.log(`Pharmacy Inventory Management System running on http://localhost:${PORT}`);
+  registerJobs();
+  runDueJobs();
+  setInterval(runDueJobs, JOB_TICK_INTERVAL_MS);
+  processEmailOutbox();
+  setInterval(processEmailOutbox, EMAIL_SEND_INTERVAL_MS);
 });
 
 // Contact form submission
@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createProduct } = require('./helpers');
+
+describe('stock adjustments', () => {
+  let server;
+  let admin;
+  let secondAdmin;
+  let productId;
+
+  before(async () => {
+    server = await startServer();
+    admin = await server.admin();
+    secondAdmin = await server.user('pharmacist', 'admin');
+    productId = await createProduct(admin, { name: 'Cetirizine', quantity: 100, lot_number: 'CET-1', expiry_date: '2030-06-30' });
+  });
+
+  after(() => server.stop());
+
+  const getQuantity = async () => (await admin.get(`/api/products/${productId}`)).data.quantity;
+
+  it('applies a small adjustment straight away and records it in the ledger', async () => {
+    const response = await admin.post(`/api/products/${productId}/adjustments`, { quantity_change: -3, reason: 'damaged', note: 'Dropped' });
+    assert.equal(response.status, 200);
+    assert.equal(response.data.adjustment.status, 'applied');
+    assert.equal(await getQuantity(), 97);
+
+    const movements = (await admin.get(`/api/products/${productId}/movements`)).data;
+    assert.equal(movements[0].reason, 'adjustment');
+    assert.equal(movements[0].quantity_change, -3);
+    assert.equal(movements[0].balance_after, 97);
+  });
+
+  it('rejects adjustments without a valid reason or quantity', async () => {
+    assert.equal((await admin.post(`/api/products/${productId}/adjustments`, { quantity_change: -1, reason: 'bogus' })).status, 400);
+    assert.equal((await admin.post(`/api/products/${productId}/adjustments`, { quantity_change: 0, reason: 'damaged' })).status, 400);
+    assert.equal((await admin.post(`/api/products/${productId}/adjustments`, { quantity_change: -500, reason: 'theft' })).status, 400);
+  });
+
+  it('holds a large adjustment until a different admin approves it', async () => {
+    const created = await admin.post(`/api/products/${productId}/adjustments`, { quantity_change: -30, reason: 'theft' });
+    assert.equal(created.data.adjustment.status, 'pending');
+    assert.equal(await getQuantity(), 97);
+
+    const ownApproval = await admin.post(`/api/adjustments/${created.data.adjustment.id}/approve`);
+    assert.equal(ownApproval.status, 403);
+
+    const approval = await secondAdmin.post(`/api/adjustments/${created.data.adjustment.id}/approve`);
+    assert.equal(approval.status, 200);
+    assert.equal(await getQuantity(), 67);
+
+    const again = await secondAdmin.post(`/api/adjustments/${created.data.adjustment.id}/approve`);
+    assert.equal(again.status, 400);
+  });
+
+  it('refuses to approve an adjustment whose lot was quarantined in the meantime', async () => {
+    const batch = (await admin.get(`/api/products/${productId}/batches`)).data[0];
+    const created = await admin.post(`/api/products/${productId}/adjustments`, { batch_id: batch.id, quantity_change: -25, reason: 'damaged' });
+    assert.equal(created.data.adjustment.status, 'pending');
+
+    await admin.post(`/api/batches/${batch.id}/quarantine`, { reason: 'Recall' });
+    const approval = await secondAdmin.post(`/api/adjustments/${created.data.adjustment.id}/approve`);
+    assert.equal(approval.status, 400);
+    assert.match(approval.data.error, /quarantined/);
+
+    await admin.post(`/api/batches/${batch.id}/release`);
+  });
+
+  it('does not let a product update or a customer change stock', async () => {
+    const form = new FormData();
+    form.append('name', 'Cetirizine');
+    form.append('category', 'Medications');
+    form.append('price', '10');
+    form.append('quantity', '999');
+    assert.equal((await admin.put(`/api/products/${productId}`, form)).status, 200);
+    assert.equal(await getQuantity(), 67);
+
+    const customer = await server.user('shopper');
+    const response = await customer.post(`/api/products/${productId}/adjustments`, { quantity_change: 50, reason: 'count_correction' });
+    assert.equal(response.status, 403);
+    assert.equal((await customer.put(`/api/products/${productId}`, form)).status, 403);
+    assert.equal(await getQuantity(), 67);
+  });
+});
@@ -0,0 +1,148 @@
+// Shared setup for the route tests: each test file starts the real server on its own empty database
+// and talks to it over HTTP, the way the pages do.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const serverPath = path.join(__dirname, '..', 'server.js');
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Start the server with a fresh database. Email is never sent (SMTP is left unset), so queued
+// messages stay in the outbox where the tests can read them.
+async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pharmacy-test-'));
+  const dbPath = path.join(dir, 'pharmacy.db');
+  const port = await getFreePort();
+
+  const serverEnv = { ...process.env, DB_PATH: dbPath, PORT: String(port), APP_URL: 'http://pharmacy.test' };
+  ['SMTP_HOST', 'SMTP_PORT', 'SMTP_USER', 'SMTP_PASSWORD', 'MAIL_FROM'].forEach(key => delete serverEnv[key]);
+  Object.entries(env).forEach(([key, value]) => {
+    if (value === undefined) {
+      delete serverEnv[key];
+    } else {
+      serverEnv[key] = value;
+    }
+  });
+
+  const child = spawn(process.execPath, [serverPath], { env: serverEnv, stdio: ['ignore', 'ignore', 'pipe'] });
+  let stderr = '';
+  child.stderr.on('data', chunk => { stderr += chunk; });
+
+  const url = `http://127.0.0.1:${port}`;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await fetch(`${url}/`);
+      break;
+    } catch (error) {
+      if (attempt >= 100 || child.exitCode !== null) {
+        child.kill();
+        throw new Error(`Server did not start: ${stderr}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  const db = new Database(dbPath);
+
+  return {
+    url,
+    db,
+    client: () => createClient(url),
+    admin: () => login(createClient(url), 'admin', 'admin123'),
+    // Register a customer (or an extra admin with role 'admin') and return a logged-in client
+    async user(username, role = 'user') {
+      const client = createClient(url);
+      const response = await client.post('/api/register', { username, password: 'secret1', email: `${username}@example.com` });
+      if (response.status !== 200) {
+        throw new Error(`Could not register ${username}: ${JSON.stringify(response.data)}`);
+      }
+      if (role !== 'user') {
+        db.prepare('UPDATE users SET role = ? WHERE username = ?').run(role, username);
+        await client.post('/api/logout');
+        await login(client, username, 'secret1');
+      }
+      return client;
+    },
+    async stop() {
+      db.close();
+      await new Promise(resolve => {
+        child.once('exit', resolve);
+        child.kill();
+      });
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// A fetch wrapper that keeps the session cookie and asks for JSON, so auth failures come back as JSON errors
+function createClient(baseUrl) {
+  let cookie = '';
+
+  async function request(method, url, body) {
+    const options = { method, headers: { Accept: 'application/json' } };
+    if (cookie) {
+      options.headers.cookie = cookie;
+    }
+    if (body instanceof FormData) {
+      options.body = body;
+    } else if (body !== undefined) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(body);
+    }
+
+    const response = await fetch(baseUrl + url, options);
+    const setCookie = response.headers.get('set-cookie');
+    if (setCookie) {
+      cookie = setCookie.split(';')[0];
+    }
+    const type = response.headers.get('content-type') || '';
+    const data = type.includes('json') ? await response.json() : await response.text();
+    return { status: response.status, data };
+  }
+
+  return {
+    get: url => request('GET', url),
+    post: (url, body) => request('POST', url, body),
+    put: (url, body) => request('PUT', url, body),
+    del: url => request('DELETE', url)
+  };
+}
+
+async function login(client, username, password) {
+  const response = await client.post('/api/login', { username, password });
+  if (response.status !== 200) {
+    throw new Error(`Could not log in as ${username}: ${JSON.stringify(response.data)}`);
+  }
+  return client;
+}
+
+// Create a product through the inventory form's route; returns its id
+async function createProduct(admin, fields) {
+  const form = new FormData();
+  const values = { category: 'Medications', price: '10', quantity: '0', ...fields };
+  Object.entries(values).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      form.append(key, String(value));
+    }
+  });
+  const response = await admin.post('/api/products', form);
+  if (response.status !== 200) {
+    throw new Error(`Could not create product: ${JSON.stringify(response.data)}`);
+  }
+  return response.data.id;
+}
+
+module.exports = { startServer, createProduct };
@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('password reset', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+    await server.user('forgetful');
+  });
+
+  after(() => server.stop());
+
+  // The link of the newest reset email still waiting in the outbox
+  function latestResetLink() {
+    const email = server.db.prepare(`
+      SELECT body FROM email_outbox WHERE template = 'password_reset' ORDER BY id DESC LIMIT 1
+    `).get();
+    return email.body.match(/\S*\/reset-password\?token=[0-9a-f]+/)[0];
+  }
+
+  it('emails a link on the configured site and sets a new password with it once', async () => {
+    const client = server.client();
+    const requested = await client.post('/api/password-reset/request', { email: 'forgetful@example.com' });
+    assert.equal(requested.status, 200);
+
+    const link = latestResetLink();
+    assert.ok(link.startsWith('http://pharmacy.test/reset-password?token='));
+    const token = new URL(link).searchParams.get('token');
+
+    assert.equal((await client.post('/api/password-reset', { token, password: 'short' })).status, 400);
+    const reset = await client.post('/api/password-reset', { token, password: 'new-secret' });
+    assert.equal(reset.status, 200);
+    assert.equal((await client.post('/api/login', { username: 'forgetful', password: 'new-secret' })).status, 200);
+
+    const reused = await client.post('/api/password-reset', { token, password: 'other-secret' });
+    assert.equal(reused.status, 400);
+  });
+
+  it('answers the same for unknown addresses without sending anything', async () => {
+    const count = () => server.db.prepare("SELECT COUNT(*) as count FROM email_outbox WHERE template = 'password_reset'").get().count;
+    const before = count();
+    const response = await server.client().post('/api/password-reset/request', { email: 'nobody@example.com' });
+    assert.equal(response.status, 200);
+    assert.equal(count(), before);
+  });
+
+  it('hides reset links from the outbox page and refuses to resend them', async () => {
+    const admin = await server.admin();
+    const outbox = (await admin.get('/api/email-outbox')).data.messages.filter(email => email.template === 'password_reset');
+    assert.ok(outbox.length > 0);
+    outbox.forEach(email => assert.doesNotMatch(email.body, /token=/));
+
+    const resend = await admin.post(`/api/email-outbox/${outbox[0].id}/resend`);
+    assert.equal(resend.status, 400);
+  });
+
+  it('throttles repeated requests from the same address', async () => {
+    const client = server.client();
+    const statuses = [];
+    for (let i = 0; i < 6; i++) {
+      statuses.push((await client.post('/api/password-reset/request', { email: 'forgetful@example.com' })).status);
+    }
+    assert.equal(statuses[statuses.length - 1], 429);
+
+    // Four requests for this account got past the address limit, but only three links were made
+    const links = server.db.prepare(`
+      SELECT COUNT(*) as count FROM password_resets r JOIN users u ON r.user_id = u.id
+      WHERE u.username = 'forgetful' AND r.created_at > datetime('now', '-15 minutes')
+    `).get().count;
+    assert.equal(links, 3);
+  });
+});
+
+describe('password reset without APP_URL', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ APP_URL: undefined });
+    await server.user('forgetful');
+  });
+
+  after(() => server.stop());
+
+  it('refuses to send a link it cannot address', async () => {
+    const response = await server.client().post('/api/password-reset/request', { email: 'forgetful@example.com' });
+    assert.equal(response.status, 503);
+    const count = server.db.prepare('SELECT COUNT(*) as count FROM password_resets').get().count;
+    assert.equal(count, 0);
+  });
+});
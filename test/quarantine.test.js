@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createProduct } = require('./helpers');
+
+describe('quarantine and disposal', () => {
+  let server;
+  let admin;
+  let productId;
+  let batchId;
+
+  before(async () => {
+    server = await startServer();
+    admin = await server.admin();
+    productId = await createProduct(admin, {
+      name: 'Morphine 10mg',
+      quantity: 20,
+      lot_number: 'MOR-1',
+      expiry_date: '2030-09-30',
+      controlled_substance: 1
+    });
+    batchId = (await admin.get(`/api/products/${productId}/batches`)).data[0].id;
+  });
+
+  after(() => server.stop());
+
+  const getProduct = async () => (await admin.get(`/api/products/${productId}`)).data;
+  const getRegister = async () => (await admin.get(`/api/controlled-register?product_id=${productId}`)).data;
+  const disposal = (fields = {}) => ({
+    quantity: 5,
+    method: 'incineration',
+    witness_name: 'N. Perera',
+    disposed_on: '2026-01-15',
+    reference: 'WC-77',
+    ...fields
+  });
+
+  it('only disposes of stock from a quarantined lot', async () => {
+    const response = await admin.post(`/api/batches/${batchId}/disposals`, disposal());
+    assert.equal(response.status, 400);
+  });
+
+  it('takes a quarantined lot off sale without touching the controlled register', async () => {
+    const before = (await getRegister()).entries.length;
+
+    assert.equal((await admin.post(`/api/batches/${batchId}/quarantine`, {})).status, 400);
+    const response = await admin.post(`/api/batches/${batchId}/quarantine`, { reason: 'Supplier recall' });
+    assert.equal(response.status, 200);
+
+    assert.equal((await getProduct()).quantity, 0);
+    assert.equal((await getRegister()).entries.length, before);
+    assert.deepEqual((await admin.get('/api/batches/expiring')).data, []);
+  });
+
+  it('validates the disposal details', async () => {
+    assert.equal((await admin.post(`/api/batches/${batchId}/disposals`, disposal({ method: 'bin' }))).status, 400);
+    assert.equal((await admin.post(`/api/batches/${batchId}/disposals`, disposal({ witness_name: ' ' }))).status, 400);
+    assert.equal((await admin.post(`/api/batches/${batchId}/disposals`, disposal({ disposed_on: '2026-02-30' }))).status, 400);
+    assert.equal((await admin.post(`/api/batches/${batchId}/disposals`, disposal({ quantity: 21 }))).status, 400);
+  });
+
+  it('records a disposal in the ledger and as the register outflow', async () => {
+    const response = await admin.post(`/api/batches/${batchId}/disposals`, disposal());
+    assert.equal(response.status, 200);
+
+    const batch = (await admin.get(`/api/products/${productId}/batches`)).data[0];
+    assert.equal(batch.quantity_remaining, 15);
+
+    const movement = (await admin.get(`/api/products/${productId}/movements`)).data[0];
+    assert.equal(movement.reason, 'disposal');
+    assert.equal(movement.reference_label, `DSP-${response.data.id}`);
+    assert.match(movement.note, /witnessed by N\. Perera/);
+
+    const register = await getRegister();
+    const entry = register.entries[register.entries.length - 1];
+    assert.equal(entry.entry_type, 'disposal');
+    assert.equal(entry.quantity_change, -5);
+    assert.equal(entry.balance_after, 15);
+    assert.equal(entry.counterparty, 'Incineration');
+    assert.equal(entry.reference, 'WC-77');
+    assert.equal(entry.lot_number, 'MOR-1');
+  });
+
+  it('puts a released lot back on sale', async () => {
+    const response = await admin.post(`/api/batches/${batchId}/release`);
+    assert.equal(response.status, 200);
+    assert.equal((await getProduct()).quantity, 15);
+
+    const register = await getRegister();
+    assert.equal(register.entries[register.entries.length - 1].entry_type, 'disposal');
+    assert.equal(register.closing_balance, 15);
+  });
+});
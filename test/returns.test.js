@@ -0,0 +1,125 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createProduct } = require('./helpers');
+
+describe('returns', () => {
+  let server;
+  let admin;
+  let customer;
+
+  before(async () => {
+    server = await startServer();
+    admin = await server.admin();
+    customer = await server.user('shopper');
+  });
+
+  after(() => server.stop());
+
+  // Place an order as the customer, pay for it and deliver it; returns the order with its items
+  async function deliveredOrder(productId, quantity) {
+    const placed = await customer.post('/api/orders', {
+      customer_name: 'Shopper',
+      customer_address: '1 Main Street',
+      items: [{ product_id: productId, quantity }]
+    });
+    assert.equal(placed.status, 200);
+    const order = placed.data.order;
+
+    const paid = await admin.post(`/api/orders/${order.id}/payments`, { method: 'cash', amount: order.total_amount });
+    assert.equal(paid.status, 200);
+    for (const status of ['processing', 'shipped', 'delivered']) {
+      assert.equal((await admin.put(`/api/orders/${order.id}/status`, { status })).status, 200);
+    }
+    return order;
+  }
+
+  // Ask for a return of some of an order's first item and return the return and its line id
+  async function requestReturn(order, quantity) {
+    const requested = await customer.post(`/api/orders/${order.id}/returns`, {
+      items: [{ order_item_id: order.items[0].id, quantity, reason: 'Damaged packaging' }]
+    });
+    assert.equal(requested.status, 200);
+    const details = (await admin.get(`/api/orders/${order.id}`)).data;
+    const orderReturn = details.returns.find(entry => entry.id === requested.data.id);
+    return { id: orderReturn.id, lineId: orderReturn.items[0].id };
+  }
+
+  it('only accepts returns of delivered orders, up to the quantity bought', async () => {
+    const productId = await createProduct(admin, { name: 'Plasters', quantity: 10, expiry_date: '2030-12-31' });
+    const placed = await customer.post('/api/orders', {
+      customer_name: 'Shopper',
+      customer_address: '1 Main Street',
+      items: [{ product_id: productId, quantity: 2 }]
+    });
+    const order = placed.data.order;
+    const early = await customer.post(`/api/orders/${order.id}/returns`, {
+      items: [{ order_item_id: order.items[0].id, quantity: 1, reason: 'Changed my mind' }]
+    });
+    assert.equal(early.status, 400);
+
+    const delivered = await deliveredOrder(productId, 2);
+    const tooMany = await customer.post(`/api/orders/${delivered.id}/returns`, {
+      items: [{ order_item_id: delivered.items[0].id, quantity: 3, reason: 'Changed my mind' }]
+    });
+    assert.equal(tooMany.status, 400);
+  });
+
+  it('puts restocked items back into their lot and refunds them', async () => {
+    const productId = await createProduct(admin, { name: 'Vitamin C', price: 4, quantity: 10, expiry_date: '2030-12-31' });
+    const order = await deliveredOrder(productId, 3);
+    const { id, lineId } = await requestReturn(order, 2);
+
+    const completed = await admin.post(`/api/returns/${id}/complete`, { items: [{ id: lineId, disposition: 'restock' }] });
+    assert.equal(completed.status, 200);
+
+    assert.equal((await admin.get(`/api/products/${productId}`)).data.quantity, 9);
+    const movement = (await admin.get(`/api/products/${productId}/movements`)).data[0];
+    assert.equal(movement.reason, 'return');
+    assert.equal(movement.quantity_change, 2);
+
+    const details = (await admin.get(`/api/orders/${order.id}`)).data;
+    assert.equal(details.refunded_amount, 8);
+
+    const again = await admin.post(`/api/returns/${id}/complete`, { items: [{ id: lineId, disposition: 'restock' }] });
+    assert.equal(again.status, 400);
+  });
+
+  it('leaves written-off items out of stock', async () => {
+    const productId = await createProduct(admin, { name: 'Zinc', price: 6, quantity: 10, expiry_date: '2030-12-31' });
+    const order = await deliveredOrder(productId, 3);
+    const { id, lineId } = await requestReturn(order, 1);
+
+    const completed = await admin.post(`/api/returns/${id}/complete`, {
+      items: [{ id: lineId, disposition: 'write_off', refund_amount: 3 }]
+    });
+    assert.equal(completed.status, 200);
+    assert.equal((await admin.get(`/api/products/${productId}`)).data.quantity, 7);
+    assert.equal((await admin.get(`/api/orders/${order.id}`)).data.refunded_amount, 3);
+  });
+
+  it('records a written-off controlled item coming back and leaving in the register', async () => {
+    const productId = await createProduct(admin, {
+      name: 'Codeine 30mg',
+      price: 8,
+      quantity: 10,
+      lot_number: 'COD-1',
+      expiry_date: '2030-12-31',
+      controlled_substance: 1
+    });
+    const order = await deliveredOrder(productId, 4);
+    const { id, lineId } = await requestReturn(order, 2);
+
+    const completed = await admin.post(`/api/returns/${id}/complete`, { items: [{ id: lineId, disposition: 'write_off' }] });
+    assert.equal(completed.status, 200);
+    assert.equal((await admin.get(`/api/products/${productId}`)).data.quantity, 6);
+
+    const register = (await admin.get(`/api/controlled-register?product_id=${productId}`)).data;
+    const entries = register.entries.slice(-2).map(entry => [entry.entry_type, entry.quantity_change, entry.balance_after, entry.lot_number]);
+    assert.deepEqual(entries, [['return', 2, 8, 'COD-1'], ['return_write_off', -2, 6, 'COD-1']]);
+    register.entries.slice(-2).forEach(entry => {
+      assert.equal(entry.reference_type, 'order_return');
+      assert.equal(entry.reference, `${order.order_number} RET-${id}`);
+    });
+    assert.equal(register.closing_balance, 6);
+  });
+});
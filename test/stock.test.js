@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createProduct } = require('./helpers');
+
+describe('FEFO stock deduction', () => {
+  let server;
+  let admin;
+  let customer;
+  let productId;
+
+  before(async () => {
+    server = await startServer();
+    admin = await server.admin();
+    customer = await server.user('shopper');
+    productId = await createProduct(admin, { name: 'Ibuprofen', price: 5, quantity: 10, lot_number: 'LATE', expiry_date: '2031-01-31' });
+    const batch = await admin.post(`/api/products/${productId}/batches`, { lot_number: 'EARLY', expiry_date: '2030-03-31', quantity: 4 });
+    assert.equal(batch.status, 200);
+  });
+
+  after(() => server.stop());
+
+  const getBatches = async () => Object.fromEntries(
+    (await admin.get(`/api/products/${productId}/batches`)).data.map(batch => [batch.lot_number, batch.quantity_remaining])
+  );
+
+  it('takes an order from the lot that expires first, then the next one', async () => {
+    const response = await customer.post('/api/orders', {
+      customer_name: 'Shopper',
+      customer_address: '1 Main Street',
+      items: [{ product_id: productId, quantity: 6 }]
+    });
+    assert.equal(response.status, 200);
+
+    assert.deepEqual(await getBatches(), { EARLY: 0, LATE: 8 });
+    assert.equal((await admin.get(`/api/products/${productId}`)).data.quantity, 8);
+
+    const lots = response.data.order.items.map(item => [item.lot_number, item.quantity]);
+    assert.deepEqual(lots, [['EARLY', 4], ['LATE', 2]]);
+  });
+
+  it('refuses an order for more than is on sale', async () => {
+    const response = await customer.post('/api/orders', {
+      customer_name: 'Shopper',
+      customer_address: '1 Main Street',
+      items: [{ product_id: productId, quantity: 9 }]
+    });
+    assert.equal(response.status, 400);
+    assert.deepEqual(await getBatches(), { EARLY: 0, LATE: 8 });
+  });
+
+  it('leaves quarantined lots out of FEFO', async () => {
+    const late = (await admin.get(`/api/products/${productId}/batches`)).data.find(batch => batch.lot_number === 'LATE');
+    await admin.post(`/api/products/${productId}/batches`, { lot_number: 'LAST', expiry_date: '2032-01-31', quantity: 5 });
+    await admin.post(`/api/batches/${late.id}/quarantine`, { reason: 'Damaged in storage' });
+
+    const response = await customer.post('/api/orders', {
+      customer_name: 'Shopper',
+      customer_address: '1 Main Street',
+      items: [{ product_id: productId, quantity: 2 }]
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await getBatches(), { EARLY: 0, LATE: 8, LAST: 3 });
+  });
+});